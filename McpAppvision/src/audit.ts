@@ -0,0 +1,114 @@
+import { McpServer, ToolCallback } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { AppVisionClient, auditLog, getBaseUrl } from "n8n-nodes-appvision";
+import type { AppVisionEntity } from "n8n-nodes-appvision";
+import { ZodRawShape } from "zod";
+import { isUnconfirmed } from "./confirmation.js";
+import { getCredentials, getSessionClient } from "./sessionManager.js";
+import type { ToolResult } from "./utils.js";
+
+const ALARM_TOOLS = new Set([
+  "acknowledge-alarm-by-id",
+  "cancel-alarm",
+  "resume-alarm-by-id",
+  "transfer-alarm-by-id",
+]);
+
+/** `update-<entity>` and `delete-<entity>` tools of the configuration entities. */
+const ENTITY_TOOL = /^(?:update|delete)-(area|group|protocol|variable)$/i;
+
+/**
+ * Value the tool is about to change, when it can be read: the variable value, the server
+ * option, the current alarm or the entity row.
+ */
+async function getPreviousValue(
+  client: AppVisionClient,
+  name: string,
+  args: Record<string, unknown>
+): Promise<unknown> {
+  if (name === "set-variable" || name === "lock-variable") {
+    return (await client.getStateByName("Variable", String(args.name)))?.Value;
+  }
+  if (name === "set-option") {
+    return client.getOption(String(args.name));
+  }
+  if (ALARM_TOOLS.has(name)) {
+    const alarms = (await client.getCurrentAlarms()) ?? [];
+    return alarms.find((alarm) => String(alarm.Id) === String(args.id));
+  }
+  const entity = ENTITY_TOOL.exec(name)?.[1];
+  if (entity && args.id !== undefined) {
+    const type = (entity.charAt(0).toUpperCase() + entity.slice(1).toLowerCase()) as AppVisionEntity;
+    return client.getRowById(type, args.id as number);
+  }
+  return undefined;
+}
+
+function getClientName(server: McpServer): string | undefined {
+  const client = server.server.getClientVersion();
+  return client ? `${client.name} ${client.version}` : undefined;
+}
+
+/** Runs a writing tool call and records it in the audit log. */
+async function audited(
+  server: McpServer,
+  name: string,
+  args: Record<string, unknown>,
+  run: () => Promise<ToolResult>
+): Promise<ToolResult> {
+  const credentials = getCredentials();
+  const client = getSessionClient();
+  if (!auditLog.enabled || !credentials || !client) {
+    return run();
+  }
+
+  // The confirm token only authorizes the call, it is not part of the change.
+  const recorded = { ...args };
+  delete recorded.confirmToken;
+  const previousValue = await getPreviousValue(client, name, recorded).catch(() => undefined);
+  const audit = auditLog.start(
+    {
+      caller: { type: "mcp", client: getClientName(server) },
+      user: credentials.username,
+      server: getBaseUrl(credentials),
+      operation: name,
+      arguments: recorded,
+      previousValue,
+    },
+    client
+  );
+
+  let result: ToolResult;
+  try {
+    result = await run();
+  } catch (err) {
+    await audit?.fail(err);
+    throw err;
+  }
+  if (isUnconfirmed(result)) {
+    await audit?.unconfirmed();
+  } else if (result.isError) {
+    await audit?.fail(result.structuredContent?.message ?? "Tool call failed");
+  } else {
+    await audit?.succeed(result.structuredContent?.message);
+  }
+  return result;
+}
+
+/**
+ * Wraps the callback of the writing tool `name` so each call is recorded in the audit log
+ * (APPVISION_AUDIT_LOG): arguments, previous value and outcome. Calls the user did not confirm
+ * are recorded as `unconfirmed`.
+ *
+ * The wrapper is a proxy of the callback, so it keeps the callback type that the SDK derives
+ * from the input schema.
+ */
+export function auditTool<Args extends ZodRawShape>(
+  server: McpServer,
+  name: string,
+  callback: ToolCallback<Args>
+): ToolCallback<Args> {
+  return new Proxy(callback, {
+    apply: (target, thisArg, params: [Record<string, unknown>, unknown]) =>
+      audited(server, name, params[0], async (): Promise<ToolResult> => Reflect.apply(target, thisArg, params)),
+  });
+}
@@ -0,0 +1,124 @@
+import { randomUUID } from "crypto";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { errorResult, textResult, ToolResult } from "./utils.js";
+
+/** How long a confirm token stays valid, in milliseconds. */
+const CONFIRM_TOKEN_TTL = 5 * 60 * 1000;
+
+interface PendingConfirmation {
+  tool: string;
+  /** Arguments the user confirmed, serialized: the token is only valid for the same call. */
+  args: string;
+  expires: number;
+}
+
+/** Results returned instead of applying a change, see `isUnconfirmed()`. */
+const refusals = new WeakSet<ToolResult>();
+
+/** Confirm tokens handed out by each server, i.e. by each MCP connection. */
+const pendingConfirmations = new WeakMap<McpServer, Map<string, PendingConfirmation>>();
+
+/**
+ * Argument of the tools asking for confirmation, for the clients that cannot ask the user.
+ */
+export const confirmShape = {
+  confirmToken: z
+    .string()
+    .optional()
+    .describe(
+      "Only when a previous call of this tool returned a confirm token: pass it back once the user has explicitly approved the change"
+    ),
+};
+
+/**
+ * Whether `result` was returned by `confirmChange()` in place of the change, which was then not
+ * applied.
+ */
+export function isUnconfirmed(result: ToolResult): boolean {
+  return refusals.has(result);
+}
+
+function refuse(result: ToolResult): ToolResult {
+  refusals.add(result);
+  return result;
+}
+
+function serializeArgs(args: Record<string, unknown>): string {
+  return JSON.stringify(Object.keys(args).sort().map((key) => [key, args[key]]));
+}
+
+function supportsElicitation(server: McpServer): boolean {
+  const elicitation = server.server.getClientCapabilities()?.elicitation;
+  // A client declaring URL elicitation only cannot show a form.
+  return !!elicitation && (!!elicitation.form || !elicitation.url);
+}
+
+/**
+ * Asks the user to confirm the change described by `summary` before `tool` applies it, and
+ * returns `null` once confirmed or the result the tool must return instead.
+ *
+ * Clients supporting elicitation show `summary` to the user, who accepts or declines. Other
+ * clients get a confirm token on the first call: the model has to show `summary` to the user and
+ * call the tool again, with the same arguments and the token, once the user has approved.
+ */
+export async function confirmChange(
+  server: McpServer,
+  tool: string,
+  args: Record<string, unknown>,
+  confirmToken: string | undefined,
+  summary: string
+): Promise<ToolResult | null> {
+  if (supportsElicitation(server)) {
+    const answer = await server.server.elicitInput({
+      message: `${summary}\n\nDo you confirm this change?`,
+      requestedSchema: {
+        type: "object",
+        properties: {
+          confirm: { type: "boolean", title: "Confirm", description: summary },
+        },
+        required: ["confirm"],
+      },
+    });
+    if (answer.action === "accept" && answer.content?.confirm === true) {
+      return null;
+    }
+    return refuse(textResult(`Not confirmed by the user, nothing was changed: ${summary}`));
+  }
+
+  let pending = pendingConfirmations.get(server);
+  if (!pending) {
+    pending = new Map();
+    pendingConfirmations.set(server, pending);
+  }
+  const now = Date.now();
+  for (const [token, confirmation] of pending) {
+    if (confirmation.expires <= now) {
+      pending.delete(token);
+    }
+  }
+
+  const serialized = serializeArgs(args);
+  if (confirmToken) {
+    const confirmation = pending.get(confirmToken);
+    if (!confirmation || confirmation.tool !== tool || confirmation.args !== serialized) {
+      return refuse(
+        errorResult(
+          "Invalid or expired confirm token, or the arguments changed. Call the tool again without confirmToken to get a new one."
+        )
+      );
+    }
+    pending.delete(confirmToken);
+    return null;
+  }
+
+  const token = randomUUID();
+  pending.set(token, { tool, args: serialized, expires: now + CONFIRM_TOKEN_TTL });
+  return refuse(
+    textResult(
+      `Confirmation required, nothing was changed yet: ${summary}\n` +
+        `Show this change to the user. Only if they explicitly approve it, call ${tool} again with the same ` +
+        `arguments and confirmToken "${token}" (valid 5 minutes).`
+    )
+  );
+}
@@ -0,0 +1,226 @@
+import { randomUUID, timingSafeEqual } from "crypto";
+import { createServer as createHttpServer, IncomingMessage, Server, ServerResponse } from "http";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { log } from "./logging.js";
+import { createServer } from "./mcpServer.js";
+import { closeConnection, Connection, createConnection, runInConnection } from "./sessionManager.js";
+
+export interface HttpServerOptions {
+  port: number;
+  host: string;
+  /** Bearer token expected in the Authorization header. Requests are not authenticated without it. */
+  token?: string;
+  /**
+   * Serve a host other than the loopback interface without `token`. Without it, the server
+   * refuses to start, since anyone reaching the host could call every tool.
+   */
+  allowUnauthenticated?: boolean;
+}
+
+interface Session {
+  transport: StreamableHTTPServerTransport | SSEServerTransport;
+  connection: Connection;
+}
+
+/** Largest JSON-RPC message accepted, in bytes. */
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(readonly statusCode: number, message: string) {
+    super(message);
+  }
+}
+
+function sendJson(res: ServerResponse, statusCode: number, body: unknown, headers: Record<string, string> = {}) {
+  res.writeHead(statusCode, { ...headers, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Answers with a JSON-RPC error, as the MCP transports do for the requests they reject.
+ */
+function sendError(res: ServerResponse, statusCode: number, message: string, headers: Record<string, string> = {}) {
+  sendJson(res, statusCode, { jsonrpc: "2.0", error: { code: -32000, message }, id: null }, headers);
+}
+
+/**
+ * Whether `host` only listens on the loopback interface: `localhost`, `127.x.x.x` or `::1`.
+ */
+export function isLoopbackHost(host: string): boolean {
+  const name = host.trim().toLowerCase().replace(/^\[(.*)\]$/, "$1");
+  return name === "localhost" || name === "::1" || /^127(\.\d{1,3}){3}$/.test(name);
+}
+
+/**
+ * Compares the Authorization header with the expected bearer token in constant time.
+ */
+function isAuthorized(req: IncomingMessage, token?: string): boolean {
+  if (!token) {
+    return true;
+  }
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.headers.authorization ?? "");
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+function readJsonBody(req: IncomingMessage): Promise<unknown> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on("data", (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("error", reject);
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(new HttpError(400, "Parse error: the body is not valid JSON"));
+      }
+    });
+  });
+}
+
+/**
+ * Serves the MCP server over HTTP:
+ * - `/mcp`: Streamable HTTP transport;
+ * - `GET /sse` and `POST /messages`: legacy HTTP+SSE transport;
+ * - `GET /health`: liveness probe, the only route that needs no token.
+ *
+ * Every MCP session gets its own server and its own AppVision sessions, logged out when the
+ * MCP session ends. Without `token`, only the loopback interface is served unless
+ * `allowUnauthenticated` is set. Resolves with the listening server.
+ */
+export async function startHttpServer(options: HttpServerOptions): Promise<Server> {
+  if (!options.token && !isLoopbackHost(options.host) && !options.allowUnauthenticated) {
+    throw new Error(
+      `APPVISION_MCP_TOKEN is not set: refusing to serve ${options.host} without authentication. ` +
+        "Set APPVISION_MCP_TOKEN, listen on 127.0.0.1, or pass --allow-unauthenticated."
+    );
+  }
+
+  const sessions = new Map<string, Session>();
+
+  async function connect(transport: Session["transport"], connection: Connection): Promise<void> {
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        sessions.delete(transport.sessionId);
+      }
+      void closeConnection(connection);
+    };
+    await createServer(connection).connect(transport);
+  }
+
+  async function handleStreamableHttp(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+    const sessionId = req.headers["mcp-session-id"];
+    let session = typeof sessionId === "string" ? sessions.get(sessionId) : undefined;
+
+    if (sessionId !== undefined && !session) {
+      throw new HttpError(404, "Session not found");
+    }
+    if (!session) {
+      if (!isInitializeRequest(body)) {
+        throw new HttpError(400, "Bad Request: no valid session ID provided");
+      }
+      const connection = createConnection();
+      const transport: StreamableHTTPServerTransport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, { transport, connection });
+        },
+      });
+      await connect(transport, connection);
+      session = { transport, connection };
+    }
+
+    const { transport, connection } = session;
+    if (!(transport instanceof StreamableHTTPServerTransport)) {
+      throw new HttpError(400, "Bad Request: the session uses the SSE transport");
+    }
+    await runInConnection(connection, () => transport.handleRequest(req, res, body));
+  }
+
+  async function handleSseStream(res: ServerResponse): Promise<void> {
+    const connection = createConnection();
+    const transport = new SSEServerTransport("/messages", res);
+    sessions.set(transport.sessionId, { transport, connection });
+    await connect(transport, connection);
+  }
+
+  async function handleSseMessage(req: IncomingMessage, res: ServerResponse, url: URL): Promise<void> {
+    const session = sessions.get(url.searchParams.get("sessionId") ?? "");
+    if (!session || !(session.transport instanceof SSEServerTransport)) {
+      throw new HttpError(404, "Session not found");
+    }
+    const { transport, connection } = session;
+    const body = await readJsonBody(req);
+    await runInConnection(connection, () => transport.handlePostMessage(req, res, body));
+  }
+
+  async function handle(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const url = new URL(req.url ?? "/", "http://localhost");
+
+    if (url.pathname === "/health" && req.method === "GET") {
+      sendJson(res, 200, { status: "ok", sessions: sessions.size });
+      return;
+    }
+    if (!isAuthorized(req, options.token)) {
+      sendError(res, 401, "Unauthorized", { "WWW-Authenticate": "Bearer" });
+      return;
+    }
+
+    if (url.pathname === "/mcp") {
+      await handleStreamableHttp(req, res);
+    } else if (url.pathname === "/sse" && req.method === "GET") {
+      await handleSseStream(res);
+    } else if (url.pathname === "/messages" && req.method === "POST") {
+      await handleSseMessage(req, res, url);
+    } else {
+      sendError(res, 404, "Not found");
+    }
+  }
+
+  const httpServer = createHttpServer((req, res) => {
+    handle(req, res).catch((error) => {
+      const statusCode = error instanceof HttpError ? error.statusCode : 500;
+      if (statusCode === 500) {
+        log.error("Error handling MCP request", error);
+      }
+      if (!res.headersSent) {
+        sendError(res, statusCode, statusCode === 500 ? "Internal server error" : error.message);
+      }
+    });
+  });
+
+  // Log out of AppVision when the server is stopped, then let the signal end the process.
+  for (const signal of ["SIGINT", "SIGTERM"] as const) {
+    process.once(signal, () => {
+      httpServer.close();
+      const closing = [...sessions.values()].map(async ({ transport, connection }) => {
+        await transport.close();
+        await closeConnection(connection);
+      });
+      void Promise.allSettled(closing).finally(() => process.kill(process.pid, signal));
+    });
+  }
+
+  await new Promise<void>((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(options.port, options.host, resolve);
+  });
+
+  if (!options.token) {
+    log.warn("APPVISION_MCP_TOKEN is not set: HTTP requests are not authenticated.");
+  }
+  log.info(`AppVision MCP Server running on http://${options.host}:${options.port}/mcp`);
+  return httpServer;
+}
@@ -0,0 +1,34 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { logger } from "n8n-nodes-appvision";
+import { Connection, getConnection } from "./sessionManager.js";
+
+/**
+ * Logger of the MCP server. Like every logger of the package it writes to stderr, or to
+ * APPVISION_LOG_FILE, never to stdout which carries the JSON-RPC stream over stdio.
+ */
+export const log = logger.child("mcp");
+
+/**
+ * Sends the entries logged while handling `connection` to the client of `server`, as MCP log
+ * messages, until the server is closed. Only the entries at or above APPVISION_LOG_LEVEL are
+ * logged at all; the client picks the lowest level it receives with `logging/setLevel`.
+ */
+export function forwardLogs(server: McpServer, connection: Connection) {
+  const removeSink = logger.addSink((entry) => {
+    // Nothing is sent before the client has initialized the connection.
+    if (!server.server.getClientVersion() || getConnection() !== connection) {
+      return;
+    }
+    const data = entry.data === undefined ? entry.message : { message: entry.message, details: entry.data };
+    // Nothing is logged when a message cannot be sent, or it would be sent again.
+    server
+      .sendLoggingMessage({ level: entry.level, logger: entry.logger, data }, server.server.transport?.sessionId)
+      .catch(() => undefined);
+  });
+
+  const onclose = server.server.onclose;
+  server.server.onclose = () => {
+    removeSink();
+    onclose?.();
+  };
+}
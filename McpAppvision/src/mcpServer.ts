@@ -0,0 +1,55 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { forwardLogs } from "./logging.js";
+import { registerResources } from "./resources.js";
+import { Connection, getConnection } from "./sessionManager.js";
+import { registerAlarmTools } from "./tools/alarms.js";
+import { registerConfigurationTools } from "./tools/entities.js";
+import { registerHistoryTools } from "./tools/history.js";
+import { registerHolidayTools } from "./tools/holidays.js";
+import { registerInstructionTools } from "./tools/instructions.js";
+import { registerProfileTools } from "./tools/profiles.js";
+import { registerReportTools } from "./tools/reports.js";
+import { registerServerTools } from "./tools/server.js";
+import { registerSessionTools } from "./tools/session.js";
+import { registerVariableTools } from "./tools/variables.js";
+
+/**
+ * Creates an MCP server exposing the AppVision tools of the current tool profile. The HTTP
+ * transport creates one per connection, since an MCP server serves a single transport; the logs
+ * of `connection` are sent to its client.
+ */
+export function createServer(connection: Connection = getConnection()): McpServer {
+  // Initialize the MCP server with its name, version, and capabilities.
+  const server = new McpServer(
+    {
+      name: "AppVision", // Server name
+      version: "1.0.1", // Server version
+    },
+    {
+      capabilities: {
+        resources: {}, // Live resources, see registerResources
+        tools: {}, // Define the tools that the server can use (empty in this case)
+        logging: {}, // Log messages of the connection, see forwardLogs
+      },
+    }
+  );
+
+  // Every tool calls the AppVision service through the shared AppVisionClient.
+  registerSessionTools(server);
+  registerProfileTools(server);
+  registerVariableTools(server);
+  registerConfigurationTools(server);
+  registerAlarmTools(server);
+  registerHistoryTools(server);
+  registerHolidayTools(server);
+  registerInstructionTools(server);
+  registerReportTools(server);
+  registerServerTools(server);
+
+  // Live alarms, variables and server state, updated by the AppVision notifications.
+  registerResources(server);
+
+  forwardLogs(server, connection);
+
+  return server;
+}
@@ -0,0 +1,127 @@
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import {
+  ReadResourceResult,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import type { AppVisionRow } from "n8n-nodes-appvision";
+import { log } from "./logging.js";
+import { addNotificationListener, startNotificationPump } from "./sessionManager.js";
+import { getClient } from "./utils.js";
+
+const CURRENT_ALARMS_URI = "appvision://alarms/current";
+const SERVER_STATE_URI = "appvision://server/state";
+const VARIABLE_URI_PREFIX = "appvision://variables/";
+
+function variableUri(name: string): string {
+  return `${VARIABLE_URI_PREFIX}${encodeURIComponent(name)}`;
+}
+
+function isKnownUri(uri: string): boolean {
+  return uri === CURRENT_ALARMS_URI || uri === SERVER_STATE_URI || uri.startsWith(VARIABLE_URI_PREFIX);
+}
+
+function jsonContents(uri: URL, data: unknown): ReadResourceResult {
+  return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(data ?? null) }] };
+}
+
+function requireClient() {
+  const client = getClient();
+  if (!client) {
+    throw new Error("No active session. Please log in first.");
+  }
+  return client;
+}
+
+/**
+ * Resources changed by a notification: AlarmInfo updates the current alarms, VariableState the
+ * variable it names (every subscribed variable when the name is missing) and ServerState the
+ * server state.
+ */
+function changedUris(notification: AppVisionRow, subscriptions: Set<string>): string[] {
+  const data = notification.Data as AppVisionRow | undefined;
+  switch (data?.$type) {
+    case "AlarmInfo":
+      return [CURRENT_ALARMS_URI];
+    case "ServerState":
+      return [SERVER_STATE_URI];
+    case "VariableState":
+      if (typeof data.Name === "string" || typeof data.Name === "number") {
+        return [variableUri(String(data.Name))];
+      }
+      return [...subscriptions].filter((uri) => uri.startsWith(VARIABLE_URI_PREFIX));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Registers the live AppVision resources and the `resources/subscribe` handlers.
+ *
+ * Subscribing starts the notification pump of the session (see `startNotificationPump`); each
+ * notification then sends `notifications/resources/updated` for the subscribed resources it
+ * changes, and the client reads them again.
+ */
+export function registerResources(server: McpServer) {
+  server.registerResource(
+    "current-alarms",
+    CURRENT_ALARMS_URI,
+    { description: "Alarms currently active on the AppVision server", mimeType: "application/json" },
+    async (uri) => jsonContents(uri, await requireClient().getCurrentAlarms())
+  );
+
+  server.registerResource(
+    "server-state",
+    SERVER_STATE_URI,
+    { description: "State of the AppVision server", mimeType: "application/json" },
+    async (uri) => jsonContents(uri, await requireClient().getServerState())
+  );
+
+  server.registerResource(
+    "variable-state",
+    new ResourceTemplate(`${VARIABLE_URI_PREFIX}{name}`, { list: undefined }),
+    { description: "Current state of an AppVision variable, by name", mimeType: "application/json" },
+    async (uri, { name }) => {
+      const variableName = decodeURIComponent(String(name));
+      const state = await requireClient().getStateByName("Variable", variableName);
+      if (!state) {
+        throw new Error(`Variable ${variableName} not found.`);
+      }
+      return jsonContents(uri, state);
+    }
+  );
+
+  const subscriptions = new Set<string>();
+  let listening = false;
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    if (!isKnownUri(uri)) {
+      throw new Error(`Unknown resource ${uri}.`);
+    }
+    if (!(await startNotificationPump())) {
+      throw new Error("No active session. Please log in first.");
+    }
+    if (!listening) {
+      listening = true;
+      addNotificationListener((notification) => {
+        for (const changed of changedUris(notification, subscriptions)) {
+          if (subscriptions.has(changed)) {
+            server.server.sendResourceUpdated({ uri: changed }).catch((error) => {
+              log.warn(`Failed to notify the update of ${changed}`, error);
+            });
+          }
+        }
+      });
+    }
+    subscriptions.add(uri);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+}
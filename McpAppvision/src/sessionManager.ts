@@ -1,184 +1,269 @@
-import fs from 'fs';
-import { existsSync } from 'fs';
-import path from 'path';
-
-// Utility function to check if the environment is Docker-based.
-const isDocker = () => existsSync('/.dockerenv');
-
-// Define the session file paths based on the environment (Docker or non-Docker).
-const SESSION_FILE_MCP = isDocker() ? '/usr/local/lib/node_modules/n8n-nodes-appvision/dist/nodes/AppVision/session/sessionIdMcp.json'
-: path.resolve('./dist/nodes/AppVision/session/sessionIdMcp.json');
-
-const SESSION_FILE = isDocker() ? '/usr/local/lib/node_modules/n8n-nodes-appvision/dist/nodes/AppVision/session/sessionId.json'
-: path.resolve('./dist/nodes/AppVision/session/sessionId.json');
-
-// Declare intervals for session keep-alive management.
-let keepAliveInterval: NodeJS.Timeout | null = null;
-let stopKeepAliveTimeout: NodeJS.Timeout | null = null;
-
-/**
- * Function to retrieve the session ID from the session file.
- * @returns {string | null} The session ID if it exists, otherwise null.
- */
-function getSession(): string | null {
-    try {
-        // Check if the session file exists
-        if (fs.existsSync(SESSION_FILE)) {
-            const data = fs.readFileSync(SESSION_FILE, 'utf-8');
-            const parsed = JSON.parse(data) as { sessionId?: string }[];
-            
-            if (parsed.length > 0 && parsed[0].sessionId) {
-                return parsed[0].sessionId;
-            } else {
-                console.error("Session ID not found in the expected format.");
-            }
-        } else {
-            console.error("Session file not found.");
-        }
-    } catch (err) {
-        console.error("Error reading session from file:", err);
-    }
-    return null;
+import { AsyncLocalStorage } from 'async_hooks';
+import { readFileSync } from 'fs';
+import {
+    AppVisionClient,
+    AppVisionClientOptions,
+    AppVisionCredentials,
+    AppVisionNotificationPump,
+    AppVisionRow,
+    AppVisionSessionPool,
+    sessionPool,
+} from 'n8n-nodes-appvision';
+import { log } from './logging.js';
+
+type NotificationListener = (notification: AppVisionRow) => void;
+
+/** Number of notifications kept for `get-notification` when nobody reads them. */
+const MAX_PENDING_NOTIFICATIONS = 1000;
+
+/**
+ * AppVision state of an MCP connection.
+ * `credentials` come from `login-session`, or from the APPVISION_USERNAME and APPVISION_PASSWORD
+ * environment variables so the server can log in by itself on the first tool call.
+ */
+interface Connection {
+    pool: AppVisionSessionPool;
+    credentials: AppVisionCredentials | null;
+    /** Pump polling the notifications of the session, once notifications are enabled. */
+    pump: AppVisionNotificationPump | null;
+    /** Notifications received by the pump and not read by `get-notification` yet. */
+    pending: AppVisionRow[];
+    listeners: Set<NotificationListener>;
 }
 
+function newConnection(pool: AppVisionSessionPool): Connection {
+    return { pool, credentials: null, pump: null, pending: [], listeners: new Set() };
+}
+
+/** Connection of the stdio transport, which shares the process-wide session pool. */
+const stdioConnection: Connection = newConnection(sessionPool);
+
+const currentConnection = new AsyncLocalStorage<Connection>();
+
 /**
- * Function to save the session ID to a file.
- * @param {string | null} id The session ID to be saved. If null, it won't save anything.
+ * Function to create the state of a remote MCP connection. Each one has its own session pool,
+ * so agents never share an AppVision session nor its notification queue.
+ * @returns {Connection} The new connection state.
  */
-function saveSessionToFile(id: string | null = null): void {
-    try {
-        // Ensure the directory exists before saving the file
-        const dir = path.dirname(SESSION_FILE_MCP);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-        }
-        // Save the session ID to the file
-        fs.writeFileSync(SESSION_FILE_MCP, JSON.stringify({ sessionId: id }, null, 2), 'utf-8');
-    } catch (err) {
-        console.error("Error saving session to file:", err);
+function createConnection(): Connection {
+    return newConnection(new AppVisionSessionPool());
+}
+
+/**
+ * Function to run `callback` on behalf of `connection`: the functions of this module then
+ * act on its credentials and sessions.
+ * @param {Connection} connection The connection handling the request.
+ * @param {() => T} callback The request handler.
+ * @returns {T} The value returned by `callback`.
+ */
+function runInConnection<T>(connection: Connection, callback: () => T): T {
+    return currentConnection.run(connection, callback);
+}
+
+/**
+ * Function to log out every session of a connection that has been closed.
+ * @param {Connection} connection The closed connection.
+ */
+async function closeConnection(connection: Connection): Promise<void> {
+    await stopPump(connection);
+    connection.credentials = null;
+    connection.listeners.clear();
+    await connection.pool.closeAll();
+}
+
+/**
+ * Function to retrieve the connection of the tool call being handled.
+ * @returns {Connection} The remote connection, or the stdio connection outside of one.
+ */
+function getConnection(): Connection {
+    return currentConnection.getStore() ?? stdioConnection;
+}
+
+/**
+ * Function to retrieve the AppVision server address.
+ * @returns {string | null} The value of APPVISION_HOST (`host` or `host:port`), or null when it is not set.
+ */
+function getHost(): string | null {
+    return process.env.APPVISION_HOST || null;
+}
+
+/**
+ * Function to read a PEM file named by an environment variable.
+ * @param {string} name The environment variable holding the path.
+ * @returns {string | undefined} The file content, or undefined when the variable is not set.
+ */
+function readEnvFile(name: string): string | undefined {
+    const path = process.env[name];
+    return path ? readFileSync(path, 'utf8') : undefined;
+}
+
+/**
+ * Function to retrieve the connection settings of the AppVision server.
+ * APPVISION_PROTOCOL, APPVISION_PORT and APPVISION_BASE_PATH locate the service. Over HTTPS,
+ * APPVISION_CA_FILE adds trusted certificate authorities, APPVISION_CLIENT_CERT_FILE,
+ * APPVISION_CLIENT_KEY_FILE and APPVISION_CLIENT_KEY_PASSPHRASE enable mutual TLS and
+ * APPVISION_PINNED_FINGERPRINTS (comma-separated SHA-256) pins the server certificate.
+ * @returns {AppVisionClientOptions | null} The settings, or null when APPVISION_HOST is not set.
+ */
+function getConnectionOptions(): AppVisionClientOptions | null {
+    const host = getHost();
+    if (!host) {
+        return null;
     }
+    const env = process.env;
+    return {
+        host,
+        protocol: env.APPVISION_PROTOCOL === 'https' ? 'https' : 'http',
+        port: Number(env.APPVISION_PORT) || undefined,
+        basePath: env.APPVISION_BASE_PATH || undefined,
+        clientProductName: env.APPVISION_CLIENT_PRODUCT_NAME || undefined,
+        timeout: Number(env.APPVISION_TIMEOUT) || undefined,
+        ignoreTlsErrors: env.APPVISION_IGNORE_TLS_ERRORS === 'true',
+        ca: readEnvFile('APPVISION_CA_FILE'),
+        cert: readEnvFile('APPVISION_CLIENT_CERT_FILE'),
+        key: readEnvFile('APPVISION_CLIENT_KEY_FILE'),
+        passphrase: env.APPVISION_CLIENT_KEY_PASSPHRASE || undefined,
+        pinnedFingerprints: (env.APPVISION_PINNED_FINGERPRINTS ?? '')
+            .split(',')
+            .map((fingerprint) => fingerprint.trim())
+            .filter(Boolean),
+    };
 }
 
 /**
- * Function to retrieve the IP address from the session file.
- * @returns {string | null} The IP address if it exists, otherwise null.
+ * Function to retrieve the credentials in use.
+ * @returns {AppVisionCredentials | null} The credentials set by `login-session` or the environment, otherwise null.
  */
-function getIp() {
-    try {
-        // Check if the session file exists
-        if (fs.existsSync(SESSION_FILE)) {
-            const data = fs.readFileSync(SESSION_FILE, 'utf-8');
-            const parsed = JSON.parse(data);
-            
-            if (Array.isArray(parsed) && parsed.length > 0 && parsed[0].ip) {
-                return parsed[0].ip;
-            } else {
-                console.error("IP not found in the expected format.");
-            }
-        } else {
-            console.error("Session file not found.");
-        }
-    } catch (err) {
-        console.error("Error reading IP from file:", err);
+function getCredentials(): AppVisionCredentials | null {
+    const state = getConnection();
+    const connection = getConnectionOptions();
+    if (!state.credentials && connection && process.env.APPVISION_USERNAME && process.env.APPVISION_PASSWORD) {
+        state.credentials = {
+            ...connection,
+            username: process.env.APPVISION_USERNAME,
+            password: process.env.APPVISION_PASSWORD,
+        };
     }
-    return null;
+    return state.credentials;
 }
 
 /**
- * Function to keep the session alive by periodically sending keep-alive requests.
- * It also handles stopping the keep-alive process after a period of inactivity.
+ * Function to select the account used by the following tool calls.
+ * @param {AppVisionCredentials | null} value The credentials, or null to forget them.
  */
-async function keepAlive(): Promise<void> {
-    let sessionId: string | null = null;
-    const ip = getIp();
+function setCredentials(value: AppVisionCredentials | null): void {
+    getConnection().credentials = value;
+}
 
-    // Load the session ID from the session file
-    if (fs.existsSync(SESSION_FILE)) {
-        const data = fs.readFileSync(SESSION_FILE, 'utf-8');
-        const parsed = JSON.parse(data) as { sessionId?: string };
-        if (parsed.sessionId) {
-            sessionId = parsed.sessionId;
-            console.log("Session loaded from file:", sessionId);
-        }
-    }
+/**
+ * Function to retrieve the session pool of the current connection.
+ * @returns {AppVisionSessionPool} The pool holding the AppVision sessions of the connection.
+ */
+function getSessionPool(): AppVisionSessionPool {
+    return getConnection().pool;
+}
 
-    // If no session ID exists, abort keep-alive
-    if (!sessionId) return;
-
-    // Set the interval to send keep-alive requests every 10 seconds
-    keepAliveInterval = setInterval(async () => {
-        try {
-            const res = await fetch(`http://${ip}/AppVisionService.svc/KeepAlive`, {
-                method: "GET",
-                headers: { 'SessionID': sessionId ?? '' },
-            });
-
-            if (!res.ok) throw new Error(`KeepAlive failed with status ${res.status}`);
-            console.log("KeepAlive sent.");
-        } catch (err) {
-            console.error("KeepAlive error:", err, ip, sessionId);
-        }
-    }, 10000);
+/**
+ * Function to retrieve the pooled client of the current account.
+ * The pool opens the session on first use, keeps it alive and logs in again when it expires.
+ * @returns {AppVisionClient | null} The client, or null if no account is configured.
+ */
+function getSessionClient(): AppVisionClient | null {
+    const current = getCredentials();
+    return current ? getSessionPool().get(current) : null;
+}
 
-    // Set a timeout to stop keep-alive after 5 minutes of inactivity
-    stopKeepAliveTimeout = setTimeout(() => {
-        console.log("No activity in 5 minutes. Stopping keep-alive...");
-        stopKeepAlive();
-    }, 5 * 60 * 1000);
+/**
+ * Function to stop the notification pump of a connection and drop what it received.
+ * @param {Connection} connection The connection.
+ */
+async function stopPump(connection: Connection): Promise<void> {
+    const pump = connection.pump;
+    connection.pump = null;
+    connection.pending = [];
+    await pump?.stop();
 }
 
 /**
- * Function to stop the keep-alive process and log out the session.
+ * Function to start polling the notifications of the current account, once per session client.
+ * Notifications are enabled with `StartNotifications` and `AddFilterNotifications("All")`,
+ * then handed to the listeners of the connection and kept for `get-notification`.
+ * @returns {Promise<AppVisionNotificationPump | null>} The pump, or null if no account is configured.
  */
-async function stopKeepAlive(): Promise<void> {
-    if (keepAliveInterval) {
-        clearInterval(keepAliveInterval);
-        keepAliveInterval = null;
-        console.log("Keep-alive stopped.");
+async function startNotificationPump(): Promise<AppVisionNotificationPump | null> {
+    const connection = getConnection();
+    const client = getSessionClient();
+    if (!client) {
+        return null;
     }
-
-    if (stopKeepAliveTimeout) {
-        clearTimeout(stopKeepAliveTimeout);
-        stopKeepAliveTimeout = null;
+    if (connection.pump?.client === client) {
+        return connection.pump;
     }
 
-    const sessionId = getSession();
-    const ip = getIp();
-
-    // If session ID and IP exist, log out the session
-    if (sessionId && ip) {
-        try {
-            const res = await fetch(`http://${ip}/AppVisionService.svc/Logout`, {
-                method: "GET",
-                headers: { 'SessionID': sessionId }
-            });
-
-            if (!res.ok) throw new Error(`Logout failed with status ${res.status}`);
-            console.log("Logged out successfully.");
-        } catch (err) {
-            console.error("Logout error:", err);
+    await stopPump(connection);
+    const pump = new AppVisionNotificationPump(client);
+    pump.on('notifications', (notifications) => {
+        connection.pending.push(...notifications);
+        connection.pending.splice(0, connection.pending.length - MAX_PENDING_NOTIFICATIONS);
+        for (const notification of notifications) {
+            for (const listener of connection.listeners) {
+                listener(notification);
+            }
         }
-        removeSession();
-    }
+    });
+    pump.on('error', (error) => log.warn('AppVision notification polling failed', error));
+    await pump.start();
+    connection.pump = pump;
+    return pump;
+}
+
+/**
+ * Function to receive the notifications of the current connection, whichever pump polls them.
+ * @param {NotificationListener} listener Called with each notification.
+ * @returns {() => void} A function removing the listener.
+ */
+function addNotificationListener(listener: NotificationListener): () => void {
+    const { listeners } = getConnection();
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Function to take the oldest notifications received by the pump.
+ * @param {number} count Maximum number of notifications to return.
+ * @returns {AppVisionRow[] | null} The notifications, or null when no pump is running.
+ */
+function takeNotifications(count: number): AppVisionRow[] | null {
+    const connection = getConnection();
+    return connection.pump ? connection.pending.splice(0, count) : null;
 }
 
 /**
- * Function to remove the session file.
+ * Function to log out the current account and forget its credentials.
  */
-function removeSession(): void {
-    try {
-        fs.unlinkSync(SESSION_FILE); // Remove session file
-        console.log("Session removed.");
-    } catch (err) {
-        console.error("Error removing session:", err);
+async function logout(): Promise<void> {
+    await stopPump(getConnection());
+    const current = getCredentials();
+    if (current) {
+        await getSessionPool().release(current);
     }
+    setCredentials(null);
 }
 
+export type { Connection };
 export {
-    saveSessionToFile,
-    getSession,
-    keepAlive,
-    stopKeepAlive,
-    isDocker,
-    getIp,
+    createConnection,
+    runInConnection,
+    closeConnection,
+    getConnection,
+    getHost,
+    getConnectionOptions,
+    getCredentials,
+    setCredentials,
+    getSessionPool,
+    getSessionClient,
+    startNotificationPump,
+    addNotificationListener,
+    takeNotifications,
+    logout,
 };
@@ -0,0 +1,109 @@
+/**
+ * What a tool does to AppVision:
+ * `read` only reads (and opens or closes the session),
+ * `operate` acts on alarms and variables in the course of operations,
+ * `configure` adds or changes configuration rows,
+ * `admin` can stop the site or delete data.
+ */
+export type ToolAccess = "read" | "operate" | "configure" | "admin";
+
+/**
+ * Named sets of tools registered by the server.
+ */
+export const TOOL_PROFILES = {
+  readonly: ["read"],
+  operator: ["read", "operate"],
+  engineer: ["read", "operate", "configure"],
+  admin: ["read", "operate", "configure", "admin"],
+} satisfies Record<string, ToolAccess[]>;
+
+export type ToolProfile = keyof typeof TOOL_PROFILES;
+
+export interface ToolPolicy {
+  profile: ToolProfile;
+  /** Leaves out every tool that writes to AppVision, whatever the profile. */
+  readOnly: boolean;
+}
+
+/** Tools that do not start with `get-` and still only read, or handle the session. */
+const READ_TOOLS = new Set(["login-session", "logout-session", "check-connection"]);
+
+const OPERATE_TOOLS = new Set([
+  "acknowledge-alarm-by-id",
+  "acknowledge-alarm-by-name",
+  "add-alarm-row",
+  "add-event-row",
+  "add-user-message-row",
+  "cancel-alarm",
+  "lock-variable",
+  "mask-alarm",
+  "resume-alarm-by-id",
+  "send-command-to-client",
+  "set-variable",
+  "transfer-alarm-by-id",
+  "transfer-alarm-by-name",
+]);
+
+const ADMIN_TOOLS = new Set([
+  "delete-Area",
+  "delete-group",
+  "delete-instruction",
+  "delete-Protocol",
+  "delete-variable",
+  "remove-all-alarms",
+  "set-option",
+  "start-supervision",
+  "stop-supervision",
+]);
+
+/**
+ * Access of a tool, from its name. Writing tools not listed above add or update configuration.
+ */
+export function getToolAccess(name: string): ToolAccess {
+  if (name.startsWith("get-") || READ_TOOLS.has(name)) {
+    return "read";
+  }
+  if (OPERATE_TOOLS.has(name)) {
+    return "operate";
+  }
+  return ADMIN_TOOLS.has(name) ? "admin" : "configure";
+}
+
+let policy: ToolPolicy = { profile: "admin", readOnly: false };
+
+/**
+ * Parses the profile name and the read-only switch given on the command line or in the
+ * environment. Throws on an unknown profile, so a typo does not expose more tools than wanted.
+ */
+export function parseToolPolicy(profile: string | undefined, readOnly: string | boolean | undefined): ToolPolicy {
+  const name = (profile ?? "admin").trim().toLowerCase();
+  if (!(name in TOOL_PROFILES)) {
+    throw new Error(`Unknown tool profile "${profile}", expected one of: ${Object.keys(TOOL_PROFILES).join(", ")}.`);
+  }
+  return {
+    profile: name as ToolProfile,
+    readOnly: readOnly === true || (typeof readOnly === "string" && /^(1|true|yes)$/i.test(readOnly.trim())),
+  };
+}
+
+/**
+ * Sets the policy applied to the tools registered from now on.
+ */
+export function setToolPolicy(next: ToolPolicy) {
+  policy = next;
+}
+
+export function getToolPolicy(): ToolPolicy {
+  return policy;
+}
+
+/**
+ * Whether the current policy registers the tool `name`.
+ */
+export function isToolEnabled(name: string): boolean {
+  const access = getToolAccess(name);
+  if (policy.readOnly && access !== "read") {
+    return false;
+  }
+  return (TOOL_PROFILES[policy.profile] as ToolAccess[]).includes(access);
+}
@@ -0,0 +1,388 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import type { AppVisionClient } from "n8n-nodes-appvision";
+import { z } from "zod";
+import { confirmChange, confirmShape } from "../confirmation.js";
+import { dataResult, pageShape, registerTool, textResult, toRowFields, withClient } from "../utils.js";
+
+/**
+ * Describes a current alarm for a confirmation, e.g. ` ($V.Door1: Door forced)`.
+ */
+async function describeAlarm(client: AppVisionClient, id: string): Promise<string> {
+  const alarms = (await client.getCurrentAlarms()) ?? [];
+  const alarm = alarms.find((row) => String(row.Id) === id);
+  if (!alarm) {
+    return " (not among the current alarms)";
+  }
+  return ` (${[alarm.SourceName, alarm.Description].filter(Boolean).join(": ")})`;
+}
+
+/**
+ * Registers the tools handling current alarms and writing alarm, event and user message rows.
+ */
+export function registerAlarmTools(server: McpServer) {
+  registerTool(
+    server,
+    "get-current-alarms",
+    "Get current alarms on Appvision client",
+    {
+      name: z.string().optional().describe("An optional argument"),
+      ...pageShape,
+    },
+    async ({ offset, limit }) =>
+      withClient("Error while fetching current alarms", async (client) =>
+        dataResult("Current alarms", await client.getCurrentAlarms(), "Failed to retrieve current alarms.", { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    "get-current-alarms-with-filters",
+    "Get current alarms from the AppVision service with specific filters",
+    {
+      filters: z.string().describe("The filters to apply to retrieve current alarms, separated by commas"),
+      ...pageShape,
+    },
+    async ({ filters, offset, limit }) =>
+      withClient("Error retrieving current alarms", async (client) =>
+        dataResult("Current alarms retrieved successfully", await client.getCurrentAlarms(filters), "No current alarms found.", { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    "get-alarms-event",
+    "get the alarm Event",
+    {
+      alarmId: z.string().describe('The id of the alarm we want to get the event'),
+      ...pageShape,
+    },
+    async ({ alarmId, offset, limit }) =>
+      withClient(`Failed to retrieve alarmid ${alarmId}`, async (client) =>
+        dataResult(`Events of alarm ${alarmId}`, await client.getAlarmEvents(alarmId), `No events found for alarm ${alarmId}.`, { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    "remove-all-alarms",
+    "Tools that remove all alarms",
+    {
+      name: z.string().optional().describe("an optional argument"),
+      ...confirmShape,
+    },
+    async ({ confirmToken }) =>
+      withClient("Error removing alarms", async (client) => {
+        const alarms = (await client.getCurrentAlarms()) ?? [];
+        const refusal = await confirmChange(
+          server,
+          "remove-all-alarms",
+          {},
+          confirmToken,
+          `Remove all ${alarms.length} current alarm(s) from AppVision.`
+        );
+        if (refusal) {
+          return refusal;
+        }
+        return dataResult("All alarms have been removed", await client.removeAllAlarms(), "No Alarms have been removed.");
+      })
+  );
+
+  registerTool(
+    server,
+    "cancel-alarm",
+    "Cancel an alarm in the AppVision client",
+    {
+      id: z.string().describe("The ID of the alarm to cancel"),
+      comment: z.string().describe("A comment to explain why the alarm is being cancelled"),
+      ...confirmShape,
+    },
+    async ({ id, comment, confirmToken }) =>
+      withClient("Error cancelling alarm", async (client) => {
+        const refusal = await confirmChange(
+          server,
+          "cancel-alarm",
+          { id, comment },
+          confirmToken,
+          `Cancel alarm ${id}${await describeAlarm(client, id)} with the comment "${comment}".`
+        );
+        if (refusal) {
+          return refusal;
+        }
+        await client.cancelAlarm(id, comment);
+        return textResult(`Alarm with ID ${id} cancelled successfully.`);
+      })
+  );
+
+  registerTool(
+    server,
+    "resume-alarm-by-id",
+    "Resume an alarm in the AppVision client by ID",
+    {
+      id: z.string().describe("The ID of the alarm to resume"),
+      transferUserId: z.string().optional().describe("The user ID to resume the alarm, or 0 for the current user")
+    },
+    async ({ id, transferUserId }) =>
+      withClient("Error resuming alarm", async (client) => {
+        await client.resumeAlarmById(id, transferUserId || 0);
+        return textResult(`Alarm with ID ${id} resumed successfully.`);
+      })
+  );
+
+  registerTool(
+    server,
+    "acknowledge-alarm-by-id",
+    "Acknowledge an alarm in the AppVision client by ID",
+    {
+      id: z.string().describe("The ID of the alarm to acknowledge")
+    },
+    async ({ id }) =>
+      withClient("Error acknowledging alarm", async (client) => {
+        await client.acknowledgeAlarmById(id);
+        return textResult(`Alarm with ID ${id} acknowledged successfully.`);
+      })
+  );
+
+  registerTool(
+    server,
+    "acknowledge-alarm-by-name",
+    "Acknowledge alarms in the AppVision client by Name (Area, Group, or Variable)",
+    {
+      opName: z.string().describe("The name of the area, group, or variable to acknowledge")
+    },
+    async ({ opName }) =>
+      withClient("Error acknowledging alarm", async (client) => {
+        await client.acknowledgeAlarmByName(opName);
+        return textResult(`Alarm with operation name ${opName} acknowledged successfully.`);
+      })
+  );
+
+  registerTool(
+    server,
+    "mask-alarm",
+    "Mask or unmask an alarm in the AppVision client",
+    {
+      opName: z.string().describe("The name of the operation (e.g., $V.{variable_name}, $A.{area_name}, $G.{group_name})"),
+      isMasked: z.boolean().describe("True to mask the alarm, false to unmask"),
+      tempo: z.number().describe("Temporization in milliseconds for masking, 0 for no temporization"),
+      ...confirmShape,
+    },
+    async ({ opName, isMasked, tempo, confirmToken }) =>
+      withClient("Error masking/unmasking alarm", async (client) => {
+        // Masking hides alarms from the operators; unmasking needs no confirmation.
+        if (isMasked) {
+          const refusal = await confirmChange(
+            server,
+            "mask-alarm",
+            { opName, isMasked, tempo },
+            confirmToken,
+            `Mask the alarms of ${opName}${tempo ? ` for ${tempo} ms` : " until they are unmasked"}.`
+          );
+          if (refusal) {
+            return refusal;
+          }
+        }
+        await client.maskAlarm(opName, isMasked, tempo);
+        return textResult(`Alarm for '${opName}' has been ${isMasked ? 'masked' : 'unmasked'} successfully.`);
+      })
+  );
+
+  registerTool(
+    server,
+    "transfer-alarm-by-id",
+    "Transfer an alarm by its ID to a specific user",
+    {
+      id: z.string().describe("The ID of the alarm to transfer"),
+      transferUserId: z.string().describe("The ID of the user to transfer the alarm to")
+    },
+    async ({ id, transferUserId }) =>
+      withClient(`Error transferring alarm with ID ${id}`, async (client) => {
+        await client.transferAlarmById(id, transferUserId);
+        return textResult(`Alarm with ID ${id} transferred successfully to user ${transferUserId}.`);
+      })
+  );
+
+  registerTool(
+    server,
+    "transfer-alarm-by-name",
+    "Transfer alarms by name (area, group, or variable) to a specific user",
+    {
+      opName: z.string().describe("The name of the area, group, or variable to transfer alarms from"),
+      transferUserId: z.string().describe("The ID of the user to transfer the alarms to")
+    },
+    async ({ opName, transferUserId }) =>
+      withClient(`Error transferring alarms for ${opName}`, async (client) => {
+        await client.transferAlarmByName(opName, transferUserId);
+        return textResult(`Alarms for ${opName} transferred successfully to user ${transferUserId}.`);
+      })
+  );
+
+  registerTool(
+    server,
+    "add-alarm-row",
+    "Add a new alarm row in the AppVision client.",
+    {
+      areaDesc: z.string().optional().describe("Area description"),
+      areaId: z.string().optional().describe("Area ID"),
+      attachments: z.string().optional().describe("Attachments"),
+      count: z.string().optional().describe("Alarm count"),
+      customExtension: z.string().optional().describe("Custom extension"),
+      customField1: z.string().optional().describe("Custom field 1"),
+      customField2: z.string().optional().describe("Custom field 2"),
+      customField3: z.string().optional().describe("Custom field 3"),
+      customField4: z.string().optional().describe("Custom field 4"),
+      customField5: z.string().optional().describe("Custom field 5"),
+      customId: z.string().optional().describe("Custom ID"),
+      dateAck: z.string().optional().describe("Date of acknowledgment"),
+      dateEnd: z.string().optional().describe("Date of end"),
+      dateReceive: z.string().optional().describe("Date received"),
+      dateReport: z.string().optional().describe("Date of report"),
+      dateStart: z.string().optional().describe("Date of start"),
+      dateWrite: z.string().optional().describe("Date written in database"),
+      description: z.string().optional().describe("Alarm description"),
+      duration: z.string().optional().describe("Alarm duration"),
+      groupDesc: z.string().optional().describe("Group description"),
+      groupNames: z.string().optional().describe("Group names"),
+      guid: z.string().optional().describe("Unique identifier for the alarm"),
+      hasWorkflow: z.string().optional().describe("Whether the alarm has a workflow"),
+      id: z.string().optional().describe("Alarm ID"),
+      info: z.string().optional().describe("Additional information"),
+      instructions: z.string().optional().describe("Alarm instructions"),
+      isUserMessage: z.string().optional().describe("True if this is a user message alarm"),
+      originDesc: z.string().optional().describe("Origin description when alarm is created"),
+      parameters: z.string().optional().describe("Alarm parameters (metadata)"),
+      parentId: z.string().optional().describe("Parent ID"),
+      photo: z.string().optional().describe("Photo associated with the alarm"),
+      report: z.string().optional().describe("Report associated with the alarm"),
+      serverName: z.string().optional().describe("Server name (for multi-server architectures)"),
+      severity: z.string().optional().describe("Severity level of the alarm"),
+      siteAlarmId: z.string().optional().describe("Site alarm ID"),
+      siteId: z.string().optional().describe("Site ID"),
+      sourceId: z.string().optional().describe("Source ID (variable or user message ID)"),
+      sourceId2: z.string().optional().describe("Source ID 2"),
+      sourceId3: z.string().optional().describe("Source ID 3"),
+      sourceId4: z.string().optional().describe("Source ID 4"),
+      sourceName: z.string().optional().describe("Source name (e.g., $V.{variable_name})"),
+      stateDesc: z.string().optional().describe("State description"),
+      status: z.string().optional().describe("Status of the alarm"),
+      tag: z.string().optional().describe("Reserved tag for the alarm"),
+      type: z.string().optional().describe("Alarm type"),
+      urls: z.string().optional().describe("URL associated with the alarm"),
+      userIdAck: z.string().optional().describe("User ID who acknowledged the alarm"),
+      userIdReport: z.string().optional().describe("User ID who reported the alarm"),
+      video: z.string().optional().describe("Video associated with the alarm"),
+      waitAcknowledge: z.string().optional().describe("True if acknowledgment is waiting"),
+      waitEnd: z.string().optional().describe("True if end is waiting"),
+      waitProcess: z.string().optional().describe("True if processing is waiting"),
+      waitReport: z.string().optional().describe("True if report is waiting"),
+  
+    },
+    async (args) =>
+      withClient("Error adding alarm row", async (client) => {
+        await client.addAlarmRow(toRowFields(args));
+        return textResult("Alarm row added successfully.");
+      })
+  );
+
+  registerTool(
+    server,
+    "add-event-row",
+    "Add a new event row in the AppVision client.",
+    {
+      alarmId: z.string().optional().describe("Alarm ID, nil if not provided"),
+      areaDesc: z.string().optional().describe("Area description"),
+      areaId: z.string().optional().describe("Area ID, nil if not provided"),
+      attachments: z.string().optional().describe("Attachments, nil if not provided"),
+      customExtension: z.string().optional().describe("Custom extension, nil if not provided"),
+      customField1: z.string().optional().describe("Custom field 1"),
+      customField2: z.string().optional().describe("Custom field 2"),
+      customField3: z.string().optional().describe("Custom field 3"),
+      customField4: z.string().optional().describe("Custom field 4"),
+      customField5: z.string().optional().describe("Custom field 5"),
+      customId: z.string().optional().describe("Event custom id"),
+      date: z.string().optional().describe("Event date (ISO format)"),
+      dateReceive: z.string().optional().describe("Event date receive (ISO format)"),
+      dateWrite: z.string().optional().describe("Date written in database"),
+      description: z.string().optional().describe("Event description"),
+      groupDesc: z.string().optional().describe("Group description"),
+      groupNames: z.string().optional().describe("Group names (comma separated)"),
+      guid: z.string().optional().describe("Guid"),
+      id: z.string().optional().describe("Event ID"),
+      info: z.string().optional().describe("Additional information"),
+      isUserMessage: z.string().optional().describe("True if this is a user message"),
+      originDesc: z.string().optional().describe("Origin description"),
+      originId: z.string().optional().describe("Origin id: 0 for scriptsup, userIdinf, protocolId"),
+      parameters: z.string().optional().describe("Event parameters (metadata)"),
+      photo: z.string().optional().describe("Photo"),
+      quality: z.string().optional().describe("Quality (1 to 255)"),
+      report: z.string().optional().describe("Event report"),
+      serverName: z.string().optional().describe("Server name (e.g., BONVIEU)"),
+      siteEventId: z.string().optional().describe("Site event id, nil if not provided"),
+      siteId: z.string().optional().describe("Site ID, nil if not provided"),
+      sourceId: z.string().optional().describe("Source id (variable)"),
+      sourceId2: z.string().optional().describe("Source id 2"),
+      sourceId3: z.string().optional().describe("Source id 3"),
+      sourceId4: z.string().optional().describe("Source id 4"),
+      sourceName: z.string().optional().describe("Source name, e.g., $V.{variable_name}"),
+      stateDesc: z.string().optional().describe("State description"),
+      subType: z.string().optional().describe("Event sub type"),
+      type: z.string().optional().describe("Event type"),
+      url: z.string().optional().describe("URL"),
+      value: z.string().optional().describe("Event value"),
+      valueString: z.string().optional().describe("Event value string"),
+      video: z.string().optional().describe("Video"),
+  
+    },
+    async (args) =>
+      withClient("Error adding event row", async (client) => {
+        await client.addEventRow(toRowFields(args));
+        return textResult("Event row added successfully.");
+      })
+  );
+
+  registerTool(
+    server,
+    "add-user-message-row",
+    "Add a new user message row in the AppVision client.",
+    {
+      alarmId: z.string().optional().describe("Alarm ID"),
+      areaDesc: z.string().optional().describe("Area description"),
+      areaId: z.string().optional().describe("Area ID"),
+      attachments: z.string().optional().describe("Attachments"),
+      category: z.string().optional().describe("UserMessage category"),
+      comment: z.string().optional().describe("UserMessage content comment"),
+      contentCategory: z.string().optional().describe("UserMessage content category (NameValue[] category properties)"),
+      contentReferences: z.string().optional().describe("UserMessage content references (variables, groups, etc.)"),
+      customExtension: z.string().optional().describe("Custom extension"),
+      dateClose: z.string().optional().describe("UserMessage closing date (ISO format)"),
+      dateCreate: z.string().optional().describe("UserMessage creation date (ISO format)"),
+      dateWrite: z.string().optional().describe("Date written in database"),
+      description: z.string().optional().describe("UserMessage description"),
+      extension: z.string().optional().describe("Reserved"),
+      groupDesc: z.string().optional().describe("Group descriptions (comma separated)"),
+      groupNames: z.string().optional().describe("Group names (comma separator)"),
+      guid: z.string().optional().describe("Guid"),
+      id: z.number().optional().describe("UserMessage ID"),
+      isCompleted: z.boolean().optional().describe("Is completed"),
+      isIncident: z.boolean().optional().describe("UserMessage incident"),
+      isInProgress: z.boolean().optional().describe("Is in progress"),
+      photo: z.string().optional().describe("Photo"),
+      references: z.string().optional().describe("User message references"),
+      serverName: z.string().optional().describe("Server name (e.g., BONVIEU)"),
+      severity: z.number().optional().describe("Alarm severity"),
+      status: z.number().optional().describe("UserMessage status: 1:InProgress, 5:WaitAck, 10:Completed"),
+      statusToString: z.string().optional().describe("Status to string"),
+      to: z.string().optional().describe("UserMessage recipient: null, @All, Profile_Name, User_Name, MachineName"),
+      userIdClose: z.number().optional().describe("User ID who closed this message"),
+      userIdCreate: z.number().optional().describe("User ID who created this message"),
+      userNameClose: z.string().optional().describe("User name who closed this message"),
+      userNameCreate: z.string().optional().describe("User name who created this message"),
+      video: z.string().optional().describe("Video")
+  
+    },
+    async (args) =>
+      withClient("Error adding user message row", async (client) => {
+        await client.addUserMessageRow(toRowFields(args));
+        return textResult("User message row added successfully.");
+      })
+  );
+}
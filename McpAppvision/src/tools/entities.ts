@@ -0,0 +1,321 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import type { AppVisionEntity } from "n8n-nodes-appvision";
+import { z } from "zod";
+import { confirmChange, confirmShape } from "../confirmation.js";
+import { dataResult, pageShape, registerTool, textResult, withClient } from "../utils.js";
+
+/**
+ * Tool names of an entity. They are kept exactly as they were published, casing included,
+ * since MCP clients refer to tools by name.
+ */
+interface EntityToolNames {
+  states: string;
+  stateCount: string;
+  rowCount: string;
+  delete: string;
+  update: string;
+  add: string;
+  stateByName: string;
+  byName: string;
+  stateById: string;
+  statesByName: string;
+  byGuid: string;
+  byId: string;
+  rowsByName: string;
+}
+
+/**
+ * Registers the state and CRUD tools shared by areas, groups, protocols and variables.
+ *
+ * @param label - How the entity is written in descriptions and messages, e.g. "Area" or "group".
+ */
+export function registerEntityTools(
+  server: McpServer,
+  entity: AppVisionEntity,
+  label: string,
+  names: EntityToolNames
+) {
+  const labels = `${label}s`;
+
+  registerTool(
+    server,
+    names.states,
+    `Get all ${label} states from the AppVision client`,
+    {
+      name: z.string().optional().describe(`Optional, we do not need the name of the ${label}, if there is not name just use the tool anyway`),
+      ...pageShape,
+    },
+    async ({ offset, limit }) =>
+      withClient(`Error getting ${label} states`, async (client) =>
+        dataResult(`${label} states`, await client.getStates(entity), `Failed to retrieve ${label} states.`, { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    names.stateCount,
+    `Get the ${label} state count from the AppVision client`,
+    {
+      name: z.string().optional().describe(`Optional, we do not need the name of the ${label}, if there is not name just use the tool anyway`)
+    },
+    async () =>
+      withClient(`Error getting ${label} state count`, async (client) =>
+        dataResult(`${label} state count`, await client.getStateCount(entity), `Failed to retrieve ${label} state count.`)
+      )
+  );
+
+  registerTool(
+    server,
+    names.rowCount,
+    `Get the ${label} row count from the AppVision client`,
+    {
+      name: z.string().optional().describe(`Optional, we do not need the name of the ${label}, if there is not name just use the tool anyway`)
+    },
+    async () =>
+      withClient(`Error getting ${label} row count`, async (client) =>
+        dataResult(`${label} row count`, await client.getRowCount(entity), `Failed to retrieve ${label} row count.`)
+      )
+  );
+
+  registerTool(
+    server,
+    names.delete,
+    `Delete an existing ${label} from AppVision client`,
+    {
+      id: z.number().describe(`ID of the ${label} to delete`),
+      name: z.string().describe(`The name of the ${label} to delete`),
+      ...confirmShape,
+    },
+    async ({ id, name, confirmToken }) =>
+      withClient(`Error deleting ${label}`, async (client) => {
+        const refusal = await confirmChange(
+          server,
+          names.delete,
+          { id, name },
+          confirmToken,
+          `Delete the ${label} ${name} (ID ${id}) from the AppVision configuration.`
+        );
+        if (refusal) {
+          return refusal;
+        }
+        const deleted = await client.deleteRow(entity, { Id: id, Name: name });
+        return textResult(
+          deleted
+            ? `${label} with ID: ${id} and Name: ${name} deleted successfully.`
+            : `Failed to delete the ${label} with ID: ${id} and Name: ${name}.`
+        );
+      })
+  );
+
+  registerTool(
+    server,
+    names.update,
+    `Update an existing ${label} or create it if not found in AppVision client`,
+    {
+      id: z.number().optional().describe(`ID of the ${label}`),
+      name: z.string().describe(`The name of the ${label}`),
+      description: z.string().describe(`The description of the ${label}`),
+      ...confirmShape,
+    },
+    async ({ id, name, description, confirmToken }) =>
+      withClient(`Error updating ${label}`, async (client) => {
+        const row = id !== undefined ? await client.getRowById(entity, id) : await client.getRowByName(entity, name);
+        const refusal = await confirmChange(
+          server,
+          names.update,
+          { id, name, description },
+          confirmToken,
+          row
+            ? `Replace the ${label} ${name}${id !== undefined ? ` (ID ${id})` : ""} of the AppVision configuration, currently ` +
+                `${JSON.stringify(row)}, with the name ${JSON.stringify(name)} and the description ${JSON.stringify(description)} only: ` +
+                "its other fields are reset."
+            : `Create the ${label} ${name} in the AppVision configuration, with the description ${JSON.stringify(description)}.`
+        );
+        if (refusal) {
+          return refusal;
+        }
+        const updated = await client.updateRow(entity, { Id: id, Name: name, Description: description });
+        return textResult(updated ? `${label} updated successfully.` : `Failed to update the ${label}.`);
+      })
+  );
+
+  registerTool(
+    server,
+    names.add,
+    `Add a new ${label} in AppVision client`,
+    {
+      name: z.string().describe(`Name of the ${label}`),
+      description: z.string().describe(`Description of the ${label}`),
+    },
+    async ({ name, description }) =>
+      withClient(`Failed to add or update the ${label} ${name}`, async (client) => {
+        const id = await client.addRow(entity, { Name: name, Description: description });
+        return textResult(`${label} ${name} added or updated successfully. ${id}`);
+      })
+  );
+
+  registerTool(
+    server,
+    names.stateByName,
+    `Get ${label} state by name from AppVision client`,
+    {
+      name: z.string().describe(`Name of the ${label} whose state is to be retrieved`),
+    },
+    async ({ name }) =>
+      withClient(`Error getting ${label} state by name`, async (client) =>
+        dataResult(`${label} state for ${name}`, await client.getStateByName(entity, name), `No ${label} state found for the given name: ${name}.`)
+      )
+  );
+
+  registerTool(
+    server,
+    names.byName,
+    `Get a ${label} by name from AppVision client`,
+    {
+      name: z.string().optional().describe(`${label} name to retrieve the ${label} information`),
+      ...pageShape,
+    },
+    async ({ name, offset, limit }) =>
+      withClient(`Error getting ${label} by name`, async (client) => {
+        // Without a name, every row is returned.
+        const data = name ? await client.getRowByName(entity, name) : await client.getRows(entity);
+        return dataResult(`${label} found`, data, `${label} not found.`, { offset, limit });
+      })
+  );
+
+  registerTool(
+    server,
+    names.stateById,
+    `Get ${label} state by ID from AppVision client`,
+    {
+      id: z.string().describe(`ID of the ${label} whose state is to be retrieved`),
+    },
+    async ({ id }) =>
+      withClient(`Error getting ${label} state by ID`, async (client) =>
+        dataResult(`${label} state for ID ${id}`, await client.getStateById(entity, id), `No ${label} state found for the given ID: ${id}.`)
+      )
+  );
+
+  registerTool(
+    server,
+    names.statesByName,
+    `Get ${label} states by name pattern from AppVision client`,
+    {
+      pattern: z.string().describe(`Pattern name with a wildcard to filter ${labels}, e.g., G1.*`),
+      ...pageShape,
+    },
+    async ({ pattern, offset, limit }) =>
+      withClient(`Error getting ${label} states by name`, async (client) =>
+        dataResult(`${label} states found`, await client.getStatesByName(entity, pattern), `No ${label} states found for the given pattern.`, { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    names.byGuid,
+    `Get a ${label} by GUID from AppVision client`,
+    {
+      guid: z.string().describe(`GUID of the ${label} to retrieve the ${label} information`),
+    },
+    async ({ guid }) =>
+      withClient(`Error getting ${label} by GUID`, async (client) =>
+        dataResult(`${label} found`, await client.getRowByGuid(entity, guid), `${label} not found for the given GUID.`)
+      )
+  );
+
+  registerTool(
+    server,
+    names.byId,
+    `Get a ${label} by ID from AppVision client`,
+    {
+      id: z.string().describe(`${label} ID to retrieve the ${label} information`),
+    },
+    async ({ id }) =>
+      withClient(`Error getting ${label} by ID`, async (client) =>
+        dataResult(`${label} found`, await client.getRowById(entity, id), `${label} not found.`)
+      )
+  );
+
+  registerTool(
+    server,
+    names.rowsByName,
+    `Get ${labels} by pattern name from AppVision client`,
+    {
+      patternName: z.string().describe("Pattern name with generic character (e.g., G1.*)"),
+      ...pageShape,
+    },
+    async ({ patternName, offset, limit }) =>
+      withClient(`Error getting ${labels}`, async (client) =>
+        dataResult(`${labels} found`, await client.getRowsByName(entity, patternName), `No ${labels} found matching the pattern.`, { offset, limit })
+      )
+  );
+}
+
+/**
+ * Registers the tools of the four configuration entities.
+ */
+export function registerConfigurationTools(server: McpServer) {
+  registerEntityTools(server, "Area", "Area", {
+    states: "get-area-states",
+    stateCount: "get-area-state-count",
+    rowCount: "get-area-row-count",
+    delete: "delete-Area",
+    update: "update-area",
+    add: "add-Area",
+    stateByName: "get-Area-state-by-name",
+    byName: "get-area-by-name",
+    stateById: "get-area-state-by-id",
+    statesByName: "get-Area-states-by-name",
+    byGuid: "get-Area-by-guid",
+    byId: "get-Area-by-id",
+    rowsByName: "get-Areas-by-name",
+  });
+
+  registerEntityTools(server, "Variable", "variable", {
+    states: "get-variable-states",
+    stateCount: "get-variable-state-count",
+    rowCount: "get-variable-row-count",
+    delete: "delete-variable",
+    update: "update-variable",
+    add: "add-variable",
+    stateByName: "get-variable-state-by-name",
+    byName: "get-variable-by-name",
+    stateById: "get-variable-state-by-id",
+    statesByName: "get-variable-states-by-name",
+    byGuid: "get-Variable-by-guid",
+    byId: "get-Variable-by-id",
+    rowsByName: "get-Variables-by-name",
+  });
+
+  registerEntityTools(server, "Group", "group", {
+    states: "get-group-states",
+    stateCount: "get-group-state-count",
+    rowCount: "get-group-row-count",
+    delete: "delete-group",
+    update: "update-group",
+    add: "add-group",
+    stateByName: "get-group-state-by-name",
+    byName: "get-group-by-name",
+    stateById: "get-group-state-by-id",
+    statesByName: "get-group-states-by-name",
+    byGuid: "get-group-by-guid",
+    byId: "get-group-by-id",
+    rowsByName: "get-groups-by-name",
+  });
+
+  registerEntityTools(server, "Protocol", "Protocol", {
+    states: "get-protocol-states",
+    stateCount: "get-protocol-state-count",
+    rowCount: "get-protocol-row-count",
+    delete: "delete-Protocol",
+    update: "update-Protocol",
+    add: "add-Protocol",
+    stateByName: "get-Protocol-state-by-name",
+    byName: "get-Protocol-by-name",
+    stateById: "get-Protocol-state-by-id",
+    statesByName: "get-Protocol-states-by-name",
+    byGuid: "get-Protocol-by-guid",
+    byId: "get-Protocol-by-id",
+    rowsByName: "get-Protocols-by-name",
+  });
+}
@@ -0,0 +1,107 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { dataResult, registerTool, withClient } from "../utils.js";
+
+/**
+ * Registers the tools reading the alarm, event and user message history.
+ */
+export function registerHistoryTools(server: McpServer) {
+  registerTool(
+    server,
+    "get-histo-alarm-by-id",
+    "Get the historical alarm data by alarm ID",
+    {
+      alarmId: z.string().describe("The ID of the alarm to retrieve history for")
+    },
+    async ({ alarmId }) =>
+      withClient("Error retrieving alarm history", async (client) =>
+        dataResult(`Historical alarm data for ID ${alarmId}`, await client.getHistoAlarmById(alarmId), `No history found for alarm ID ${alarmId}.`)
+      )
+  );
+
+  registerTool(
+    server,
+    "get-histo-event-by-id",
+    "Get the historical event data by event ID",
+    {
+      eventId: z.string().describe("The ID of the event to retrieve history for")
+    },
+    async ({ eventId }) =>
+      withClient("Error retrieving event history", async (client) =>
+        dataResult(`Historical event data for ID ${eventId}`, await client.getHistoEventById(eventId), `No history found for event ID ${eventId}.`)
+      )
+  );
+
+  registerTool(
+    server,
+    "get-histo-alarms-by-page",
+    "Get historical alarms by page with specific filters and parameters",
+    {
+      page: z.number().describe("The page number to retrieve"),
+      pageSize: z.number().describe("The number of alarms per page"),
+      orderByDateReceive: z.boolean().describe("Whether to order alarms by DateReceive or Date"),
+      dateStart: z.string().describe("The start date for the search in invariant format"),
+      filters: z.string().describe("The filters to apply to retrieve alarms, separated by commas"),
+      types: z.string().describe("The alarm types as integers, separated by commas"),
+      userIds: z.string().describe("The user IDs as integers, separated by commas"),
+      filterInstruction: z.string().optional().describe("Optional filter for instruction"),
+      filterReport: z.string().optional().describe("Optional filter for report")
+    },
+    async (params) =>
+      withClient("Error retrieving historical alarms", async (client) =>
+        dataResult("Historical alarms retrieved successfully", await client.getHistoAlarmsByPage(params), "No historical alarms found with the given parameters.")
+      )
+  );
+
+  registerTool(
+    server,
+    "get-histo-events-by-page",
+    "Get historical events by page with specific filters and parameters",
+    {
+      page: z.number().describe("The page number to retrieve"),
+      pageSize: z.number().describe("The number of events per page"),
+      orderByDateReceive: z.boolean().describe("Whether to order events by DateReceive or Date"),
+      dateStart: z.string().describe("The start date for the search in invariant format"),
+      filters: z.string().describe("The filters to apply to retrieve events, separated by commas"),
+      types: z.string().describe("The event types as integers, separated by commas"),
+      subtypes: z.string().describe("The event subtypes as integers, separated by commas")
+    },
+    async (params) =>
+      withClient("Error retrieving historical events", async (client) =>
+        dataResult("Historical events retrieved successfully", await client.getHistoEventsByPage(params), "No historical events found with the given parameters.")
+      )
+  );
+
+  registerTool(
+    server,
+    "get-histo-user-messages-by-page",
+    "Get historical user messages by page with specific filters and parameters",
+    {
+      page: z.number().describe("The page number to retrieve"),
+      pageSize: z.number().describe("The number of messages per page"),
+      dateStart: z.string().describe("The start date for the search in invariant format"),
+      filters: z.string().describe("The filters to apply to retrieve messages, separated by commas")
+    },
+    async (params) =>
+      withClient("Error retrieving historical user messages", async (client) =>
+        dataResult(
+          "Historical user messages retrieved successfully",
+          await client.getHistoUserMessagesByPage(params),
+          "No historical user messages found with the given parameters."
+        )
+      )
+  );
+
+  registerTool(
+    server,
+    "get-user-message-by-id",
+    "Get a specific user message by its ID from the AppVision service",
+    {
+      umId: z.string().describe("The ID of the user message to retrieve")
+    },
+    async ({ umId }) =>
+      withClient(`Error retrieving user message with ID ${umId}`, async (client) =>
+        dataResult("User message retrieved successfully", await client.getUserMessageById(umId), `User message with ID ${umId} not found.`)
+      )
+  );
+}
@@ -0,0 +1,77 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { dataResult, optionalName, pageShape, registerTool, textResult, withClient } from "../utils.js";
+
+/**
+ * Registers the holiday calendar tools.
+ */
+export function registerHolidayTools(server: McpServer) {
+  registerTool(
+    server,
+    "get-holidays",
+    "Get all holidays from AppVision",
+    {
+      name: optionalName(),
+      ...pageShape,
+    },
+    async ({ offset, limit }) =>
+      withClient("Error retrieving holidays", async (client) =>
+        dataResult("Holidays retrieved successfully", await client.getHolidays(), "Failed to retrieve holidays.", { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    "get-holiday",
+    "Get holiday details from AppVision",
+    {
+      id: z.number().describe("The ID of the holiday to fetch"),
+    },
+    async ({ id }) =>
+      withClient("Error retrieving holiday details", async (client) =>
+        dataResult("Holiday details retrieved successfully", await client.getHolidayById(id), `Holiday with ID ${id} not found.`)
+      )
+  );
+
+  registerTool(
+    server,
+    "get-holiday-by-date",
+    "Get holiday by date from AppVision",
+    {
+      date: z.string().describe("The date of the holiday in the format YYYYMMDD"),
+    },
+    async ({ date }) =>
+      withClient("Error retrieving holiday", async (client) =>
+        dataResult(`Holiday details for the date ${date}`, await client.getHolidayByDate(date), `No holiday found for the date: ${date}`)
+      )
+  );
+
+  registerTool(
+    server,
+    "add-holiday",
+    "Add a holiday to AppVision",
+    {
+      name: z.string().describe("Name of the holiday"),
+      description: z.string().describe("Description of the holiday"),
+      date: z.string().describe("Date of the holiday in the format YYYYMMDD"),
+    },
+    async ({ name, description, date }) =>
+      withClient("Error adding holiday", async (client) => {
+        const id = await client.addHoliday({ Name: name, Description: description, Date: date });
+        return textResult(id ? `Holiday ${name} added successfully with ID: ${id}` : `Failed to add holiday ${name}.`);
+      })
+  );
+
+  registerTool(
+    server,
+    "get-holiday-row-count",
+    "Get the total count of holidays from AppVision",
+    {
+      name: optionalName()
+    },
+    async () =>
+      withClient("Error retrieving holiday count", async (client) =>
+        dataResult("Total number of holidays", await client.getHolidayRowCount(), "Failed to retrieve the holiday count.")
+      )
+  );
+}
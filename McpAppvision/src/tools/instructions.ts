@@ -0,0 +1,103 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { confirmChange, confirmShape } from "../confirmation.js";
+import { dataResult, optionalName, pageShape, registerTool, textResult, withClient } from "../utils.js";
+
+/**
+ * Registers the alarm instruction tools.
+ */
+export function registerInstructionTools(server: McpServer) {
+  registerTool(
+    server,
+    "get-instructions",
+    "Get all instructions from AppVision",
+    {
+      name: optionalName(),
+      ...pageShape,
+    },
+    async ({ offset, limit }) =>
+      withClient("Error retrieving instructions", async (client) =>
+        dataResult("Instructions", await client.getInstructions(), "Failed to retrieve instructions.", { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    "get-instruction-by-id",
+    "Get a specific instruction by ID from AppVision",
+    {
+      id: z.string().describe("The ID of the instruction"),
+    },
+    async ({ id }) =>
+      withClient("Error retrieving instruction by ID", async (client) =>
+        dataResult("Instruction", await client.getInstructionById(id), `No instruction found with ID: ${id}`)
+      )
+  );
+
+  registerTool(
+    server,
+    "get-instruction-by-name",
+    "Get a specific instruction by name from AppVision",
+    {
+      name: z.string().describe("The name of the instruction"),
+    },
+    async ({ name }) =>
+      withClient("Error retrieving instruction by name", async (client) =>
+        dataResult("Instruction", await client.getInstructionByName(name), `No instruction found with name: ${name}`)
+      )
+  );
+
+  registerTool(
+    server,
+    "add-instruction",
+    "Add a new instruction to AppVision",
+    {
+      name: z.string().describe("Name of the instruction"),
+      description: z.string().describe("Description of the instruction"),
+    },
+    async ({ name, description }) =>
+      withClient("Error adding instruction", async (client) => {
+        const id = await client.addInstruction({ Name: name, Description: description });
+        return textResult(id ? `Instruction added successfully with ID: ${id}` : `Failed to add instruction: ${name}`);
+      })
+  );
+
+  registerTool(
+    server,
+    "delete-instruction",
+    "Delete an instruction from AppVision",
+    {
+      id: z.string().describe("ID of the instruction to be deleted"),
+      ...confirmShape,
+    },
+    async ({ id, confirmToken }) =>
+      withClient("Error deleting instruction", async (client) => {
+        const instruction = await client.getInstructionById(id);
+        const refusal = await confirmChange(
+          server,
+          "delete-instruction",
+          { id },
+          confirmToken,
+          `Delete the instruction ${id}${instruction?.Name ? ` (${instruction.Name})` : ""}.`
+        );
+        if (refusal) {
+          return refusal;
+        }
+        const deleted = await client.deleteInstruction(id);
+        return textResult(deleted ? `Instruction with ID: ${id} deleted successfully.` : `Failed to delete instruction with ID: ${id}`);
+      })
+  );
+
+  registerTool(
+    server,
+    "get-instruction-row-count",
+    "Get the count of instructions from the AppVision client",
+    {
+      name: z.string().describe("The name of the instruction"),
+    },
+    async () =>
+      withClient("Error getting instruction count", async (client) =>
+        dataResult("Instruction count", await client.getInstructionRowCount(), "Failed to retrieve instruction count.")
+      )
+  );
+}
@@ -0,0 +1,48 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { dataResult, pageShape, registerTool, withClient } from "../utils.js";
+
+/**
+ * Registers the user profile tools.
+ */
+export function registerProfileTools(server: McpServer) {
+  registerTool(
+    server,
+    "get-profile-by-name",
+    "Get a specific profile by name from the AppVision client",
+    {
+      name: z.string().describe("The name of the profile to retrieve"),
+    },
+    async ({ name }) =>
+      withClient(`Error getting profile by name ${name}`, async (client) =>
+        dataResult("Profile retrieved successfully", await client.getProfileByName(name), `No profile found with name: ${name}.`)
+      )
+  );
+
+  registerTool(
+    server,
+    "get-profile-by-id",
+    "Get a specific profile by ID from the AppVision client",
+    {
+      id: z.string().describe("The ID of the profile to retrieve"),
+    },
+    async ({ id }) =>
+      withClient(`Error getting profile for ID ${id}`, async (client) =>
+        dataResult("Profile retrieved successfully", await client.getProfileById(id), `No profile found for ID: ${id}.`)
+      )
+  );
+
+  registerTool(
+    server,
+    "get-profiles",
+    "Get all profiles from the AppVision client",
+    {
+      name: z.string().optional(),
+      ...pageShape,
+    },
+    async ({ offset, limit }) =>
+      withClient("Error getting profiles", async (client) =>
+        dataResult("Profiles retrieved successfully", await client.getProfiles(), "No profiles found.", { offset, limit })
+      )
+  );
+}
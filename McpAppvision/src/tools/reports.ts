@@ -0,0 +1,101 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { dataResult, optionalName, pageShape, registerTool, withClient } from "../utils.js";
+
+/**
+ * Registers the report and scenario tools.
+ */
+export function registerReportTools(server: McpServer) {
+  registerTool(
+    server,
+    "get-reports",
+    "Get all reports from the AppVision client",
+    {
+      name: optionalName(),
+      ...pageShape,
+    },
+    async ({ offset, limit }) =>
+      withClient("Error getting reports", async (client) =>
+        dataResult("Reports retrieved successfully", await client.getReports(), "Failed to retrieve reports.", { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    "get-report-by-name",
+    "Get a specific report by its name from the AppVision client",
+    {
+      name: optionalName()
+    },
+    async ({ name }) =>
+      withClient(`Error getting report with name ${name}`, async (client) =>
+        dataResult("Report retrieved successfully", await client.getReportByName(name ?? ""), `Failed to retrieve report with name ${name}.`)
+      )
+  );
+
+  registerTool(
+    server,
+    "get-text-report-row-count",
+    "Get the count of text reports available in the AppVision client",
+    {
+      name: optionalName()
+    },
+    async () =>
+      withClient("Error retrieving text report count", async (client) =>
+        dataResult("Text report count", await client.getTextReportRowCount(), "Failed to retrieve the text report count.")
+      )
+  );
+
+  registerTool(
+    server,
+    "get-scenarios",
+    "Get all scenarios from the AppVision service",
+    {
+      name: optionalName(),
+      ...pageShape,
+    },
+    async ({ offset, limit }) =>
+      withClient("Error retrieving scenarios", async (client) =>
+        dataResult("Scenarios retrieved successfully", await client.getScenarios(), "No scenarios found.", { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    "get-scenario",
+    "Get a specific scenario by its ID from the AppVision service",
+    {
+      id: z.string().describe("The ID of the scenario to retrieve")
+    },
+    async ({ id }) =>
+      withClient(`Error retrieving scenario with ID ${id}`, async (client) =>
+        dataResult("Scenario retrieved successfully", await client.getScenarioById(id), `Scenario with ID ${id} does not exist.`)
+      )
+  );
+
+  registerTool(
+    server,
+    "get-scenario-by-name",
+    "Get a specific scenario by its name from the AppVision service",
+    {
+      name: z.string().describe("The name of the scenario to retrieve")
+    },
+    async ({ name }) =>
+      withClient(`Error retrieving scenario with name ${name}`, async (client) =>
+        dataResult("Scenario retrieved successfully", await client.getScenarioByName(name), `Scenario with name ${name} does not exist.`)
+      )
+  );
+
+  registerTool(
+    server,
+    "get-scenario-row-count",
+    "Get the count of scenarios available in the AppVision service",
+    {
+      name: optionalName()
+    },
+    async () =>
+      withClient("Error retrieving scenario count", async (client) =>
+        dataResult("Scenario count", await client.getScenarioRowCount(), "Failed to retrieve the scenario count.")
+      )
+  );
+}
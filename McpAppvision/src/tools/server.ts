@@ -0,0 +1,186 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { confirmChange, confirmShape } from "../confirmation.js";
+import { dataResult, optionalName, pageShape, registerTool, textResult, withClient } from "../utils.js";
+
+/**
+ * Registers the tools about the server itself: supervision, options, licenses and connected clients.
+ */
+export function registerServerTools(server: McpServer) {
+  registerTool(
+    server,
+    "get-server-state",
+    "Get the current server state from the AppVision service",
+    {
+      name: optionalName()
+    },
+    async () =>
+      withClient("Error retrieving server state", async (client) =>
+        dataResult("Server state retrieved successfully", await client.getServerState(), "No server state information found.")
+      )
+  );
+
+  registerTool(
+    server,
+    "start-supervision",
+    "Start the supervision process in AppVision.",
+    {
+      name: optionalName()
+    },
+    async () =>
+      withClient("Error starting supervision", async (client) => {
+        await client.startSupervision();
+        return textResult("Supervision started successfully.");
+      })
+  );
+
+  registerTool(
+    server,
+    "stop-supervision",
+    "Stop the supervision process in AppVision.",
+    {
+      restart: z.string().optional().describe("Whether to restart supervision (true/false)"),
+      ...confirmShape,
+    },
+    async ({ restart, confirmToken }) =>
+      withClient("Error stopping supervision", async (client) => {
+        const refusal = await confirmChange(
+          server,
+          "stop-supervision",
+          { restart },
+          confirmToken,
+          restart === "true"
+            ? "Stop and restart the AppVision supervision: the site is not supervised until it has restarted."
+            : "Stop the AppVision supervision: the site is no longer supervised until it is started again."
+        );
+        if (refusal) {
+          return refusal;
+        }
+        await client.stopSupervision(restart === "true");
+        return textResult("Supervision stopped successfully.");
+      })
+  );
+
+  registerTool(
+    server,
+    "send-command-to-client",
+    "Send a command to the AppVision client",
+    {
+      clientName: z.string().describe("The client host name or protocol name starting with $P if applicable"),
+      command: z.string().describe("The command to send to the client"),
+      parameter: z.string().describe("Comma-separated parameters for the command")
+    },
+    async ({ clientName, command, parameter }) =>
+      withClient("Error sending command", async (client) => {
+        await client.sendCommandToClient(clientName, command, parameter);
+        return textResult(`Command '${command}' sent successfully to client '${clientName}'.`);
+      })
+  );
+
+  registerTool(
+    server,
+    "get-current-protocol",
+    "Get current protocol from AppVision client",
+    {
+      name: z.string().optional(),
+    },
+    async () =>
+      withClient("Error getting protocol", async (client) =>
+        dataResult("Current protocol", await client.getCurrentProtocol(), "No protocol connected.")
+      )
+  );
+
+  registerTool(
+    server,
+    "get-current-user",
+    "get current user in the server Appvision",
+    {
+      name: z.string().optional().describe("(optional) name")
+    },
+    async () =>
+      withClient("Error while fetching current users", async (client) =>
+        dataResult("Current user", await client.getCurrentUser(), "Failed to retrieve current users.")
+      )
+  );
+
+  registerTool(
+    server,
+    "get-options",
+    "Get a list of options starting with a specific name from the AppVision service",
+    {
+      startName: z.string().describe("The starting name to filter options"),
+      ...pageShape,
+    },
+    async ({ startName, offset, limit }) =>
+      withClient("Error retrieving options", async (client) =>
+        dataResult("Options retrieved successfully", await client.getOptions(startName), "No options found starting with the provided name.", { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    "get-option",
+    "Get the value of a specific option by name from the AppVision service",
+    {
+      name: z.string().describe("The name of the option to retrieve")
+    },
+    async ({ name }) =>
+      withClient(`Error retrieving option with name ${name}`, async (client) =>
+        dataResult("Option value retrieved successfully", await client.getOption(name), `Option with name ${name} does not exist.`)
+      )
+  );
+
+  registerTool(
+    server,
+    "set-option",
+    "Set a specific option value in the AppVision service",
+    {
+      name: z.string().describe("The name of the option to set"),
+      value: z.string().describe("The value to set for the option"),
+      ...confirmShape,
+    },
+    async ({ name, value, confirmToken }) =>
+      withClient(`Error setting option ${name}`, async (client) => {
+        const current = await client.getOption(name);
+        const refusal = await confirmChange(
+          server,
+          "set-option",
+          { name, value },
+          confirmToken,
+          `Change the AppVision option ${name} from ${JSON.stringify(current ?? "")} to ${JSON.stringify(value)}.`
+        );
+        if (refusal) {
+          return refusal;
+        }
+        await client.setOption(name, value);
+        return textResult(`Option ${name} set successfully to value: ${value}`);
+      })
+  );
+
+  registerTool(
+    server,
+    "get-license-infos",
+    "Get all license information from the AppVision service",
+    {
+      name: optionalName(),
+      ...pageShape,
+    },
+    async ({ offset, limit }) =>
+      withClient("Error retrieving license information", async (client) =>
+        dataResult("License information retrieved successfully", await client.getLicenseInfos(), "No license information found.", { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    "get-license-info",
+    "Get specific license information by name from the AppVision service",
+    {
+      name: z.string().describe("The name of the license information to retrieve")
+    },
+    async ({ name }) =>
+      withClient(`Error retrieving license info with name ${name}`, async (client) =>
+        dataResult("License info retrieved successfully", await client.getLicenseInfo(name), `License info with name ${name} does not exist.`)
+      )
+  );
+}
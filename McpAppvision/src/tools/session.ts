@@ -0,0 +1,119 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { AppVisionLoginError } from "n8n-nodes-appvision";
+import { z } from "zod";
+import {
+  getConnectionOptions,
+  getCredentials,
+  getSessionPool,
+  logout,
+  setCredentials,
+  startNotificationPump,
+  takeNotifications,
+} from "../sessionManager.js";
+import { dataResult, errorResult, MAX_ITEMS, registerTool, textResult, withClient } from "../utils.js";
+
+/**
+ * Registers the tools opening, checking and closing the AppVision session.
+ */
+export function registerSessionTools(server: McpServer) {
+  registerTool(
+    server,
+    "login-session",
+    "Login to AppVision server and create session",
+    {
+      username: z.string().describe("Username to authenticate with"),
+      password: z.string().describe("Password to authenticate with"),
+    },
+    async ({ username, password }) => {
+      let connection;
+      try {
+        connection = getConnectionOptions();
+      } catch (error) {
+        return errorResult(`Invalid AppVision connection settings: ${(error as Error).message}`);
+      }
+      if (!connection) {
+        return errorResult("AppVision server address is not configured. Set the APPVISION_HOST environment variable.");
+      }
+
+      const credentials = { ...connection, username, password };
+      const client = getSessionPool().get(credentials);
+
+      const previous = getCredentials();
+      let sessionId: string;
+      try {
+        sessionId = await client.ensureSession();
+        // The pump enables the notifications of the session and keeps the resources up to date.
+        setCredentials(credentials);
+        await startNotificationPump();
+      } catch (error) {
+        setCredentials(previous);
+        await getSessionPool().release(credentials);
+        if (error instanceof AppVisionLoginError) {
+          return errorResult(error.message);
+        }
+        return errorResult(`Error retrieving sessionId: ${(error as Error).message}`);
+      }
+
+      return textResult(`Session created successfully: ${sessionId}`);
+    }
+  );
+
+  registerTool(
+    server,
+    "logout-session",
+    "to logout from Appvision",
+    {
+      name: z.string().optional().describe("(optional) name")
+    },
+    async () => {
+      if (!getCredentials()) {
+        return errorResult("No active session. Please log in first.");
+      }
+      try {
+        await logout();
+        return textResult("logout successfully.");
+      } catch (err) {
+        return errorResult(`Error logout ${err}`);
+      }
+    }
+  );
+
+  registerTool(
+    server,
+    "check-connection",
+    "check if the AppVision server is available",
+    {
+      name: z.string().optional().describe("(optional) name")
+    },
+    async () =>
+      withClient("AppVision server is NOT reachable", async (client) => {
+        await client.keepAlive();
+        return textResult("AppVision server is available.");
+      })
+  );
+
+  registerTool(
+    server,
+    "get-notification",
+    "get notification from AppVision client. Notifications are removed from the queue once returned: call the tool again for the next ones",
+    {
+      name: z.string().describe("optional name"),
+      // No offset: reading the queue consumes it, rows skipped could never be read again.
+      limit: z
+        .number()
+        .int()
+        .min(1)
+        .max(MAX_ITEMS)
+        .optional()
+        .describe(`Maximum number of notifications to take from the queue, 10 by default, ${MAX_ITEMS} at most`),
+    },
+    async ({ limit = 10 }) =>
+      withClient("Failed to retrieve notifications", async (client) =>
+        dataResult(
+          "Notifications",
+          takeNotifications(limit) ?? await client.getNotifications(limit),
+          "No notifications."
+        )
+      )
+  );
+}
@@ -0,0 +1,158 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { confirmChange, confirmShape } from "../confirmation.js";
+import { dataResult, optionalName, pageShape, registerTool, textResult, withClient } from "../utils.js";
+
+/**
+ * Registers the tools reading and writing variable values.
+ */
+export function registerVariableTools(server: McpServer) {
+  registerTool(
+    server,
+    "add-variables",
+    "Add variables to the AppVision client",
+    {
+      update: z.boolean().describe("Indicate if existing variables should be updated (true/false)"),
+      Id: z.number().describe("ID of the variable"),
+      Name: z.string().describe("Name of the variable"),
+      Description: z.string().optional().describe("Description of the variable"),
+    },
+    async ({ update, Id, Name, Description }) =>
+      withClient("Error adding variables", async (client) => {
+        const added = await client.addVariables([{ Id, Name, Description: Description || "" }], update);
+        return textResult(added === false ? "Failed to add variables." : "Variables added successfully.");
+      })
+  );
+
+  registerTool(
+    server,
+    "get-variables-excluded",
+    "Get variables excluded from AppVision client",
+    {
+      name: optionalName(),
+      ...pageShape,
+    },
+    async ({ offset, limit }) =>
+      withClient("Error retrieving excluded variables", async (client) =>
+        dataResult("Excluded variables", await client.getVariablesExcluded(), "No excluded variables found.", { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    "get-variables-by-protocol",
+    "Get variables from AppVision client by protocol",
+    {
+      protocolName: z.string().describe("The name of the protocol to filter variables by"),
+      ...pageShape,
+    },
+    async ({ protocolName, offset, limit }) =>
+      withClient(`Error retrieving variables for protocol ${protocolName}`, async (client) =>
+        dataResult(
+          `Variables retrieved for protocol ${protocolName}`,
+          await client.getVariablesByProtocol(protocolName),
+          `No variables found for the protocol ${protocolName}.`,
+          { offset, limit }
+        )
+      )
+  );
+
+  registerTool(
+    server,
+    "get-variables-by-filter",
+    "Get variables from AppVision client by filter",
+    {
+      filters: z.string().describe("Comma separated list of filters to apply, for example: $A.Area1,$G.Group1,$V.Variable1"),
+      ...pageShape,
+    },
+    async ({ filters, offset, limit }) =>
+      withClient("Error retrieving variables", async (client) =>
+        dataResult("Variables retrieved with filters", await client.getVariablesByFilter(filters), "No variables found for the specified filters.", { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    "get-variables-by-types",
+    "Get variables from AppVision client by types",
+    {
+      types: z.string().describe("type for variables to filtre"),
+      ...pageShape,
+    },
+    async ({ types, offset, limit }) =>
+      withClient("Error retrieving variables", async (client) =>
+        dataResult("Variables retrieved", await client.getVariablesByTypes(types), "No variables found for the specified types.", { offset, limit })
+      )
+  );
+
+  registerTool(
+    server,
+    "set-variable",
+    "Set a variable in the AppVision client. When executed succesfully call",
+    {
+      name: z.string().describe("Variable name"),
+      newValue: z.string().describe("The new value for the variable"),
+      info: z.string().optional().describe("Additional information"),
+      operation: z.string().optional().describe("Operation type (empty, @INIT, @CHANGEONLY)"),
+      severity: z.string().optional().describe("Severity of the alarm (0 to 100)"),
+      quality: z.string().optional().describe("Quality of the state (0 to 255)"),
+      ...confirmShape,
+    },
+    async ({ name, newValue, info, operation, severity, quality, confirmToken }) =>
+      withClient("Error setting variable", async (client) => {
+        const state = await client.getStateByName("Variable", name);
+        const current = state ? ` (current value ${JSON.stringify(state.Value ?? null)})` : " (variable not found)";
+        const refusal = await confirmChange(
+          server,
+          "set-variable",
+          { name, newValue, info, operation, severity, quality },
+          confirmToken,
+          `Set the variable ${name}${current} to ${JSON.stringify(newValue)}: the installation acts on the new value.`
+        );
+        if (refusal) {
+          return refusal;
+        }
+        await client.setVariable({
+          name,
+          value: newValue,
+          info,
+          operation,
+          severity: Number(severity || 0),
+          quality: Number(quality || 0),
+        });
+        return textResult("request sended.");
+      })
+  );
+
+  registerTool(
+    server,
+    "lock-variable",
+    "Lock or unlock a variable in AppVision.",
+    {
+      name: z.string().describe("The variable name to lock or unlock"),
+      isLocked: z.boolean().describe("True to lock the variable, false to unlock"),
+      val: z.string().describe("Variable state value (for locking only)"),
+      tempo: z.string().describe("Temporization for locking in milliseconds, 0 for no temporization"),
+      ...confirmShape,
+    },
+    async ({ name, isLocked, val, tempo, confirmToken }) =>
+      withClient("Error locking or unlocking the variable", async (client) => {
+        const state = await client.getStateByName("Variable", name);
+        const current = state ? ` (current value ${JSON.stringify(state.Value ?? null)})` : " (variable not found)";
+        const refusal = await confirmChange(
+          server,
+          "lock-variable",
+          { name, isLocked, val, tempo },
+          confirmToken,
+          isLocked
+            ? `Lock the variable ${name}${current} to the value ${JSON.stringify(val)}${Number(tempo) ? ` for ${tempo} ms` : ""}: the installation no longer updates it.`
+            : `Unlock the variable ${name}${current}: the installation updates it again.`
+        );
+        if (refusal) {
+          return refusal;
+        }
+        await client.lockVariable({ name, isLocked, value: val, tempo: Number(tempo || 0) });
+        return textResult(`Variable ${name} locked/unlocked successfully.`);
+      })
+  );
+}
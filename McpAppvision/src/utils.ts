@@ -1,27 +1,172 @@
-import { keepAlive, getSession, getIp } from "./sessionManager.js";
+import { McpServer, ToolCallback } from "@modelcontextprotocol/sdk/server/mcp.js";
+import type { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+import { AppVisionClient } from "n8n-nodes-appvision";
+import { z, ZodRawShape } from "zod";
+import { getSessionClient } from "./sessionManager.js";
+import { auditTool } from "./audit.js";
+import { log } from "./logging.js";
+import { getToolAccess, isToolEnabled } from "./toolProfiles.js";
+
+export type ToolResult = CallToolResult;
+
+/**
+ * Maximum number of rows returned by a single tool call, APPVISION_MCP_MAX_ITEMS or 50.
+ */
+export const MAX_ITEMS = Number(process.env.APPVISION_MCP_MAX_ITEMS) || 50;
+
+/**
+ * Output schema shared by every tool: a summary, plus the rows of a list or the single value
+ * returned by AppVision, already parsed from the WCF XML into JSON.
+ */
+export const resultShape = {
+  message: z.string().describe("Human readable summary of the result"),
+  items: z.array(z.unknown()).optional().describe("Rows returned, when the result is a list"),
+  total: z.number().optional().describe("Number of rows in the whole list"),
+  offset: z.number().optional().describe("Index of the first returned row"),
+  truncated: z.boolean().optional().describe("Whether rows after the returned ones were left out"),
+  nextOffset: z.number().optional().describe("Offset to pass to get the next rows, when truncated"),
+  value: z.unknown().optional().describe("Row or value returned, when the result is not a list"),
+};
 
 /**
- * Cette fonction permet de vérifier si une session est active et récupère l'IP.
- * Elle renvoie également les en-têtes nécessaires pour les requêtes HTTP.
- * 
- * @returns {Promise<{sessionId: string, ip: string, headers: Record<string, string>}>} 
- * Retourne un objet contenant sessionId, ip et les headers nécessaires.
+ * Paging arguments of the tools returning lists.
  */
-export async function getSessionAndHeaders(): Promise<{ sessionId: string, ip: string, headers: Record<string, string> } | null> {
-  keepAlive();
+export const pageShape = {
+  offset: z.number().int().min(0).optional().describe("Index of the first row to return, 0 by default"),
+  limit: z.number().int().min(1).optional().describe(`Maximum number of rows to return, ${MAX_ITEMS} by default`),
+};
 
-  const sessionId = getSession();
-  const ip = getIp();
+export interface Page {
+  offset?: number;
+  limit?: number;
+}
+
+/**
+ * Registers a tool with the shared output schema, unless the tool profile leaves it out. Calls of
+ * the tools writing to AppVision are recorded in the audit log.
+ */
+export function registerTool<Args extends ZodRawShape>(
+  server: McpServer,
+  name: string,
+  description: string,
+  inputSchema: Args,
+  callback: ToolCallback<Args>
+) {
+  if (!isToolEnabled(name)) {
+    return;
+  }
+  const handler = getToolAccess(name) === "read" ? callback : auditTool(server, name, callback);
+  server.registerTool(name, { description, inputSchema, outputSchema: resultShape }, handler);
+}
 
-  if (!sessionId) {
-    console.error('No active session. Please log in first.');
+/**
+ * Cette fonction renvoie le client AppVision du compte connecté.
+ *
+ * @returns {AppVisionClient | null} Le client, ou null si aucun compte n'est connecté.
+ */
+export function getClient(): AppVisionClient | null {
+  const client = getSessionClient();
+
+  if (!client) {
+    log.debug('No active session. Please log in first.');
     return null;
   }
 
-  const headers = {
-    'SessionID': sessionId,
-    'Content-Type': 'application/xml'
+  return client;
+}
+
+/**
+ * Wraps a message into a tool result.
+ */
+export function textResult(text: string): ToolResult {
+  return { content: [{ type: "text", text }], structuredContent: { message: text } };
+}
+
+/**
+ * Wraps a failure message into a tool result flagged as an error.
+ */
+export function errorResult(text: string): ToolResult {
+  return { ...textResult(text), isError: true };
+}
+
+/**
+ * Formats data returned by the AppVision client, or `emptyText` when the server returned nothing.
+ * Lists are cut to `page` (at most MAX_ITEMS rows by default) and the summary tells how to get the
+ * rows left out: with `offset` for the tools taking `pageShape`, by narrowing the request otherwise.
+ */
+export function dataResult(label: string, data: unknown, emptyText: string, page?: Page): ToolResult {
+  if (data === null || data === undefined || data === "" || (Array.isArray(data) && data.length === 0)) {
+    return textResult(emptyText);
+  }
+  if (!Array.isArray(data)) {
+    return {
+      content: [{ type: "text", text: `${label}: ${JSON.stringify(data)}` }],
+      structuredContent: { message: label, value: data },
+    };
+  }
+
+  const offset = page?.offset ?? 0;
+  const items = data.slice(offset, offset + (page?.limit ?? MAX_ITEMS));
+  const end = offset + items.length;
+  const truncated = end < data.length;
+
+  let message = `${label}: ${data.length} row(s)`;
+  if (items.length === 0) {
+    message += `, none from offset ${offset}.`;
+  } else if (items.length < data.length) {
+    message += `, showing ${offset + 1} to ${end}.`;
+  }
+  if (truncated) {
+    message += page
+      ? ` Call the tool again with offset ${end} to get the next rows.`
+      : " Narrow the request with filters to get the other rows.";
+  }
+
+  return {
+    content: [{ type: "text", text: `${message}\n${JSON.stringify(items)}` }],
+    structuredContent: {
+      message,
+      items,
+      total: data.length,
+      offset,
+      truncated,
+      ...(truncated && page ? { nextOffset: end } : {}),
+    },
   };
+}
+
+/**
+ * Runs a tool body with a client bound to the active session.
+ * A missing session or a failed request is reported as an error result prefixed with `errorLabel`.
+ */
+export async function withClient(
+  errorLabel: string,
+  run: (client: AppVisionClient) => Promise<ToolResult>
+): Promise<ToolResult> {
+  const client = getClient();
+  if (!client) {
+    return errorResult("No active session. Please log in first.");
+  }
+
+  try {
+    return await run(client);
+  } catch (err) {
+    return errorResult(`${errorLabel}: ${err instanceof Error ? err.message : err}`);
+  }
+}
 
-  return { sessionId, ip, headers };
+/**
+ * Converts tool arguments (camelCase) into DataContract fields (PascalCase).
+ */
+export function toRowFields(args: Record<string, unknown>): Record<string, unknown> {
+  return Object.fromEntries(
+    Object.entries(args).map(([key, value]) => [key.charAt(0).toUpperCase() + key.slice(1), value])
+  );
+}
+
+/**
+ * Placeholder argument for tools that need none: some MCP clients refuse tools without parameters.
+ */
+export function optionalName(what = "name") {
+  return z.string().optional().describe(`Optional, we do not need the ${what}, if there is not name just use the tool anyway`);
 }
@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { auditTool } from "../.tmp/build/audit.js";
+
+describe("auditTool", () => {
+  it("passes the arguments and the request context through to the tool", async () => {
+    const calls = [];
+    const callback = async (args, extra) => {
+      calls.push([args, extra]);
+      return { content: [{ type: "text", text: "Variable set." }], structuredContent: { message: "Variable set." } };
+    };
+    const audited = auditTool({}, "set-variable", callback);
+
+    const extra = { requestId: 1 };
+    const result = await audited({ name: "Porte", value: "1" }, extra);
+
+    assert.deepEqual(calls, [[{ name: "Porte", value: "1" }, extra]]);
+    assert.equal(result.structuredContent.message, "Variable set.");
+  });
+
+  it("rethrows the errors of the tool", async () => {
+    const audited = auditTool({}, "set-variable", async () => {
+      throw new Error("Refused");
+    });
+
+    await assert.rejects(audited({ name: "Porte" }, {}), /Refused/);
+  });
+});
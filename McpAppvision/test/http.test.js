@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { isLoopbackHost, startHttpServer } from "../.tmp/build/http.js";
+
+/** Address of a server started on port 0. */
+function baseUrl(server) {
+  const { address, port } = server.address();
+  return `http://${address.includes(":") ? `[${address}]` : address}:${port}`;
+}
+
+async function close(server) {
+  await new Promise((resolve) => server.close(resolve));
+}
+
+describe("isLoopbackHost", () => {
+  it("accepts the loopback names and addresses only", () => {
+    for (const host of ["localhost", "127.0.0.1", "127.1.2.3", "::1", "[::1]"]) {
+      assert.equal(isLoopbackHost(host), true, host);
+    }
+    for (const host of ["0.0.0.0", "::", "192.168.1.10", "appvision.local", "127.0.0.1.example.com"]) {
+      assert.equal(isLoopbackHost(host), false, host);
+    }
+  });
+});
+
+describe("startHttpServer", () => {
+  it("refuses to serve another host without a token", async () => {
+    await assert.rejects(startHttpServer({ host: "0.0.0.0", port: 0 }), /APPVISION_MCP_TOKEN is not set/);
+  });
+
+  it("serves another host without a token when explicitly allowed", async () => {
+    const server = await startHttpServer({ host: "0.0.0.0", port: 0, allowUnauthenticated: true });
+    await close(server);
+  });
+
+  it("serves the loopback interface without a token", async () => {
+    const server = await startHttpServer({ host: "127.0.0.1", port: 0 });
+    const response = await fetch(`${baseUrl(server)}/health`);
+    assert.equal(response.status, 200);
+    await close(server);
+  });
+
+  it("requires the bearer token when one is set", async () => {
+    const server = await startHttpServer({ host: "0.0.0.0", port: 0, token: "t0ken" });
+    const url = `${baseUrl(server).replace("0.0.0.0", "127.0.0.1")}/mcp`;
+    const body = JSON.stringify({ jsonrpc: "2.0", id: 1, method: "ping" });
+
+    const anonymous = await fetch(url, { method: "POST", body });
+    assert.equal(anonymous.status, 401);
+
+    const health = await fetch(url.replace("/mcp", "/health"));
+    assert.equal(health.status, 200);
+    await close(server);
+  });
+});
@@ -1,9 +1,8 @@
 import {
     ICredentialType,
     INodeProperties,
-    IAuthenticateGeneric,
   } from 'n8n-workflow';
-  
+
   export class AppVision implements ICredentialType {
     name = 'appVisionCredentials';
     displayName = 'AppVision Credentials';
@@ -33,22 +32,139 @@ import {
         type: 'string',
         required: true,
         default: '',
-        description: 'The IP address of the AppVision server',
+        description: 'The IP address or host name of the AppVision server',
+      },
+      {
+        displayName: 'Protocol',
+        name: 'protocol',
+        type: 'options',
+        options: [
+          {
+            name: 'HTTP',
+            value: 'http',
+          },
+          {
+            name: 'HTTPS',
+            value: 'https',
+          },
+        ],
+        default: 'http',
+        description: 'The protocol used to reach the AppVision service',
+      },
+      {
+        displayName: 'Port',
+        name: 'port',
+        type: 'number',
+        default: 0,
+        description: 'The port of the AppVision service. 0 uses the default port of the protocol.',
+      },
+      {
+        displayName: 'Base Path',
+        name: 'basePath',
+        type: 'string',
+        default: '/AppVisionService.svc',
+        description: 'The path of the AppVision service on the server',
+      },
+      {
+        displayName: 'Client Product Name',
+        name: 'clientProductName',
+        type: 'string',
+        default: 'TestClient',
+        description: 'The product name announced to AppVision when opening a session',
+      },
+      {
+        displayName: 'Timeout',
+        name: 'timeout',
+        type: 'number',
+        default: 30000,
+        description: 'Time in milliseconds to wait for an AppVision response',
+      },
+      {
+        displayName: 'Ignore TLS Errors',
+        name: 'ignoreTlsErrors',
+        type: 'boolean',
+        default: false,
+        displayOptions: {
+          show: {
+            protocol: ['https'],
+          },
+        },
+        description: 'Whether to connect even if the HTTPS certificate of the server cannot be verified',
+      },
+      {
+        displayName: 'CA Certificate',
+        name: 'ca',
+        type: 'string',
+        typeOptions: {
+          rows: 4,
+        },
+        default: '',
+        displayOptions: {
+          show: {
+            protocol: ['https'],
+          },
+        },
+        description: 'PEM bundle of the certificate authorities trusted to sign the server certificate, in addition to the system ones',
+      },
+      {
+        displayName: 'Client Certificate',
+        name: 'cert',
+        type: 'string',
+        typeOptions: {
+          rows: 4,
+        },
+        default: '',
+        displayOptions: {
+          show: {
+            protocol: ['https'],
+          },
+        },
+        description: 'PEM client certificate presented to the server for mutual TLS',
+      },
+      {
+        displayName: 'Client Key',
+        name: 'key',
+        type: 'string',
+        typeOptions: {
+          password: true,
+          rows: 4,
+        },
+        default: '',
+        displayOptions: {
+          show: {
+            protocol: ['https'],
+          },
+        },
+        description: 'PEM private key of the client certificate',
+      },
+      {
+        displayName: 'Client Key Passphrase',
+        name: 'passphrase',
+        type: 'string',
+        typeOptions: {
+          password: true,
+        },
+        default: '',
+        displayOptions: {
+          show: {
+            protocol: ['https'],
+          },
+        },
+        description: 'Passphrase of the client key, if it is encrypted',
+      },
+      {
+        displayName: 'Pinned Certificate Fingerprints',
+        name: 'pinnedFingerprints',
+        type: 'string',
+        default: '',
+        placeholder: 'AB:CD:EF:...',
+        displayOptions: {
+          show: {
+            protocol: ['https'],
+          },
+        },
+        description: 'Comma-separated SHA-256 fingerprints. When set, the server certificate or one of its issuers must match one of them. Cannot be combined with Ignore TLS Errors.',
       },
     ];
-
-    authenticate: IAuthenticateGeneric = {
-		type: 'generic',
-		properties: {
-			auth: {
-				username: '={{ $credentials.username }}',
-				password: '={{ $credentials.password }}',
-			},
-			qs: {
-                ip: '={{ $credentials.ip }}',  // Send the IP address along with the request
-              },
-		},
-	};
   }
-  
-  
\ No newline at end of file
+
@@ -1,13 +1,68 @@
 import type {
+    IDataObject,
     IExecuteFunctions,
     INodeExecutionData,
+    INodeParameterResourceLocator,
     INodeType,
     INodeTypeDescription,
 } from 'n8n-workflow';
-import { XMLParser } from 'fast-xml-parser';
-import { NodeConnectionType } from 'n8n-workflow';
-import fs from 'fs/promises';
-import path from 'path';
+import { NodeConnectionType, NodeOperationError } from 'n8n-workflow';
+import { installShutdownHooks, sessionPool } from '../../src';
+import type { AuditedWrite } from '../../src';
+import {
+    appVisionConnectionTest,
+    buildRow,
+    createCurrentAlarms,
+    getAppVisionCredentials,
+    getHistoryRows,
+    isToolOperationAllowed,
+    parseJsonObject,
+    toInvariantDate,
+    toRowFields,
+} from './GenericFunctions';
+import { ENTITY_RESOURCES, entityFields, entityOperations } from './EntityDescription';
+import { ROW_DATE_FIELDS, ROW_FIELD_COLLECTIONS, ROW_OPERATIONS, rowFields } from './RowDescription';
+import { normalizeRow, toNotificationPayload } from './NotificationPayloads';
+import { createAudit } from './AuditFunctions';
+import { notFoundError, toErrorJson, toNodeError } from './NodeErrors';
+import { getNodeMessage } from './NodeMessages';
+import { getLocator, listSearch, loadOptions } from './SearchFunctions';
+import type { NotFoundSubject } from './NodeErrors';
+import type { AppVisionRow } from '../../src';
+
+/** Élément désigné par les opérations auxquelles AppVision répond 400 quand il n'existe pas. */
+const NOT_FOUND_SUBJECTS: Record<string, NotFoundSubject> = {
+    acknowledgeAlarmById: 'alarm',
+    cancelAlarm: 'alarm',
+    lockVariable: 'variable',
+    maskAlarm: 'operationName',
+    resumeAlarmById: 'alarm',
+    sendCommandToClient: 'client',
+    setVariable: 'variable',
+    setVariableWithPulse: 'variable',
+    setVariableWithTempo: 'variable',
+    updateAlarm: 'alarm',
+};
+
+/** Opérations qui modifient les alarmes en cours : l'alarme du paramètre `alarmId`, ou toutes. */
+const ALARM_WRITES: Record<string, 'alarmId' | 'all'> = {
+    acknowledgeAlarmById: 'alarmId',
+    cancelAlarm: 'alarmId',
+    maskAlarm: 'all',
+    removeAllAlarms: 'all',
+    resumeAlarmById: 'alarmId',
+    updateAlarm: 'alarmId',
+};
+
+/**
+ * Variable renvoyée par les opérations de lecture : un état prend la forme typée des
+ * notifications VariableState du trigger, une définition a ses champs normalisés.
+ */
+function toVariableJson(operation: string, row: AppVisionRow): IDataObject {
+    return operation === 'getVariableState' || operation === 'getVariableStates'
+        ? toNotificationPayload('VariableState', row)
+        : normalizeRow(row);
+}
 
 export class AppvisionService implements INodeType {
     description: INodeTypeDescription = {
@@ -17,6 +72,7 @@ export class AppvisionService implements INodeType {
         group: ['transform'],
         version: 1,
         description: 'A web service for AppVision',
+        usableAsTool: true,
         defaults: {
             name: 'AppVision',
             color: '#',
@@ -27,6 +83,7 @@ export class AppvisionService implements INodeType {
             {
               name: 'appVisionCredentials',
               required: true,
+              testedBy: 'appVisionConnectionTest',
             },
           ],
         properties: [
@@ -39,21 +96,41 @@ export class AppvisionService implements INodeType {
                     {
                         name: 'Alarm',
                         value: 'alarm',
-                        description: 'Opérations liées aux alarmes',
+                        description: 'Read, acknowledge, mask and update AppVision alarms',
                     },
                     {
-                        name: 'Variable',
-                        value: 'variable',
-                        description: 'Opérations liées aux variables',
+                        name: 'Area',
+                        value: 'area',
+                        description: 'Areas of the AppVision configuration',
                     },
                     {
-                        name: 'Super Vision',
-                        value: 'superVision',
+                        name: 'Group',
+                        value: 'group',
+                        description: 'Groups of the AppVision configuration',
+                    },
+                    {
+                        name: 'History',
+                        value: 'history',
+                        description: 'History of the alarms, events and user messages',
                     },
                     {
                         name: 'Other Command',
                         value: 'other',
                     },
+                    {
+                        name: 'Protocol',
+                        value: 'protocol',
+                        description: 'Protocols of the AppVision configuration',
+                    },
+                    {
+                        name: 'Super Vision',
+                        value: 'superVision',
+                    },
+                    {
+                        name: 'Variable',
+                        value: 'variable',
+                        description: 'Read, write and lock AppVision variables',
+                    },
                 ],
                 default: 'alarm',
             },
@@ -68,44 +145,120 @@ export class AppvisionService implements INodeType {
                     },
                 },
                 options: [
+                    {
+                        name: 'Acknowledge Alarm By ID',
+                        value: 'acknowledgeAlarmById',
+                        description: 'Acknowledge an active alarm, given its numeric alarm ID (see Get Current Alarms). Returns the AppVision response.',
+                        action: 'Acknowledge an alarm',
+                    },
+                    {
+                        name: 'Cancel Alarm',
+                        value: 'cancelAlarm',
+                        description: 'Cancel an active alarm, given its numeric alarm ID and a comment explaining why',
+                        action: 'Cancel an alarm',
+                    },
+                    {
+                        name: 'Create Alarm',
+                        value: 'createAlarmRow',
+                        description: 'Raise a new alarm in AppVision with a description and optional source, severity and custom fields. Returns the GUID of the alarm.',
+                        action: 'Create an alarm',
+                    },
+                    {
+                        name: 'Create Event',
+                        value: 'createEventRow',
+                        description: 'Write a new event into the AppVision event log with a description and optional source, value and custom fields',
+                        action: 'Create an event',
+                    },
+                    {
+                        name: 'Create User Message',
+                        value: 'createUserMessageRow',
+                        description: 'Write a new user message (operator note or incident report) into AppVision',
+                        action: 'Create a user message',
+                    },
+                    {
+                        name: 'Get Alarm Event',
+                        value: 'getAlarmEvent',
+                        description: 'List the events attached to an alarm, given its numeric alarm ID',
+                        action: 'Get the events of an alarm',
+                    },
                     {
                         name: 'Get Current Alarms',
                         value: 'getCurrentAlarms',
-                        description: 'Retrieve the current alarms',
+                        description: 'List the alarms currently active in AppVision, with their ID, source, severity, status and dates',
+                        action: 'Get current alarms',
                     },
                     {
                         name: 'Remove All Alarms',
                         value: 'removeAllAlarms',
-                        description: 'Remove all alarms',
+                        description: 'Remove every active alarm from AppVision. Irreversible: only use when explicitly asked.',
+                        action: 'Remove all alarms',
+                    },
+                    {
+                        name: 'Resume Alarm By ID',
+                        value: 'resumeAlarmById',
+                        description: 'Resume the processing of an alarm, given its numeric alarm ID, optionally transferring it to another user',
+                        action: 'Resume an alarm',
                     },
                     {
                         name: 'Update Alarm',
                         value: 'updateAlarm',
-                        description: 'Update an existing alarm',
+                        description: 'Change fields (status, severity, instructions, report...) of an existing alarm, given its numeric alarm ID',
+                        action: 'Update an alarm',
                     },
+                ],
+                default: 'getCurrentAlarms',
+            },
+            {
+                displayName: 'Operation',
+                name: 'operation',
+                type: 'options',
+                noDataExpression: true,
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                    },
+                },
+                options: [
                     {
-                        name: 'Get Alarm Event',
-                        value: 'getAlarmEvent',
-                        description: 'Retrieve the current alarm events',
+                        name: 'Get Alarm History',
+                        value: 'getHistoAlarms',
+                        description: 'List past alarms received since a start date, optionally until an end date, with filters on type, subtype and user',
+                        action: 'Get alarm history',
                     },
                     {
-                        name: 'Acknowledge Alarm By Id',
-                        value: 'acknowledgeAlarmById',
-                        description: 'Acknowledge an alarm by its ID',
+                        name: 'Get Event History',
+                        value: 'getHistoEvents',
+                        description: 'List past events received since a start date, optionally until an end date, with filters on type, subtype and user',
+                        action: 'Get event history',
                     },
                     {
-                        name: 'Cancel Alarm',
-                        value: 'cancelAlarm',
-                        description: 'Cancel an existing alarm',
+                        name: 'Get Historical Alarm By ID',
+                        value: 'getHistoAlarmById',
+                        description: 'Read one past alarm, given its numeric ID in the alarm history',
+                        action: 'Get a historical alarm by ID',
                     },
                     {
-                        name: 'Resume Alarm By Id',
-                        value: 'resumeAlarmById',
-                        description: 'Resume an alarm by its ID',
+                        name: 'Get Historical Event By ID',
+                        value: 'getHistoEventById',
+                        description: 'Read one past event, given its numeric ID in the event history',
+                        action: 'Get a historical event by ID',
+                    },
+                    {
+                        name: 'Get User Message By ID',
+                        value: 'getUserMessageById',
+                        description: 'Read one user message, given its numeric ID',
+                        action: 'Get a user message by ID',
+                    },
+                    {
+                        name: 'Get User Message History',
+                        value: 'getHistoUserMessages',
+                        description: 'List user messages created since a start date, optionally until an end date',
+                        action: 'Get user message history',
                     },
                 ],
-                default: 'getCurrentAlarms',
+                default: 'getHistoAlarms',
             },
+            ...entityOperations,
             {
                 displayName: 'Operation',
                 name: 'operation',
@@ -118,31 +271,59 @@ export class AppvisionService implements INodeType {
                 },
                 options: [
                     {
-                        name: 'Set Variable',
-                        value: 'setVariable',
-                        description: 'Update a variable',
+                        name: 'Get Many Variable States',
+                        value: 'getVariableStates',
+                        description: 'Read the current value, quality and date of every variable, or of the variables whose name matches a pattern such as Building1.*',
+                        action: 'Get many variable states',
                     },
                     {
-                        name: 'Set Variable With Tempo',
-                        value: 'setVariableWithTempo',
-                        description: 'Update a variable with a delay',
+                        name: 'Get Many Variables',
+                        value: 'getVariables',
+                        description: 'List variable definitions (name, description, type, protocol) selected by name pattern, filter, protocol or types',
+                        action: 'Get many variables',
                     },
                     {
-                        name: 'Set Variable With Pulse',
-                        value: 'setVariableWithPulse',
-                        description: 'Update a variable with a pulse delay',
+                        name: 'Get Variable',
+                        value: 'getVariable',
+                        description: 'Read the definition of one variable, given its name, ID or GUID',
+                        action: 'Get a variable',
+                    },
+                    {
+                        name: 'Get Variable State',
+                        value: 'getVariableState',
+                        description: 'Read the current value, quality and date of one variable, given its name or ID',
+                        action: 'Get a variable state',
                     },
                     {
                         name: 'Lock Variable',
                         value: 'lockVariable',
-                        description: 'Lock or unlock a variable',
+                        description: 'Lock a variable to a forced value for a number of milliseconds, or unlock it',
+                        action: 'Lock or unlock a variable',
                     },
                     {
                         name: 'Mask Alarm',
                         value: 'maskAlarm',
-                        description: 'Mask or unmask an alarm',
-                    }
-
+                        description: 'Mask or unmask the alarms raised by a variable ($V.name), an area ($A.name) or a group ($G.name)',
+                        action: 'Mask or unmask alarms',
+                    },
+                    {
+                        name: 'Set Variable',
+                        value: 'setVariable',
+                        description: 'Write a new value to a variable, given its name. This acts on the real installation (doors, lights, outputs...).',
+                        action: 'Set a variable',
+                    },
+                    {
+                        name: 'Set Variable With Pulse',
+                        value: 'setVariableWithPulse',
+                        description: 'Write a start value to a variable, then an end value after a delay in milliseconds (e.g. open a door briefly)',
+                        action: 'Pulse a variable',
+                    },
+                    {
+                        name: 'Set Variable With Tempo',
+                        value: 'setVariableWithTempo',
+                        description: 'Write a new value to a variable after a delay in milliseconds',
+                        action: 'Set a variable after a delay',
+                    },
                 ],
                 default: 'setVariable',
             },
@@ -160,12 +341,14 @@ export class AppvisionService implements INodeType {
                     {
                         name: 'Start Supervision',
                         value: 'start',
-                        description: 'Activate server supervision'
+                        description: 'Start the AppVision server supervision',
+                        action: 'Start supervision',
                     },
                     {
                         name: 'Stop Supervision',
                         value: 'stop',
-                        description: 'Deactivate server supervision (with restart option)'
+                        description: 'Stop the AppVision server supervision, optionally restarting it',
+                        action: 'Stop supervision',
                     }
                 ],
                 default: 'start',
@@ -184,37 +367,44 @@ export class AppvisionService implements INodeType {
                     {
                         name: 'Send Command To Client',
                         value: 'sendCommandToClient',
-                        description: 'Send a command to the AppVision client',
+                        description: 'Send a command such as @Load or @Open to a connected AppVision client or protocol ($P.name)',
+                        action: 'Send a command to a client',
                     },
                     {
                         name: 'Add Modification',
                         value: 'addModification',
-                        description: 'Add a modification in AppVision',
+                        description: 'Record a modification of a configuration table so that clients and protocols reload it',
+                        action: 'Add a modification',
                     },
                     {
                         name: 'Get Users Connected',
                         value: 'getUsersConnected',
-                        description: 'Retrieve the list of connected users',
+                        description: 'List the users and clients currently connected to AppVision',
+                        action: 'Get connected users',
                     },
                     {
                         name: 'Get Current User',
                         value: 'getCurrentUser',
-                        description: 'Retrieve the currently connected user',
+                        description: 'Read the user of the session used by this node',
+                        action: 'Get the current user',
                     },
                     {
                         name: 'Get Protocols Connected',
                         value: 'getProtocolsConnected',
-                        description: 'Retrieve the list of connected protocols',
+                        description: 'List the protocols currently connected to AppVision',
+                        action: 'Get connected protocols',
                     },
                     {
                         name: 'Get Current Protocol',
                         value: 'getCurrentProtocol',
-                        description: 'Retrieve the currently connected protocol',
+                        description: 'Read the protocol of the session used by this node',
+                        action: 'Get the current protocol',
                     },
                     {
                         name: 'Send Download To Protocol',
                         value: 'sendDownloadToProtocol',
-                        description: 'Send a data download request to the protocol',
+                        description: 'Ask a protocol to download data (People, Rights, Timetables, Holidays, Modifications) for a list of variables',
+                        action: 'Send a download request to a protocol',
                     },
                 ],
                 default: 'start',
@@ -230,20 +420,46 @@ export class AppvisionService implements INodeType {
                         operation: ['lockVariable'],
                     },
                 },
-                description: 'Verrouiller (true) ou déverrouiller (false) la variable',
+                description: 'Whether to lock (true) or unlock (false) the variable',
             },
             {
-                displayName: 'Alarm Id',
+                displayName: 'Alarm',
                 name: 'alarmId',
-                type: 'string',
-                default: '',
+                type: 'resourceLocator',
+                default: { mode: 'list', value: '' },
                 displayOptions: {
                     show: {
-                        operation: ['getAlarmEvent', 'acknowledgeAlarmById', 'cancelAlarm', 'resumeAlarmById'],
+                        operation: ['getAlarmEvent', 'acknowledgeAlarmById', 'cancelAlarm', 'resumeAlarmById', 'updateAlarm'],
                     },
                 },
                 required: true,
-                description: 'Le nom de la variable à mettre à jour',
+                description: 'The alarm, chosen from the current alarms or given by its ID',
+                modes: [
+                    {
+                        displayName: 'From List',
+                        name: 'list',
+                        type: 'list',
+                        typeOptions: {
+                            searchListMethod: 'searchAlarms',
+                            searchable: true,
+                        },
+                    },
+                    {
+                        displayName: 'By ID',
+                        name: 'id',
+                        type: 'string',
+                        placeholder: '1234',
+                        validation: [
+                            {
+                                type: 'regex',
+                                properties: {
+                                    regex: '^[0-9]+$',
+                                    errorMessage: 'Not a valid alarm ID',
+                                },
+                            },
+                        ],
+                    },
+                ],
             },
             {
                 displayName: 'Comment',
@@ -251,7 +467,7 @@ export class AppvisionService implements INodeType {
                 type: 'string',
                 required: true,
                 default: '',
-                description: 'Commentaire expliquant l\'annulation de l\'alarme',
+                description: 'Comment explaining why the alarm is cancelled',
                 displayOptions: {
                     show: {
                         operation: ['cancelAlarm'],
@@ -259,17 +475,55 @@ export class AppvisionService implements INodeType {
                 },
             },
             {
-                displayName: 'Variable Name',
+                displayName: 'Variable',
                 name: 'name',
-                type: 'string',
-                default: '',
+                type: 'resourceLocator',
+                default: { mode: 'list', value: '' },
                 displayOptions: {
                     show: {
                         operation: ['setVariable', 'setVariableWithTempo', 'lockVariable', 'setVariableWithPulse'],
                     },
                 },
                 required: true,
-                description: 'Le nom de la variable à mettre à jour',
+                description: 'The variable to update',
+                modes: [
+                    {
+                        displayName: 'From List',
+                        name: 'list',
+                        type: 'list',
+                        typeOptions: {
+                            searchListMethod: 'searchVariables',
+                            searchable: true,
+                        },
+                    },
+                    {
+                        displayName: 'By Name',
+                        name: 'name',
+                        type: 'string',
+                        placeholder: 'Building1.Door1',
+                    },
+                    {
+                        displayName: 'By ID',
+                        name: 'id',
+                        type: 'string',
+                        placeholder: '42',
+                        validation: [
+                            {
+                                type: 'regex',
+                                properties: {
+                                    regex: '^[0-9]+$',
+                                    errorMessage: 'Not a valid variable ID',
+                                },
+                            },
+                        ],
+                    },
+                    {
+                        displayName: 'By GUID',
+                        name: 'guid',
+                        type: 'string',
+                        placeholder: '3f2504e0-4f89-11d3-9a0c-0305e82c3301',
+                    },
+                ],
             },
             {
                 displayName: 'New Value',
@@ -282,7 +536,7 @@ export class AppvisionService implements INodeType {
                     },
                 },
                 required: true,
-                description: 'La nouvelle valeur de la variable',
+                description: 'The new value of the variable',
             },
             {
                 displayName: 'Info',
@@ -294,7 +548,7 @@ export class AppvisionService implements INodeType {
                         operation: ['setVariable', 'addModification'],
                     },
                 },
-                description: 'Informations complémentaires (optionnel)',
+                description: 'Additional information (optional)',
             },
             {
                 displayName: 'Operation Type',
@@ -304,17 +558,17 @@ export class AppvisionService implements INodeType {
                     {
                         name: 'Normal',
                         value: '',
-                        description: 'Mise à jour normale',
+                        description: 'Normal update',
                     },
                     {
                         name: '@INIT',
                         value: '@INIT',
-                        description: 'Mise à jour lors de l\'initialisation',
+                        description: 'Update during initialisation',
                     },
                     {
                         name: '@CHANGEONLY',
                         value: '@CHANGEONLY',
-                        description: 'Mise à jour uniquement si la valeur change',
+                        description: 'Update only when the value changes',
                     },
                 ],
                 default: '',
@@ -323,7 +577,7 @@ export class AppvisionService implements INodeType {
                         operation: ['setVariable'],
                     },
                 },
-                description: 'Le type d\’opération à effectuer',
+                description: 'When AppVision applies the new value',
             },
             {
                 displayName: 'Severity',
@@ -335,7 +589,7 @@ export class AppvisionService implements INodeType {
                         operation: ['setVariable'],
                     },
                 },
-                description: 'La sévérité de l\’alarme (0: défaut, -1: aucune alarme, 1-100: sévérité spécifique)',
+                description: 'The severity of the alarm (0: default, -1: no alarm, 1-100: given severity)',
             },
             {
                 displayName: 'Quality',
@@ -347,7 +601,7 @@ export class AppvisionService implements INodeType {
                         operation: ['setVariable'],
                     },
                 },
-                description: 'La qualité de l\’état (0: défaut, 1-255: qualité spécifique)',
+                description: 'The quality of the state (0: default, 1-255: given quality)',
             },
             {
                 displayName: 'Tempo (ms)',
@@ -359,20 +613,89 @@ export class AppvisionService implements INodeType {
                         operation: ['setVariableWithTempo', 'setVariableWithPulse', 'lockVariable', 'maskAlarm'],
                     },
                 },
-                description: 'temporisation en millisecondes, la modification de la variable ne prend effet qu\’après X millisecondes.',
+                description: 'Delay in milliseconds before the change takes effect',
+            },
+            {
+                displayName: 'Update Fields',
+                name: 'alarmFields',
+                type: 'collection',
+                placeholder: 'Add Field',
+                default: {},
+                displayOptions: {
+                    show: {
+                        operation: ['updateAlarm'],
+                    },
+                },
+                options: [
+                    {
+                        displayName: 'Description',
+                        name: 'description',
+                        type: 'string',
+                        default: '',
+                        description: 'Description of the alarm',
+                    },
+                    {
+                        displayName: 'Info',
+                        name: 'info',
+                        type: 'string',
+                        default: '',
+                        description: 'Additional information',
+                    },
+                    {
+                        displayName: 'Instructions',
+                        name: 'instructions',
+                        type: 'string',
+                        default: '',
+                        description: 'Instructions for handling the alarm',
+                    },
+                    {
+                        displayName: 'Report',
+                        name: 'report',
+                        type: 'string',
+                        default: '',
+                        description: 'Report attached to the alarm',
+                    },
+                    {
+                        displayName: 'Severity',
+                        name: 'severity',
+                        type: 'number',
+                        default: 0,
+                        description: 'Severity of the alarm (1-100)',
+                    },
+                    {
+                        displayName: 'Source ID',
+                        name: 'sourceId',
+                        type: 'number',
+                        default: 0,
+                        description: 'ID of the source of the alarm (variable or user message)',
+                    },
+                    {
+                        displayName: 'State Description',
+                        name: 'stateDesc',
+                        type: 'string',
+                        default: '',
+                        description: 'Description of the state',
+                    },
+                    {
+                        displayName: 'Status',
+                        name: 'status',
+                        type: 'number',
+                        default: 0,
+                        description: 'Status of the alarm',
+                    },
+                ],
             },
             {
                 displayName: 'Alarm Data',
                 name: 'alarmData',
                 type: 'json',
-                default: '',
+                default: '{}',
                 displayOptions: {
                     show: {
                         operation: ['updateAlarm'],
                     },
                 },
-                required: true,
-                description: 'Les données de l\'alarme à mettre à jour (en JSON)',
+                description: 'Other AlarmRow fields to update, as JSON (e.g. {"Tag": "x"}). The fields above take precedence.',
             },
             {
                 displayName: 'Value ',
@@ -384,7 +707,7 @@ export class AppvisionService implements INodeType {
                         operation: ['lockVariable'],
                     },
                 },
-                description: 'La valeur de la variable lors du verrouillage',
+                description: 'The value of the variable while it is locked',
             },
             {
                 displayName: 'Start Value',
@@ -397,7 +720,7 @@ export class AppvisionService implements INodeType {
                         operation: ['setVariableWithPulse'],
                     },
                 },
-                description: 'La valeur de la variable au début de la temporisation',
+                description: 'The value of the variable at the start of the delay',
             },
             {
                 displayName: 'End Value',
@@ -410,7 +733,7 @@ export class AppvisionService implements INodeType {
                         operation: ['setVariableWithPulse'],
                     },
                 },
-                description: 'La valeur de la variable à la fin de la temporisation',
+                description: 'The value of the variable at the end of the delay',
             },
             {
                 displayName: 'Restart',
@@ -422,16 +745,33 @@ export class AppvisionService implements INodeType {
                         operation: ['stop'],
                     },
                 },
-                description: 'Optionnel : redémarrer la supervision après l\'arrêt',
+                description: 'Whether to restart the supervision after stopping it',
             },
 
             {
-                displayName: 'Client Name',
+                displayName: 'Client',
                 name: 'clientName',
-                type: 'string',
+                type: 'resourceLocator',
                 required: true,
-                default: '',
-                description: 'Nom du client ou nom du protocole du client (commence par $P pour les protocoles)',
+                default: { mode: 'list', value: '' },
+                description: 'Name of the client, or of its protocol (starting with $P for protocols)',
+                modes: [
+                    {
+                        displayName: 'From List',
+                        name: 'list',
+                        type: 'list',
+                        typeOptions: {
+                            searchListMethod: 'searchClients',
+                            searchable: true,
+                        },
+                    },
+                    {
+                        displayName: 'By Name',
+                        name: 'name',
+                        type: 'string',
+                        placeholder: '$P.Protocol1',
+                    },
+                ],
                 displayOptions: {
                     show: {
                         operation: ['sendCommandToClient'],
@@ -444,7 +784,7 @@ export class AppvisionService implements INodeType {
                 type: 'string',
                 required: true,
                 default: '',
-                description: 'La commande à envoyer (ex: @Load, @Open, etc.)',
+                description: 'The command to send (e.g. @Load, @Open)',
                 displayOptions: {
                     show: {
                         operation: ['sendCommandToClient'],
@@ -457,7 +797,7 @@ export class AppvisionService implements INodeType {
                 type: 'string',
                 required: true,
                 default: '',
-                description: 'Les paramètres de la commande (séparés par une virgule)',
+                description: 'The parameters of the command, separated by commas',
                 displayOptions: {
                     show: {
                         operation: ['sendCommandToClient'],
@@ -470,7 +810,7 @@ export class AppvisionService implements INodeType {
                 type: 'string',
                 required: true,
                 default: '',
-                description: 'Le nom de la table où la modification doit être ajoutée',
+                description: 'The name of the table the modification is added to',
                 displayOptions: {
                     show: {
                         operation: ['addModification'],
@@ -483,7 +823,7 @@ export class AppvisionService implements INodeType {
                 type: 'number',
                 required: true,
                 default: 0,
-                description: 'Le type de modification (entier)',
+                description: 'The type of modification (integer)',
                 displayOptions: {
                     show: {
                         operation: ['addModification'],
@@ -496,7 +836,7 @@ export class AppvisionService implements INodeType {
                 type: 'number',
                 required: true,
                 default: 0,
-                description: 'ID source de la modification',
+                description: 'Source ID of the modification',
                 displayOptions: {
                     show: {
                         operation: ['addModification'],
@@ -508,7 +848,7 @@ export class AppvisionService implements INodeType {
                 name: 'sourceId2',
                 type: 'number',
                 default: 0,
-                description: 'Deuxième ID source (optionnel)',
+                description: 'Second source ID (optional)',
                 displayOptions: {
                     show: {
                         operation: ['addModification'],
@@ -520,7 +860,7 @@ export class AppvisionService implements INodeType {
                 name: 'sourceId3',
                 type: 'number',
                 default: 0,
-                description: 'Troisième ID source (optionnel)',
+                description: 'Third source ID (optional)',
                 displayOptions: {
                     show: {
                         operation: ['addModification'],
@@ -533,7 +873,7 @@ export class AppvisionService implements INodeType {
                 type: 'number',
                 required: true,
                 default: 0,
-                description: 'ID utilisateur ayant effectué la modification',
+                description: 'ID of the user who made the modification',
                 displayOptions: {
                     show: {
                         operation: ['addModification'],
@@ -546,7 +886,7 @@ export class AppvisionService implements INodeType {
                 type: 'string',
                 required: true,
                 default: '',
-                description: 'Description de la modification',
+                description: 'Description of the modification',
                 displayOptions: {
                     show: {
                         operation: ['addModification'],
@@ -559,7 +899,7 @@ export class AppvisionService implements INodeType {
                 type: 'string',
                 required: true,
                 default: '',
-                description: 'Les noms des variables séparés par des virgules (ex: variable1,variable2)',
+                description: 'The names of the variables, separated by commas (e.g. variable1,variable2)',
                 displayOptions: {
                     show: {
                         operation: ['sendDownloadToProtocol'],
@@ -572,7 +912,7 @@ export class AppvisionService implements INodeType {
                 type: 'string',
                 required: true,
                 default: '',
-                description: 'Informations à télécharger (People, Rights, Timetables, Holidays, Modifications)',
+                description: 'Information to download (People, Rights, Timetables, Holidays, Modifications)',
                 displayOptions: {
                     show: {
                         operation: ['sendDownloadToProtocol'],
@@ -582,10 +922,27 @@ export class AppvisionService implements INodeType {
             {
                 displayName: 'Operation Name (opName)',
                 name: 'opName',
-                type: 'string',
+                type: 'resourceLocator',
                 required: true,
-                default: '',
-                description: 'Nom de l\'opération à masquer (ex: $V.variableName, $A.areaName, $G.groupName)',
+                default: { mode: 'list', value: '' },
+                description: 'Name of the operation to mask (e.g. $V.variableName, $A.areaName, $G.groupName)',
+                modes: [
+                    {
+                        displayName: 'From List',
+                        name: 'list',
+                        type: 'list',
+                        typeOptions: {
+                            searchListMethod: 'searchOperationNames',
+                            searchable: true,
+                        },
+                    },
+                    {
+                        displayName: 'By Name',
+                        name: 'name',
+                        type: 'string',
+                        placeholder: '$V.Building1.Door1',
+                    },
+                ],
                 displayOptions: {
                     show: {
                         operation: ['maskAlarm'],
@@ -598,7 +955,7 @@ export class AppvisionService implements INodeType {
                 type: 'boolean',
                 required: true,
                 default: true,
-                description: 'Masquer (true) ou démasquer (false) l\'alarme',
+                description: 'Whether to mask (true) or unmask (false) the alarm',
                 displayOptions: {
                     show: {
                         operation: ['maskAlarm'],
@@ -611,607 +968,887 @@ export class AppvisionService implements INodeType {
                 type: 'number',
                 required: true,
                 default: 0,
-                description: 'L\'ID de l\'utilisateur qui reprend l\'alarme, ou 0 pour l\'utilisateur actuel',
+                description: 'The ID of the user who resumes the alarm, or 0 for the current user',
                 displayOptions: {
                     show: {
                         operation: ['resumeAlarmById'],
                     },
                 },
             },
+            {
+                displayName: 'ID',
+                name: 'historyId',
+                type: 'string',
+                required: true,
+                default: '',
+                description: 'The ID of the alarm, event or user message',
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                        operation: ['getHistoAlarmById', 'getHistoEventById', 'getUserMessageById'],
+                    },
+                },
+            },
+            {
+                displayName: 'Start Date',
+                name: 'dateStart',
+                type: 'dateTime',
+                required: true,
+                default: '',
+                description: 'Date from which the history is read',
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                        operation: ['getHistoAlarms', 'getHistoEvents', 'getHistoUserMessages'],
+                    },
+                },
+            },
+            {
+                displayName: 'End Date',
+                name: 'dateEnd',
+                type: 'dateTime',
+                default: '',
+                description: 'Date after which the rows are left out (optional)',
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                        operation: ['getHistoAlarms', 'getHistoEvents', 'getHistoUserMessages'],
+                    },
+                },
+            },
+            {
+                displayName: 'Filters',
+                name: 'historyFilters',
+                type: 'string',
+                default: '',
+                placeholder: '$V.Building1.*, $A.Area1',
+                description: 'Name filters, separated by commas (optional)',
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                        operation: ['getHistoAlarms', 'getHistoEvents', 'getHistoUserMessages'],
+                    },
+                },
+            },
+            {
+                displayName: 'Types',
+                name: 'historyTypes',
+                type: 'string',
+                default: '',
+                placeholder: '1,2',
+                description: 'Alarm or event types, as integers separated by commas (optional)',
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                        operation: ['getHistoAlarms', 'getHistoEvents'],
+                    },
+                },
+            },
+            {
+                displayName: 'Subtypes',
+                name: 'historySubtypes',
+                type: 'string',
+                default: '',
+                description: 'Event subtypes, as integers separated by commas (optional)',
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                        operation: ['getHistoEvents'],
+                    },
+                },
+            },
+            {
+                displayName: 'User IDs',
+                name: 'historyUserIds',
+                type: 'string',
+                default: '',
+                description: 'User IDs, as integers separated by commas (optional)',
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                        operation: ['getHistoAlarms'],
+                    },
+                },
+            },
+            {
+                displayName: 'Instruction Filter',
+                name: 'filterInstruction',
+                type: 'string',
+                default: '',
+                description: 'Filter on the instructions of the alarm (optional)',
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                        operation: ['getHistoAlarms'],
+                    },
+                },
+            },
+            {
+                displayName: 'Report Filter',
+                name: 'filterReport',
+                type: 'string',
+                default: '',
+                description: 'Filter on the report of the alarm (optional)',
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                        operation: ['getHistoAlarms'],
+                    },
+                },
+            },
+            {
+                displayName: 'Order By Date Received',
+                name: 'orderByDateReceive',
+                type: 'boolean',
+                default: false,
+                description: 'Whether to order the rows by the date AppVision received them instead of their own date',
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                        operation: ['getHistoAlarms', 'getHistoEvents'],
+                    },
+                },
+            },
+            {
+                displayName: 'Return All',
+                name: 'returnAll',
+                type: 'boolean',
+                default: false,
+                description: 'Whether to return all results or only up to a given limit',
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                        operation: ['getHistoAlarms', 'getHistoEvents', 'getHistoUserMessages'],
+                    },
+                },
+            },
+            {
+                displayName: 'Limit',
+                name: 'limit',
+                type: 'number',
+                typeOptions: {
+                    minValue: 1,
+                },
+                default: 50,
+                description: 'Max number of results to return',
+                displayOptions: {
+                    show: {
+                        resource: ['history'],
+                        operation: ['getHistoAlarms', 'getHistoEvents', 'getHistoUserMessages'],
+                        returnAll: [false],
+                    },
+                },
+            },
+            {
+                displayName: 'Get By',
+                name: 'lookupBy',
+                type: 'options',
+                options: [
+                    {
+                        name: 'ID',
+                        value: 'id',
+                    },
+                    {
+                        name: 'Name',
+                        value: 'name',
+                    },
+                    {
+                        name: 'GUID',
+                        value: 'guid',
+                    },
+                ],
+                default: 'name',
+                description: 'How to find the variable',
+                displayOptions: {
+                    show: {
+                        resource: ['variable'],
+                        operation: ['getVariable'],
+                    },
+                },
+            },
+            {
+                displayName: 'Get By',
+                name: 'lookupBy',
+                type: 'options',
+                options: [
+                    {
+                        name: 'ID',
+                        value: 'id',
+                    },
+                    {
+                        name: 'Name',
+                        value: 'name',
+                    },
+                ],
+                default: 'name',
+                description: 'How to find the variable',
+                displayOptions: {
+                    show: {
+                        resource: ['variable'],
+                        operation: ['getVariableState'],
+                    },
+                },
+            },
+            {
+                displayName: 'Value',
+                name: 'lookupValue',
+                type: 'string',
+                required: true,
+                default: '',
+                description: 'The ID, name or GUID of the variable',
+                displayOptions: {
+                    show: {
+                        resource: ['variable'],
+                        operation: ['getVariable', 'getVariableState'],
+                    },
+                },
+            },
+            {
+                displayName: 'Select By',
+                name: 'selectBy',
+                type: 'options',
+                options: [
+                    {
+                        name: 'All',
+                        value: 'all',
+                        description: 'Every variable',
+                    },
+                    {
+                        name: 'Filter',
+                        value: 'filter',
+                        description: 'AppVision filters, separated by commas',
+                    },
+                    {
+                        name: 'Name Pattern',
+                        value: 'name',
+                        description: 'Name pattern with wildcards',
+                    },
+                    {
+                        name: 'Protocol',
+                        value: 'protocol',
+                        description: 'Variables of a protocol',
+                    },
+                    {
+                        name: 'Types',
+                        value: 'types',
+                        description: 'Variable types, separated by commas',
+                    },
+                ],
+                default: 'name',
+                description: 'How to select the variables',
+                displayOptions: {
+                    show: {
+                        resource: ['variable'],
+                        operation: ['getVariables'],
+                    },
+                },
+            },
+            {
+                displayName: 'Selection',
+                name: 'selectValue',
+                type: 'string',
+                required: true,
+                default: '',
+                placeholder: 'Building1.*',
+                description: 'The name pattern, the filters or the types',
+                displayOptions: {
+                    show: {
+                        resource: ['variable'],
+                        operation: ['getVariables'],
+                    },
+                    hide: {
+                        selectBy: ['all', 'protocol'],
+                    },
+                },
+            },
+            {
+                displayName: 'Protocol Name or ID',
+                name: 'protocolName',
+                type: 'options',
+                typeOptions: {
+                    loadOptionsMethod: 'getProtocols',
+                },
+                required: true,
+                default: '',
+                description: 'The protocol whose variables are read. Choose from the list, or specify an ID using an <a href="https://docs.n8n.io/code/expressions/">expression</a>.',
+                displayOptions: {
+                    show: {
+                        resource: ['variable'],
+                        operation: ['getVariables'],
+                        selectBy: ['protocol'],
+                    },
+                },
+            },
+            {
+                displayName: 'Name Pattern',
+                name: 'namePattern',
+                type: 'string',
+                default: '',
+                placeholder: 'Building1.*',
+                description: 'Name pattern with wildcards. Leave empty to get every variable.',
+                displayOptions: {
+                    show: {
+                        resource: ['variable'],
+                        operation: ['getVariableStates'],
+                    },
+                },
+            },
+            {
+                displayName: 'Return All',
+                name: 'returnAll',
+                type: 'boolean',
+                default: false,
+                description: 'Whether to return all results or only up to a given limit',
+                displayOptions: {
+                    show: {
+                        resource: ['variable'],
+                        operation: ['getVariables', 'getVariableStates'],
+                    },
+                },
+            },
+            {
+                displayName: 'Limit',
+                name: 'limit',
+                type: 'number',
+                typeOptions: {
+                    minValue: 1,
+                },
+                default: 50,
+                description: 'Max number of results to return',
+                displayOptions: {
+                    show: {
+                        resource: ['variable'],
+                        operation: ['getVariables', 'getVariableStates'],
+                        returnAll: [false],
+                    },
+                },
+            },
+            ...entityFields,
+            ...rowFields,
+            {
+                displayName: 'Tool Operations',
+                name: 'toolOperations',
+                type: 'string',
+                default: '',
+                noDataExpression: true,
+                placeholder: 'variable.*, alarm.acknowledgeAlarmById',
+                description: 'Operations an AI agent may call when the node is used as a tool, as resource.operation separated by commas, with * as wildcard. Leave empty to use the APPVISION_TOOL_OPERATIONS environment variable of n8n, or only the read operations when it is not set.',
+            },
 
         ],
         
     };
 
+    methods = {
+        credentialTest: {
+            appVisionConnectionTest,
+        },
+        listSearch,
+        loadOptions,
+    };
+
     async execute(this: IExecuteFunctions): Promise<INodeExecutionData[][]> {
         const credentials = await this.getCredentials('appVisionCredentials');
-        const ip = credentials?.ip;
+        const items = this.getInputData();
         const returnData: INodeExecutionData[] = [];
-        const operation = this.getNodeParameter('operation', 0) as string;
-        const parser = new XMLParser({ ignoreAttributes: false });
 
-        try {
-            const isDocker = () => require('fs').existsSync('/.dockerenv');
+        installShutdownHooks();
+        const appVisionCredentials = getAppVisionCredentials(credentials);
+        const client = sessionPool.get(appVisionCredentials);
+        // Utilisé comme outil par un agent IA, le node prend le type `<nom>Tool`
+        const isTool = this.getNode().type.endsWith('Tool');
+        // Liste propre au workflow, lue une seule fois : un item ne peut pas l'étendre
+        const toolOperations = isTool ? this.getNodeParameter('toolOperations', 0, '') as string : '';
+        // Alarmes en cours, lues une seule fois pour tous les items
+        const currentAlarms = createCurrentAlarms(client);
+        const startAudit = createAudit(this, client, appVisionCredentials, currentAlarms);
+
+        // Nom de la variable désignée par son nom, son ID ou son GUID
+        const getVariableName = async (itemIndex: number): Promise<string> => {
+            const { mode, value } = getLocator(this.getNodeParameter('name', itemIndex) as INodeParameterResourceLocator);
+            if (mode !== 'id' && mode !== 'guid') {
+                return value;
+            }
+            const row = mode === 'id'
+                ? await client.getRowById('Variable', value)
+                : await client.getRowByGuid('Variable', value);
+            if (!row?.Name) {
+                throw notFoundError(this.getNode(), 'variable', itemIndex, `Variable ${mode.toUpperCase()} ${value}`);
+            }
+            return String(row.Name);
+        };
+
+        // Ligne actuelle d'une alarme : parmi les alarmes en cours, sinon dans l'historique
+        const getAlarmRow = async (itemIndex: number, alarmId: string): Promise<AppVisionRow> => {
+            const row = await currentAlarms.find(alarmId) ?? await client.getHistoAlarmById(alarmId);
+            if (!row) {
+                throw notFoundError(this.getNode(), 'alarm', itemIndex, `Alarm ID ${alarmId}`);
+            }
+            return row;
+        };
 
-            const sessionFilePath = isDocker()
-                ? '/usr/local/lib/node_modules/n8n-nodes-appvision/dist/nodes/AppVision/session/sessionId.json'
-                : path.join(__dirname, 'session', 'sessionId.json');
+        for (let i = 0; i < items.length; i++) {
+            const pairedItem = { item: i };
+            let audit: AuditedWrite | null = null;
+            try {
+                const resource = this.getNodeParameter('resource', i) as string;
+                const operation = this.getNodeParameter('operation', i) as string;
 
-            console.log("Chemin :", sessionFilePath);
+                if (isTool && !isToolOperationAllowed(resource, operation, toolOperations)) {
+                    throw new NodeOperationError(this.getNode(), `The operation ${resource}.${operation} is not allowed for AI agents`, {
+                        itemIndex: i,
+                        description: 'Add it to the Tool Operations parameter of the node, or to the APPVISION_TOOL_OPERATIONS environment variable of n8n, to allow it.',
+                    });
+                }
 
-            let sessionId: string | null = null;
-            try {
-                const fileContent = await fs.readFile(sessionFilePath, 'utf-8');
-                const jsonData = JSON.parse(fileContent);
+                // Les écritures sont tracées dans le journal d'audit, avec la réponse de l'item
+                audit = await startAudit(resource, operation, i);
+                const outputIndex = returnData.length;
+
+                if (resource in ENTITY_RESOURCES) {
+                    const entity = ENTITY_RESOURCES[resource];
+
+                    if (operation === 'get' || operation === 'getState') {
+                        const lookupBy = this.getNodeParameter('lookupBy', i) as string;
+                        const lookupValue = this.getNodeParameter('lookupValue', i) as string;
+                        let row;
+                        if (operation === 'getState') {
+                            row = lookupBy === 'id'
+                                ? await client.getStateById(entity, lookupValue)
+                                : await client.getStateByName(entity, lookupValue);
+                        } else {
+                            row = lookupBy === 'id'
+                                ? await client.getRowById(entity, lookupValue)
+                                : lookupBy === 'guid'
+                                    ? await client.getRowByGuid(entity, lookupValue)
+                                    : await client.getRowByName(entity, lookupValue);
+                        }
+
+                        if (!row) {
+                            returnData.push({ pairedItem, json: { message: `${entity} not found: ${lookupValue}` } });
+                        } else {
+                            returnData.push({ pairedItem, json: row as IDataObject });
+                        }
+                    }
 
-                if (Array.isArray(jsonData) && jsonData.length > 0 && jsonData[0].sessionId) {
-                    sessionId = jsonData[0].sessionId;
-                    console.log(" Utilisation de la SessionID :", sessionId);
+                    if (operation === 'getAll' || operation === 'getStates') {
+                        const namePattern = this.getNodeParameter('namePattern', i) as string;
+                        const returnAll = this.getNodeParameter('returnAll', i) as boolean;
+                        let rows;
+                        if (operation === 'getStates') {
+                            rows = namePattern
+                                ? await client.getStatesByName(entity, namePattern)
+                                : await client.getStates(entity);
+                        } else {
+                            rows = namePattern
+                                ? await client.getRowsByName(entity, namePattern)
+                                : await client.getRows(entity);
+                        }
+                        rows = rows ?? [];
+                        if (!returnAll) {
+                            rows = rows.slice(0, this.getNodeParameter('limit', i) as number);
+                        }
+
+                        // Une ligne par item
+                        returnData.push(...rows.map((row) => ({ pairedItem, json: row as IDataObject })));
+                    }
 
-                }
-            } catch (err) {
-                returnData.push({ json: { error: 'Impossible de lire le fichier sessionId.json', details: err.message } });
-                return [returnData];
-            }
+                    if (operation === 'create' || operation === 'update') {
+                        const fields = this.getNodeParameter('entityFields', i) as string | IDataObject;
+                        const name = this.getNodeParameter('entityName', i) as string;
+                        const description = this.getNodeParameter('entityDescription', i) as string;
+                        const row: IDataObject = {
+                            ...parseJsonObject(this.getNode(), fields, 'Additional Fields', i),
+                            Name: name,
+                        };
+                        // Une description vide laisse celle de la ligne
+                        if (description) {
+                            row.Description = description;
+                        }
+
+                        if (operation === 'create') {
+                            const response = await client.addRow(entity, row);
+                            returnData.push({ pairedItem, json: { success: true, response } });
+                        } else {
+                            // UpdateRow remplace toute la ligne : les champs saisis sont fusionnés dans la ligne actuelle
+                            const id = this.getNodeParameter('entityId', i) as number;
+                            const current = id
+                                ? await client.getRowById(entity, id)
+                                : await client.getRowByName(entity, name);
+                            if (!current) {
+                                throw notFoundError(this.getNode(), 'row', i, `${entity} ${id ? `ID ${id}` : name}`);
+                            }
+                            const updated = await client.updateRow(entity, { ...current, ...row, Id: current.Id });
+                            returnData.push({ pairedItem, json: { success: updated === true } });
+                        }
+                    }
 
-            if (!sessionId) {
-                returnData.push({ json: { error: 'Aucun sessionId trouvé, veuillez vérifier votre fichier sessionId.json' } });
-                return [returnData];
-            }
+                    if (operation === 'delete') {
+                        const deleted = await client.deleteRow(entity, {
+                            Id: this.getNodeParameter('entityId', i) as number,
+                            Name: this.getNodeParameter('entityName', i) as string,
+                        });
+                        returnData.push({ pairedItem, json: { success: deleted === true } });
+                    }
 
-            console.log(" Utilisation du chemin :", sessionFilePath);
-            console.log(" Utilisation de la SessionID :", sessionId);
-
-            if (operation === 'setVariable') {
-                const name = this.getNodeParameter('name', 0) as string;
-                const newValue = this.getNodeParameter('newValue', 0) as string;
-                const info = this.getNodeParameter('info', 0) as string;
-                const operationType = this.getNodeParameter('operationType', 0) as string;
-
-                const now = new Date();
-                const date = now.toISOString();
-
-                const severity = this.getNodeParameter('severity', 0) as string;
-                const quality = this.getNodeParameter('quality', 0) as string;
-
-                const url = new URL(`http://${ip}/AppVisionService.svc/SetVariable`);
-                url.searchParams.append('name', name);
-                url.searchParams.append('newValue', newValue.toString());
-                if (info) url.searchParams.append('info', info);
-                url.searchParams.append('operation', operationType);
-                url.searchParams.append('date', date);
-                url.searchParams.append('severity', severity);
-                url.searchParams.append('quality', quality);
-
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
-                    returnData.push({ json: { success: true, response: response } });
-                } catch (error) {
-                    if (error.statusCode === 400) {
-                        returnData.push({ json: { success: false, error: 'La variable n\'existe pas.' } });
+                    await audit?.succeed(returnData[outputIndex]?.json);
+                    continue;
+                }
+
+                if (operation === 'getHistoAlarms' || operation === 'getHistoEvents' || operation === 'getHistoUserMessages') {
+                    const returnAll = this.getNodeParameter('returnAll', i) as boolean;
+                    const dateStart = toInvariantDate(this.getNodeParameter('dateStart', i) as string);
+                    const filters = this.getNodeParameter('historyFilters', i) as string;
+                    const options = {
+                        limit: returnAll ? undefined : this.getNodeParameter('limit', i) as number,
+                        dateEnd: this.getNodeParameter('dateEnd', i) as string,
+                    };
+
+                    let rows;
+                    if (operation === 'getHistoAlarms') {
+                        const orderByDateReceive = this.getNodeParameter('orderByDateReceive', i) as boolean;
+                        const types = this.getNodeParameter('historyTypes', i) as string;
+                        const userIds = this.getNodeParameter('historyUserIds', i) as string;
+                        const filterInstruction = this.getNodeParameter('filterInstruction', i) as string;
+                        const filterReport = this.getNodeParameter('filterReport', i) as string;
+                        rows = await getHistoryRows((page, pageSize) => client.getHistoAlarmsByPage({
+                            page, pageSize, orderByDateReceive, dateStart, filters, types, userIds, filterInstruction, filterReport,
+                        }), { ...options, orderByDateReceive });
+                    } else if (operation === 'getHistoEvents') {
+                        const orderByDateReceive = this.getNodeParameter('orderByDateReceive', i) as boolean;
+                        const types = this.getNodeParameter('historyTypes', i) as string;
+                        const subtypes = this.getNodeParameter('historySubtypes', i) as string;
+                        rows = await getHistoryRows((page, pageSize) => client.getHistoEventsByPage({
+                            page, pageSize, orderByDateReceive, dateStart, filters, types, subtypes,
+                        }), { ...options, orderByDateReceive });
                     } else {
-                        throw error;
+                        rows = await getHistoryRows((page, pageSize) => client.getHistoUserMessagesByPage({
+                            page, pageSize, dateStart, filters,
+                        }), options);
                     }
+
+                    // Une ligne d'historique par item
+                    returnData.push(...rows.map((row) => ({ pairedItem, json: row as IDataObject })));
                 }
-            }
 
-            if (operation == 'setVariableWithTempo') {
-                const name = this.getNodeParameter('name', 0) as string;
-                const tempo = this.getNodeParameter('tempo', 0) as string;
-                const newValue = this.getNodeParameter('newValue', 0) as string;
-
-                const url = new URL(`http://${ip}/AppVisionService.svc/SetVariableWithTempo`);
-                url.searchParams.append('name', name);
-                url.searchParams.append('tempo', tempo);
-                url.searchParams.append('newValue', newValue);
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
-                    returnData.push({ json: { success: true, response: response } });
-                } catch (error) {
-                    if (error.statusCode === 400) {
-                        returnData.push({ json: { success: false, error: 'La variable n\'existe pas.' } });
+                if (operation === 'getHistoAlarmById' || operation === 'getHistoEventById' || operation === 'getUserMessageById') {
+                    const historyId = this.getNodeParameter('historyId', i) as string;
+                    const row = operation === 'getHistoAlarmById'
+                        ? await client.getHistoAlarmById(historyId)
+                        : operation === 'getHistoEventById'
+                            ? await client.getHistoEventById(historyId)
+                            : await client.getUserMessageById(historyId);
+
+                    if (!row) {
+                        returnData.push({ pairedItem, json: { message: `${getNodeMessage('noHistoryRow')}: ${historyId}` } });
                     } else {
-                        throw error;
+                        returnData.push({ pairedItem, json: row as IDataObject });
                     }
                 }
 
-            }
+                if (operation === 'getVariable' || operation === 'getVariableState') {
+                    const lookupBy = this.getNodeParameter('lookupBy', i) as string;
+                    const lookupValue = this.getNodeParameter('lookupValue', i) as string;
+                    let row;
+                    if (operation === 'getVariableState') {
+                        row = lookupBy === 'id'
+                            ? await client.getStateById('Variable', lookupValue)
+                            : await client.getStateByName('Variable', lookupValue);
+                    } else {
+                        row = lookupBy === 'id'
+                            ? await client.getRowById('Variable', lookupValue)
+                            : lookupBy === 'guid'
+                                ? await client.getRowByGuid('Variable', lookupValue)
+                                : await client.getRowByName('Variable', lookupValue);
+                    }
 
-            if (operation === 'setVariableWithPulse') {
-                const name = this.getNodeParameter('name', 0) as string;
-                const tempo = this.getNodeParameter('tempo', 0) as number;
-                const valStart = this.getNodeParameter('valStart', 0) as string;
-                const valEnd = this.getNodeParameter('valEnd', 0) as string;
-
-                const url = new URL(`http://${ip}/AppVisionService.svc/SetVariableWithPulse`);
-                url.searchParams.append('name', name);
-                url.searchParams.append('tempo', tempo.toString());
-                url.searchParams.append('valStart', valStart);
-                url.searchParams.append('valEnd', valEnd);
-
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
-                    returnData.push({ json: { success: true, response: response } });
-                } catch (error) {
-                    if (error.statusCode === 400) {
-                        returnData.push({ json: { success: false, error: 'La variable n\'existe pas.' } });
+                    if (!row) {
+                        returnData.push({ pairedItem, json: { message: `Variable not found: ${lookupValue}` } });
                     } else {
-                        throw error;
+                        returnData.push({ pairedItem, json: toVariableJson(operation, row) });
                     }
                 }
-            }
 
-            if (operation === 'lockVariable') {
-                const name = this.getNodeParameter('name', 0) as string;
-                const isLocked = this.getNodeParameter('isLocked', 0) as boolean;
-                const val = this.getNodeParameter('val', 0) as string;
-                const tempo = this.getNodeParameter('tempo', 0) as number;
-
-                const url = new URL(`http://${ip}/AppVisionService.svc/LockVariable`);
-                url.searchParams.append('name', name);
-                url.searchParams.append('isLocked', isLocked.toString());
-                url.searchParams.append('val', val);
-                url.searchParams.append('tempo', tempo.toString());
-
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
-                    returnData.push({ json: { success: true, response: response } });
-                } catch (error) {
-                    if (error.statusCode === 400) {
-                        returnData.push({ json: { success: false, error: 'La variable n\'existe pas.' } });
+                if (operation === 'getVariables' || operation === 'getVariableStates') {
+                    const returnAll = this.getNodeParameter('returnAll', i) as boolean;
+                    let rows;
+                    if (operation === 'getVariableStates') {
+                        const namePattern = this.getNodeParameter('namePattern', i) as string;
+                        rows = namePattern
+                            ? await client.getStatesByName('Variable', namePattern)
+                            : await client.getStates('Variable');
                     } else {
-                        throw error;
+                        const selectBy = this.getNodeParameter('selectBy', i) as string;
+                        const selectValue = selectBy === 'all'
+                            ? ''
+                            : this.getNodeParameter(selectBy === 'protocol' ? 'protocolName' : 'selectValue', i) as string;
+                        if (selectBy === 'filter') {
+                            rows = await client.getVariablesByFilter(selectValue);
+                        } else if (selectBy === 'protocol') {
+                            rows = await client.getVariablesByProtocol(selectValue);
+                        } else if (selectBy === 'types') {
+                            rows = await client.getVariablesByTypes(selectValue);
+                        } else if (selectBy === 'name') {
+                            rows = await client.getRowsByName('Variable', selectValue);
+                        } else {
+                            rows = await client.getRows('Variable');
+                        }
                     }
+                    rows = rows ?? [];
+                    if (!returnAll) {
+                        rows = rows.slice(0, this.getNodeParameter('limit', i) as number);
+                    }
+
+                    // Une variable par item
+                    returnData.push(...rows.map((row) => ({ pairedItem, json: toVariableJson(operation, row) })));
                 }
-            }
 
-            if (operation === 'getCurrentAlarms') {
+                if (operation === 'setVariable') {
+                    const name = await getVariableName(i);
+                    const newValue = this.getNodeParameter('newValue', i) as string;
+                    const info = this.getNodeParameter('info', i) as string;
+                    const operationType = this.getNodeParameter('operationType', i) as string;
+                    const severity = this.getNodeParameter('severity', i) as number;
+                    const quality = this.getNodeParameter('quality', i) as number;
+
+                    const response = await client.setVariable({
+                        name,
+                        value: newValue,
+                        info,
+                        operation: operationType,
+                        severity,
+                        quality,
+                    });
+                    returnData.push({ pairedItem, json: { success: true, response } });
+                }
 
-                const url = new URL(`http://${ip}/AppVisionService.svc/GetCurrentAlarms`);
-                const response = await this.helpers.request({
-                    method: 'GET',
-                    url: url.toString(),
-                    headers: { SessionID: sessionId },
-                });
-                const parsedData = parser.parse(response);
-                const alarmsData = parsedData.ArrayOfAlarmRow.AlarmRow;
+                if (operation == 'setVariableWithTempo') {
+                    const name = await getVariableName(i);
+                    const tempo = this.getNodeParameter('tempo', i) as number;
+                    const newValue = this.getNodeParameter('newValue', i) as string;
 
-                if (!alarmsData || (Array.isArray(alarmsData) && alarmsData.length === 0)) {
-                    returnData.push({ json: { message: "Il n'y a pas d'alarme" } });
-                } else returnData.push({ json: { result: this.helpers.returnJsonArray(alarmsData) } });
+                    const response = await client.setVariableWithTempo(name, newValue, tempo);
+                    returnData.push({ pairedItem, json: { success: true, response } });
+                }
 
-            }
-            if (operation === 'getAlarmEvent') {
+                if (operation === 'setVariableWithPulse') {
+                    const name = await getVariableName(i);
+                    const tempo = this.getNodeParameter('tempo', i) as number;
+                    const valStart = this.getNodeParameter('valStart', i) as string;
+                    const valEnd = this.getNodeParameter('valEnd', i) as string;
 
-                const alarmId = this.getNodeParameter('alarmId', 0) as string;
-                const url = new URL(`http://${ip}/AppVisionService.svc/GetAlarmEvents`);
-                url.searchParams.append('alarmId', alarmId);
+                    const response = await client.setVariableWithPulse(name, tempo, valStart, valEnd);
+                    returnData.push({ pairedItem, json: { success: true, response } });
+                }
 
-                const response = await this.helpers.request({
-                    method: 'GET',
-                    url: url.toString(),
-                    headers: { SessionID: sessionId },
-                });
+                if (operation === 'lockVariable') {
+                    const name = await getVariableName(i);
+                    const isLocked = this.getNodeParameter('isLocked', i) as boolean;
+                    const val = this.getNodeParameter('val', i) as string;
+                    const tempo = this.getNodeParameter('tempo', i) as number;
 
-                const parsedData = parser.parse(response);
-                const alarmsData = parsedData.ArrayOfEventRow.EventRow;
+                    const response = await client.lockVariable({ name, isLocked, value: val, tempo });
+                    returnData.push({ pairedItem, json: { success: true, response } });
+                }
 
-                if (!alarmsData || (Array.isArray(alarmsData) && alarmsData.length === 0)) {
-                    returnData.push({ json: { message: "Il n'y a pas d'alarme" } });
-                } else returnData.push({ json: { result: this.helpers.returnJsonArray(alarmsData) } });
-            }
+                if (operation === 'getCurrentAlarms') {
+                    const alarmsData = await client.getCurrentAlarms();
 
-            if (operation === 'removeAllAlarms') {
-                const url = new URL(`http://${ip}/AppVisionService.svc/RemoveAllAlarms`);
-                try {
-                    await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
-                    returnData.push({ json: { result: "Il n'y a plus d'alarme" } });
-                } catch (error) {
-                    returnData.push({ json: { result: "Requete non etablie" } });
+                    if (alarmsData.length === 0) {
+                        returnData.push({ pairedItem, json: { message: getNodeMessage('noAlarm') } });
+                    } else returnData.push({ pairedItem, json: { result: this.helpers.returnJsonArray(alarmsData) } });
                 }
-            }
 
-            if (operation === 'maskAlarm') {
-                const opName = this.getNodeParameter('opName', 0) as string;
-                const isMasked = this.getNodeParameter('isMasked', 0) as boolean;
-                const tempo = this.getNodeParameter('tempo', 0) as number;
-
-                const url = new URL(`http://${ip}/AppVisionService.svc/MaskAlarm`);
-                url.searchParams.append('opName', opName);
-                url.searchParams.append('isMasked', isMasked.toString());
-                url.searchParams.append('tempo', tempo.toString());
-
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
-                    returnData.push({ json: { success: true, response: response } });
-                } catch (error) {
-                    if (error.statusCode === 400) {
-                        returnData.push({ json: { success: false, error: 'Le nom de l\'opération n\'existe pas.' } });
-                    } else {
-                        returnData.push({ json: { success: false, error: 'Erreur lors de l\'exécution de MaskAlarm' } });
-                    }
+                if (operation === 'getAlarmEvent') {
+                    const alarmId = getLocator(this.getNodeParameter('alarmId', i) as INodeParameterResourceLocator).value;
+                    const alarmsData = await client.getAlarmEvents(alarmId);
+
+                    if (alarmsData.length === 0) {
+                        returnData.push({ pairedItem, json: { message: getNodeMessage('noAlarm') } });
+                    } else returnData.push({ pairedItem, json: { result: this.helpers.returnJsonArray(alarmsData) } });
                 }
-            }
 
-            if (operation === 'acknowledgeAlarmById') {
-                const url = new URL(`http://${ip}/AppVisionService.svc/AcknowledgeAlarmById`);
-                const alarmId = this.getNodeParameter('alarmId', 0) as string;
+                if (operation === 'removeAllAlarms') {
+                    await client.removeAllAlarms();
+                    returnData.push({ pairedItem, json: { result: getNodeMessage('alarmsRemoved') } });
+                }
 
-                url.searchParams.append('id', alarmId);
-                try {
+                if (operation === 'maskAlarm') {
+                    const opName = getLocator(this.getNodeParameter('opName', i) as INodeParameterResourceLocator).value;
+                    const isMasked = this.getNodeParameter('isMasked', i) as boolean;
+                    const tempo = this.getNodeParameter('tempo', i) as number;
 
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
-                    returnData.push({ json: { message: response } });
+                    const response = await client.maskAlarm(opName, isMasked, tempo);
+                    returnData.push({ pairedItem, json: { success: true, response } });
+                }
+
+                if (operation === 'acknowledgeAlarmById') {
+                    const alarmId = getLocator(this.getNodeParameter('alarmId', i) as INodeParameterResourceLocator).value;
 
-                } catch (error) {
-                    returnData.push({ json: { result: "Requete non etablie" } });
+                    const response = await client.acknowledgeAlarmById(alarmId);
+                    returnData.push({ pairedItem, json: { message: response } });
                 }
-            }
 
-            if (operation === 'start') {
-                const url = new URL(`http://${ip}/AppVisionService.svc/StartSupervision`);
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
-                    returnData.push({ json: { success: true, response: response } });
-                } catch (error) {
-                    returnData.push({ json: { success: false, error: 'Erreur lors du démarrage de la supervision' } });
+                if (operation === 'start') {
+                    const response = await client.startSupervision();
+                    returnData.push({ pairedItem, json: { success: true, response } });
                 }
-            }
 
-            if (operation === 'stop') {
-                const restart = this.getNodeParameter('restart', 0) as boolean;
-                const url = new URL(`http://${ip}/AppVisionService.svc/StopSupervision?restart=${restart}`);
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
-                    returnData.push({ json: { success: true, response: response } });
-                } catch (error) {
-                    returnData.push({ json: { success: false, error: 'Erreur lors de l\'arrêt de la supervision' } });
+                if (operation === 'stop') {
+                    const restart = this.getNodeParameter('restart', i) as boolean;
+
+                    const response = await client.stopSupervision(restart);
+                    returnData.push({ pairedItem, json: { success: true, response } });
                 }
-            }
 
-            if (operation === 'sendCommandToClient') {
-                const clientName = this.getNodeParameter('clientName', 0) as string;
-                const command = this.getNodeParameter('command', 0) as string;
-                const parameters = this.getNodeParameter('parameters', 0) as string;
-
-                const url = new URL(`http://${ip}/AppVisionService.svc/SendCommandToClient`);
-                url.searchParams.append('clientName', clientName);
-                url.searchParams.append('command', command);
-                url.searchParams.append('parameter', parameters);
-
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
-                    returnData.push({ json: { success: true, response: response } });
-                } catch (error) {
-                    if (error.statusCode === 400) {
-                        returnData.push({ json: { success: false, error: 'Le nom du client n\'existe pas.' } });
-                    } else {
-                        returnData.push({ json: { success: false, error: 'Erreur lors de l\'envoi de la commande' } });
-                    }
+                if (operation === 'sendCommandToClient') {
+                    const clientName = getLocator(this.getNodeParameter('clientName', i) as INodeParameterResourceLocator).value;
+                    const command = this.getNodeParameter('command', i) as string;
+                    const parameters = this.getNodeParameter('parameters', i) as string;
+
+                    const response = await client.sendCommandToClient(clientName, command, parameters);
+                    returnData.push({ pairedItem, json: { success: true, response } });
                 }
-            }
-            if (operation === 'addModification') {
-                const table = this.getNodeParameter('table', 0) as string;
-                const type = this.getNodeParameter('type', 0) as number;
-                const sourceId = this.getNodeParameter('sourceId', 0) as number;
-                const sourceId2 = this.getNodeParameter('sourceId2', 0) as number;
-                const sourceId3 = this.getNodeParameter('sourceId3', 0) as number;
-                const userId = this.getNodeParameter('userId', 0) as number;
-                const description = this.getNodeParameter('description', 0) as string;
-                const info = this.getNodeParameter('info', 0) as string;
-
-                const url = new URL(`http://${ip}/AppVisionService.svc/AddModification`);
-                url.searchParams.append('table', table);
-                url.searchParams.append('type', type.toString());
-                url.searchParams.append('sourceId', sourceId.toString());
-                url.searchParams.append('sourceId2', sourceId2.toString());
-                url.searchParams.append('sourceId3', sourceId3.toString());
-                url.searchParams.append('userId', userId.toString());
-                url.searchParams.append('description', description);
-                url.searchParams.append('info', info);
-
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
+
+                if (operation === 'addModification') {
+                    const response = await client.addModification({
+                        table: this.getNodeParameter('table', i) as string,
+                        type: this.getNodeParameter('type', i) as number,
+                        sourceId: this.getNodeParameter('sourceId', i) as number,
+                        sourceId2: this.getNodeParameter('sourceId2', i) as number,
+                        sourceId3: this.getNodeParameter('sourceId3', i) as number,
+                        userId: this.getNodeParameter('userId', i) as number,
+                        description: this.getNodeParameter('description', i) as string,
+                        info: this.getNodeParameter('info', i) as string,
                     });
-                    returnData.push({ json: { success: true, response: response } });
-                } catch (error) {
-                    returnData.push({ json: { success: false, error: 'Erreur lors de l\'ajout de la modification' } });
+                    returnData.push({ pairedItem, json: { success: true, response } });
                 }
-            }
-            if (operation === 'getUsersConnected') {
-                const url = new URL(`http://${ip}/AppVisionService.svc/GetUsersConnected`);
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
 
-                    const parsedData = parser.parse(response);
-                    const clientsData = parsedData.ArrayOfClientInfo.ClientInfo;
+                if (operation === 'getUsersConnected') {
+                    const clientsData = await client.getUsersConnected();
 
-                    if (!clientsData || (Array.isArray(clientsData) && clientsData.length === 0)) {
-                        returnData.push({ json: { message: "Aucun utilisateur connecté" } });
+                    if (clientsData.length === 0) {
+                        returnData.push({ pairedItem, json: { message: getNodeMessage('noUserConnected') } });
                     } else {
-                        returnData.push({ json: { result: this.helpers.returnJsonArray(clientsData) } });
+                        returnData.push({ pairedItem, json: { result: this.helpers.returnJsonArray(clientsData) } });
                     }
-                } catch (error) {
-                    returnData.push({ json: { success: false, error: 'Erreur lors de la récupération des utilisateurs connectés' } });
                 }
-            }
-            if (operation === 'getCurrentUser') {
-                const url = new URL(`http://${ip}/AppVisionService.svc/GetCurrentUser`);
-
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
 
-                    const parsedData = parser.parse(response);
-                    const userData = parsedData.UserRow;
+                if (operation === 'getCurrentUser') {
+                    const userData = await client.getCurrentUser();
 
                     if (!userData) {
-                        returnData.push({ json: { message: "Aucun utilisateur connecté" } });
+                        returnData.push({ pairedItem, json: { message: getNodeMessage('noUserConnected') } });
                     } else {
-                        returnData.push({ json: { result: userData } });
+                        returnData.push({ pairedItem, json: { result: userData } });
                     }
-                } catch (error) {
-                    returnData.push({ json: { success: false, error: 'Erreur lors de la récupération de l\'utilisateur actuel' } });
                 }
-            }
-
-            if (operation === 'getProtocolsConnected') {
-                const url = new URL(`http://${ip}/AppVisionService.svc/GetProtocolsConnected`);
-
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
 
-                    const parsedData = parser.parse(response);
-                    const clientsData = parsedData.ArrayOfClientInfo.ClientInfo;
+                if (operation === 'getProtocolsConnected') {
+                    const clientsData = await client.getProtocolsConnected();
 
-                    if (!clientsData || (Array.isArray(clientsData) && clientsData.length === 0)) {
-                        returnData.push({ json: { message: "Aucun protocole connecté" } });
+                    if (clientsData.length === 0) {
+                        returnData.push({ pairedItem, json: { message: getNodeMessage('noProtocolConnected') } });
                     } else {
-                        returnData.push({ json: { result: this.helpers.returnJsonArray(clientsData) } });
+                        returnData.push({ pairedItem, json: { result: this.helpers.returnJsonArray(clientsData) } });
                     }
-                } catch (error) {
-                    returnData.push({ json: { success: false, error: 'Erreur lors de la récupération des protocoles connectés' } });
                 }
-            }
-
-            if (operation === 'getCurrentProtocol') {
-                const url = new URL(`http://${ip}/AppVisionService.svc/GetCurrentProtocol`);
-
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
 
-                    // Parser la réponse XML
-                    const parsedData = parser.parse(response);
-                    const protocolData = parsedData.ProtocolRow;
+                if (operation === 'getCurrentProtocol') {
+                    const protocolData = await client.getCurrentProtocol();
 
                     if (!protocolData) {
-                        returnData.push({ json: { message: "Aucun protocole connecté" } });
+                        returnData.push({ pairedItem, json: { message: getNodeMessage('noProtocolConnected') } });
                     } else {
-                        returnData.push({ json: { result: protocolData } });
+                        returnData.push({ pairedItem, json: { result: protocolData } });
                     }
-                } catch (error) {
-                    returnData.push({ json: { success: false, error: 'Erreur lors de la récupération du protocole actuel' } });
                 }
-            }
-
-            if (operation === 'sendDownloadToProtocol') {
-                const varNames = this.getNodeParameter('varNames', 0) as string;
-                const parameter = this.getNodeParameter('parameter', 0) as string;
 
-                const url = new URL(`http://${ip}/AppVisionService.svc/SendDownloadToProtocol`);
-                url.searchParams.append('varNames', varNames);
-                url.searchParams.append('parameter', parameter);
+                if (operation === 'sendDownloadToProtocol') {
+                    const varNames = this.getNodeParameter('varNames', i) as string;
+                    const parameter = this.getNodeParameter('parameter', i) as string;
 
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
-                    returnData.push({ json: { success: true, response: response } });
-                } catch (error) {
-                    returnData.push({ json: { success: false, error: 'Erreur lors de l\'envoi de la demande de téléchargement' } });
+                    const response = await client.sendDownloadToProtocol(varNames, parameter);
+                    returnData.push({ pairedItem, json: { success: true, response } });
                 }
-            }
-
-            if (operation === 'cancelAlarm') {
-                const alarmId = this.getNodeParameter('id', 0) as string;
-                const comment = this.getNodeParameter('comment', 0) as string;
-
-                const url = new URL(`http://${ip}/AppVisionService.svc/CancelAlarm`);
-                url.searchParams.append('id', alarmId);
-
-                // Créer le corps de la requête XML
-                const xmlBody = `<string>${comment}</string>`;
 
-                try {
-                    const response = await this.helpers.request({
-                        method: 'POST',
-                        url: url.toString(),
-                        headers: {
-                            'Cookie': `SessionID=${sessionId}`,
-                            'Content-Type': 'application/xml',
-                            'Content-Length': xmlBody.length.toString(),
-                        },
-                        body: xmlBody,
-                    });
+                if (operation === 'cancelAlarm') {
+                    const alarmId = getLocator(this.getNodeParameter('alarmId', i) as INodeParameterResourceLocator).value;
+                    const comment = this.getNodeParameter('comment', i) as string;
 
-                    returnData.push({ json: { success: true, response: response } });
-                } catch (error) {
-                    if (error.statusCode === 400) {
-                        returnData.push({ json: { success: false, error: 'L\'ID de l\'alarme n\'existe pas.' } });
-                    } else {
-                        returnData.push({ json: { success: false, error: 'Erreur lors de l\'annulation de l\'alarme' } });
-                    }
+                    const response = await client.cancelAlarm(alarmId, comment);
+                    returnData.push({ pairedItem, json: { success: true, response } });
                 }
-            }
-
-            if (operation === 'resumeAlarmById') {
-                const alarmId = this.getNodeParameter('id', 0) as string;
-                const transferUserId = this.getNodeParameter('transferUserId', 0) as number;
 
-                const url = new URL(`http://${ip}/AppVisionService.svc/ResumeAlarmById`);
-                url.searchParams.append('id', alarmId);
-                url.searchParams.append('transferUserId', transferUserId.toString());
-
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: url.toString(),
-                        headers: { SessionID: sessionId },
-                    });
+                if (operation === 'resumeAlarmById') {
+                    const alarmId = getLocator(this.getNodeParameter('alarmId', i) as INodeParameterResourceLocator).value;
+                    const transferUserId = this.getNodeParameter('transferUserId', i) as number;
 
-                    returnData.push({ json: { success: true, response: response } });
-                } catch (error) {
-                    if (error.statusCode === 400) {
-                        returnData.push({ json: { success: false, error: 'L\'ID de l\'alarme n\'existe pas.' } });
-                    } else {
-                        returnData.push({ json: { success: false, error: 'Erreur lors de la reprise de l\'alarme' } });
-                    }
+                    const response = await client.resumeAlarmById(alarmId, transferUserId);
+                    returnData.push({ pairedItem, json: { success: true, response } });
                 }
-            }
 
 
 
-            /** a voir plus tard
-            if (operation === 'updateAlarm') {
-                console.log("Exécution de UpdateAlarm");
-            
-                // Récupérer les données de l'alarme depuis les paramètres
-                const alarmData = this.getNodeParameter('alarmData', 0) as object;
+                if (ROW_OPERATIONS.includes(operation)) {
+                    const description = this.getNodeParameter('rowDescription', i) as string;
+                    const fields = this.getNodeParameter(ROW_FIELD_COLLECTIONS[operation], i) as IDataObject;
+                    const row = buildRow(description, fields, ROW_DATE_FIELDS[operation]);
 
-                if (!alarmData || Object.keys(alarmData).length === 0) {
-                    returnData.push({ json: { error: ' Aucune donnée d\'alarme fournie.' } });
-                    return [returnData];
+                    const response = operation === 'createAlarmRow'
+                        ? await client.addAlarmRow(row)
+                        : operation === 'createEventRow'
+                            ? await client.addEventRow(row)
+                            : await client.addUserMessageRow(row);
+                    returnData.push({ pairedItem, json: { success: true, guid: row.Guid as string, response } });
                 }
-                        
-                // Générer un XML correct avec `fast-xml-parser`
-                const builder = new XMLBuilder({
-                    format: true,
-                    ignoreAttributes: false,
-                    suppressEmptyNode: true,
-                });
-            
-                // Conversion correcte JSON → XML
-                const xmlAlarmData = builder.build({ AlarmRow: alarmData });
-            
-                console.log("XML envoyé :", xmlAlarmData);
-            
-                // Vérifier la longueur du XML pour `Content-Length`
-                const xmlBuffer = Buffer.from(xmlAlarmData, 'utf-8');
-                const contentLength = xmlBuffer.length;
-            
-                const url = new URL(`http://${ip}/AppVisionService.svc/UpdateAlarm`);
-            
-                try {
-                    const response = await this.helpers.request({
-                        method: 'POST',
-                        url: url.toString(),
-                        headers: {
-                            'Cookie': `SessionID=${sessionId}`,
-                            'Content-Type': 'application/xml',
-                            'Accept': 'application/xml',
-                            'Content-Length': contentLength.toString(),
-                        },
-                        body: `<AlarmRow>
-                        <Id>48</Id>
-                        <Description>Mise à jour de l'alarme</Description>
-                        <Severity>70</Severity>
-                        <SourceId>1006</SourceId>
-                      </AlarmRow>`
-                      ,
-                    });
-            
-                    const parser = new XMLParser({ ignoreAttributes: false });
-                    const parsedResponse = parser.parse(response);
-            
-                    const updateSuccess = parsedResponse.boolean === "true";
-            
-                    returnData.push({
-                        json: {
-                            success: updateSuccess,
-                            message: updateSuccess
-                                ? "Alarme mise à jour avec succès"
-                                : "Échec de la mise à jour de l'alarme",
-                        },
-                    });
-            
-                } catch (error) {
+
+                if (operation === 'updateAlarm') {
+                    const alarmId = getLocator(this.getNodeParameter('alarmId', i) as INodeParameterResourceLocator).value;
+                    const alarmData = this.getNodeParameter('alarmData', i) as string | IDataObject;
+                    const alarmFields = this.getNodeParameter('alarmFields', i) as IDataObject;
+
+                    // UpdateAlarm remplace toute la ligne : les champs renseignés sont fusionnés dans la ligne actuelle
+                    const row: IDataObject = {
+                        ...(await getAlarmRow(i, String(alarmId))),
+                        ...parseJsonObject(this.getNode(), alarmData, 'Alarm Data', i),
+                        ...toRowFields(alarmFields),
+                        Id: Number(alarmId),
+                    };
+                    const updated = await client.updateAlarm(row);
                     returnData.push({
+                        pairedItem,
                         json: {
-                            success: false,
-                            error: ` Erreur lors de l'envoi : ${error.message}`,
+                            success: updated === true,
+                            message: updated === true
+                                ? 'Alarm updated'
+                                : 'AppVision did not update the alarm',
                         },
                     });
                 }
-            
-                return [returnData];
-            }
-            */
 
-        } catch (error) {
-            returnData.push({ json: { success: false, error: error.message || error } });
+                // Les items suivants relisent les alarmes modifiées, pour la fusion et l'audit
+                if (ALARM_WRITES[operation] === 'alarmId') {
+                    currentAlarms.forget(getLocator(this.getNodeParameter('alarmId', i) as INodeParameterResourceLocator).value);
+                } else if (ALARM_WRITES[operation] === 'all') {
+                    currentAlarms.forget();
+                }
+                await audit?.succeed(returnData[outputIndex]?.json);
+            } catch (error) {
+                await audit?.fail(error);
+                const operation = this.getNodeParameter('operation', i, '') as string;
+                const nodeError = toNodeError(this.getNode(), error, {
+                    itemIndex: i,
+                    notFound: NOT_FOUND_SUBJECTS[operation],
+                });
+                if (this.continueOnFail()) {
+                    returnData.push({ pairedItem, json: toErrorJson(nodeError) });
+                    continue;
+                }
+                throw nodeError;
+            }
         }
 
         return [returnData];
     }
 }
-
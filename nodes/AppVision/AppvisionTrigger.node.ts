@@ -1,15 +1,37 @@
 import type {
+    IDataObject,
     ITriggerFunctions,
     INodeType,
     INodeTypeDescription,
     ITriggerResponse,
 } from 'n8n-workflow';
 import { NodeConnectionType } from 'n8n-workflow';
-import { XMLParser } from 'fast-xml-parser';
-import * as path from 'path';
-import { promises as fs } from 'fs';
-import { existsSync } from 'fs';
+import {
+    AppVisionLoginError,
+    AppVisionNotificationHub,
+    AppVisionSessionPool,
+    getBaseUrl,
+    installShutdownHooks,
+    logger,
+    matchesNotificationFilters,
+    notificationHub,
+    sessionPool,
+} from '../../src';
+import type { AppVisionRow } from '../../src';
+import {
+    CONNECTION_OUTPUT,
+    getAppVisionCredentials,
+    getNotificationFilters,
+    getNotificationKey,
+    getRowDate,
+    NOTIFICATION_OUTPUTS,
+    NOTIFICATION_TYPES,
+} from './GenericFunctions';
+import { toNodeError } from './NodeErrors';
+import { toNotificationPayload } from './NotificationPayloads';
 
+/** Nombre de notifications récentes mémorisées pour écarter les doublons. */
+const MAX_RECENT_KEYS = 1000;
 
 export class AppvisionTrigger implements INodeType {
     description: INodeTypeDescription = {
@@ -59,265 +81,257 @@ export class AppvisionTrigger implements INodeType {
               default: 1,
               description: 'Intervalle de récupération des notifications',
             },
+            {
+              displayName: 'Notification Types',
+              name: 'notificationTypes',
+              type: 'multiOptions',
+              options: [...NOTIFICATION_TYPES].sort().map((type) => ({ name: type, value: type })),
+              default: [...NOTIFICATION_TYPES],
+              description: 'Types de notifications à recevoir',
+            },
+            {
+              displayName: 'Name Filters',
+              name: 'nameFilters',
+              type: 'string',
+              default: '',
+              placeholder: '$V.Building1.*, $A.Area1',
+              description: 'Filtres de nom appliqués par le serveur AppVision, séparés par des virgules. Vide : toutes les notifications des types choisis.',
+            },
+            {
+              displayName: 'Resync on Reconnect',
+              name: 'resyncOnReconnect',
+              type: 'boolean',
+              default: true,
+              description: "Whether to re-read the variable states and current alarms after a reconnection, emitted with resync: true, since notifications are lost while the session is down. With Persist Checkpoint, also after a reactivation.",
+            },
+            {
+              displayName: 'Persist Checkpoint',
+              name: 'persistCheckpoint',
+              type: 'boolean',
+              default: false,
+              description: 'Whether to keep the date of the last notification in the workflow static data, so that a reactivation re-reads what changed since then when Resync on Reconnect is on',
+            },
+            {
+              displayName: 'Include Raw Payload',
+              name: 'includeRaw',
+              type: 'boolean',
+              default: false,
+              description: 'Whether to add the notification as received from AppVision under raw, for debugging',
+            },
+            {
+              displayName: 'Delivery Mode',
+              name: 'deliveryMode',
+              type: 'options',
+              options: [
+                {
+                  name: 'Shared Pump',
+                  value: 'shared',
+                  description: 'Un seul polling par credential, partagé par tous les triggers actifs',
+                },
+                {
+                  name: 'Dedicated Session',
+                  value: 'dedicated',
+                  description: 'Une session AppVision et un polling propres à ce trigger',
+                },
+              ],
+              default: 'shared',
+              description: 'Comment les notifications sont récupérées auprès du serveur AppVision',
+            },
           ],
     };
 
     async trigger(this: ITriggerFunctions): Promise<ITriggerResponse> {
         const credentials = await this.getCredentials('appVisionCredentials');
-        const username = credentials?.username;
-        const password = credentials?.password;
-        const ip = credentials?.ip;
+        const appVisionCredentials = getAppVisionCredentials(credentials);
+        const baseUrl = getBaseUrl(appVisionCredentials);
+        installShutdownHooks();
 
         const pollingInterval = (this.getNodeParameter('pollingInterval', 0) as number) * 1000;
-        const parser = new XMLParser({ ignoreAttributes: false });
+        const notificationTypes = this.getNodeParameter('notificationTypes', NOTIFICATION_TYPES) as string[];
+        const filters = getNotificationFilters(
+            notificationTypes,
+            this.getNodeParameter('nameFilters', '') as string,
+        );
+        const resyncOnReconnect = this.getNodeParameter('resyncOnReconnect', true) as boolean;
+        const persistCheckpoint = this.getNodeParameter('persistCheckpoint', false) as boolean;
+        const includeRaw = this.getNodeParameter('includeRaw', false) as boolean;
+        const staticData = this.getWorkflowStaticData('node');
 
-        let outputArray: Array<any[]> = [[], [], [], [], [], [], []];
-        console.log("Adresse utilisée pour AppVision :", ip);
+        // Journal sur stderr (voir AppVisionLogger), les entrées portant le nom du node
+        const log = logger.child(`trigger:${this.getNode().name}`);
+        log.debug('Connecting to AppVision', { server: baseUrl });
 
-
-        let sessionId: string | null = null;
+        // Mode partagé : un seul pump par credential pour tous les triggers, chacun recevant les
+        // notifications de ses filtres. Mode dédié : une session et un pump propres à ce trigger.
+        const pool = this.getNodeParameter('deliveryMode', 'shared') === 'dedicated'
+            ? new AppVisionSessionPool()
+            : sessionPool;
+        const hub = pool === sessionPool ? notificationHub : new AppVisionNotificationHub(pool);
+        // Les sessions d'un pool dédié sont elles aussi fermées à l'arrêt du process
+        const removeShutdownHook = pool === sessionPool ? undefined : installShutdownHooks(pool);
+        const subscription = hub.subscribe(appVisionCredentials, { interval: pollingInterval, filters });
+        // Clés des dernières notifications émises, pour écarter celles reçues deux fois
+        const recentKeys = new Set<string>();
+        // Date de la dernière notification émise : les lignes relues plus anciennes sont ignorées
+        let checkpoint = persistCheckpoint ? (staticData.lastNotificationDate as number | undefined) : undefined;
         let isActive = true;
-        let isFirstTime = true;
-        let isConnecting = false;
-
-        const waitForServer = async () => {
-            while (isActive) {
-                if (isConnecting) {
-                    console.log("Une reconnexion est deja en cours");
-                    await new Promise(resolve => setTimeout(resolve, 3000));
-                    continue;
-                }
-
-                isConnecting = true;
-                try {
-                    console.log("Verification de l'etat du serveur");
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: `http://${ip}/AppVisionService.svc/Open?clientProductName=TestClient`,
-                    });
-                    console.log("Adresse utilisée pour AppVision 2 :", ip);
-                    if (response) {
-                        console.log("OUI Serveur en ligne");
-                        isConnecting = false;
-                        return response.replace(/<[^>]+>/g, '');
-                    }
-                } catch (error) {
-                    console.error("Serveur hors ligne Attente avant une tentative ");
-                }
+        let isConnected = false;
+        let hasConnected = false;
 
-                isConnecting = false;
-                await new Promise(resolve => setTimeout(resolve, 2000));
+        const emitOutputs = (items: Array<{ output: number; json: IDataObject }>) => {
+            if (items.length === 0) {
+                return;
             }
+            const outputArray: IDataObject[][] = [[], [], [], [], [], [], [], []];
+            for (const { output, json } of items) {
+                outputArray[output].push(json);
+            }
+            this.emit(outputArray.map(output => output.length > 0 ? this.helpers.returnJsonArray(output) : []));
         };
 
-        const connectToServer = async () => {
-            sessionId = await waitForServer();
-            try {
-                const isDocker = () => existsSync('/.dockerenv');
-
-                const sessionFilePath = isDocker()
-                    ? '/usr/local/lib/node_modules/n8n-nodes-appvision/dist/nodes/AppVision/session/sessionId.json'
-                    : path.join(__dirname, 'session', 'sessionId.json');
+        const updateCheckpoint = (date: number | undefined) => {
+            if (date === undefined || (checkpoint !== undefined && date <= checkpoint)) {
+                return;
+            }
+            checkpoint = date;
+            if (persistCheckpoint) {
+                staticData.lastNotificationDate = date;
+            }
+        };
 
-                const content = JSON.stringify([{ sessionId , ip}], null, 2);
+        const isNew = (row: AppVisionRow) => {
+            const date = getRowDate(row);
+            return checkpoint === undefined || date === undefined || date > checkpoint;
+        };
 
-                await fs.writeFile(sessionFilePath, content, 'utf-8');
-                console.log("c'est bon c'est ecritg", sessionFilePath);
-            } catch (err: any) {
-                console.error("Err :", err.message);
+        // Élément émis pour une notification, avec sa forme brute sur option
+        const toJson = (type: string, data: AppVisionRow | undefined, raw: AppVisionRow, resync = false) => {
+            const json: IDataObject = toNotificationPayload(type, data);
+            if (resync) {
+                json.resync = true;
             }
-            const loginUrl = `http://${ip}/AppVisionService.svc/Login`;
-            const headers = { SessionID: sessionId, 'Content-Type': 'application/xml' };
-            const body = `
-            <ArrayOfNameValue xmlns="http://schemas.datacontract.org/2004/07/Prysm.AppVision.Common"
-            xmlns:i="http://www.w3.org/2001/XMLSchema-instance">
-            <NameValue><Name>username</Name><Value>${username}</Value></NameValue>
-            <NameValue><Name>password</Name><Value>${password}</Value></NameValue>
-            </ArrayOfNameValue>`;
-
-            await this.helpers.request({ method: 'POST', url: loginUrl, headers, body });
-            console.log("connexion réussie !!!!!!!!!");
-            outputArray = [[], [], [], [], [], [], [], []];
-            outputArray[6].push({
-                message: "Connection successful",
-            });
-            isFirstTime = true;
+            if (includeRaw) {
+                json.raw = raw as IDataObject;
+            }
+            return json;
         };
 
-        const enableNotifications = async () => {
-            await this.helpers.request({
-                method: 'GET',
-                url: `http://${ip}/AppVisionService.svc/StartNotifications?send=true`,
-                headers: { SessionID: sessionId },
-            });
+        subscription.on('notifications', (notifications) => {
+            const items: Array<{ output: number; json: IDataObject }> = [];
+            for (const notification of notifications) {
+                const type = String((notification.Data as AppVisionRow | undefined)?.$type ?? "Unknown");
+                if (!notificationTypes.includes(type) || !(type in NOTIFICATION_OUTPUTS)) {
+                    continue;
+                }
+                const key = getNotificationKey(notification);
+                if (recentKeys.has(key)) {
+                    continue;
+                }
+                recentKeys.add(key);
+                if (recentKeys.size > MAX_RECENT_KEYS) {
+                    recentKeys.delete(recentKeys.values().next().value as string);
+                }
+                updateCheckpoint(getRowDate(notification));
+                items.push({
+                    output: NOTIFICATION_OUTPUTS[type],
+                    json: toJson(type, notification.Data as AppVisionRow | undefined, notification),
+                });
+            }
+            emitOutputs(items);
+        });
 
-            await this.helpers.request({
-                method: 'POST',
-                url: `http://${ip}/AppVisionService.svc/AddFilterNotifications`,
-                headers: { SessionID: sessionId, 'Content-Type': 'application/xml' },
-                body: `<string xmlns="http://schemas.microsoft.com/2003/10/Serialization/">All</string>`
-            });
-        };
+        // Seules les lignes relues qui passent les filtres du trigger sont émises, comme les notifications
+        const matchesFilters = (data: AppVisionRow) => matchesNotificationFilters({ Data: data }, filters);
 
-        const monitorNotifications = async () => {
-            while (isActive) {
-                try {
-                    const response = await this.helpers.request({
-                        method: 'GET',
-                        url: `http://${ip}/AppVisionService.svc/GetNotifications?count=10`,
-                        headers: { SessionID: sessionId, 'Content-Type': 'application/xml' },
+        // Relit l'état courant des variables et les alarmes en cours, que les notifications
+        // perdues pendant une coupure ne permettent plus de reconstituer
+        const resync = async () => {
+            const items: Array<{ output: number; json: IDataObject }> = [];
+            if (notificationTypes.includes('VariableState')) {
+                const states = (await subscription.client.getStates('Variable') ?? [])
+                    .filter((state) => isNew(state) && matchesFilters({ ...state, $type: 'VariableState' }));
+                for (const state of states) {
+                    items.push({
+                        output: NOTIFICATION_OUTPUTS.VariableState,
+                        json: toJson('VariableState', state, state, true),
                     });
+                }
+            }
+            if (notificationTypes.includes('AlarmInfo')) {
+                const alarms = (await subscription.client.getCurrentAlarms() ?? [])
+                    .filter((alarm) => isNew(alarm) && matchesFilters({ $type: 'AlarmInfo', Alarm: alarm }));
+                for (const alarm of alarms) {
+                    items.push({
+                        output: NOTIFICATION_OUTPUTS.AlarmInfo,
+                        json: toJson('AlarmInfo', { Alarm: alarm }, alarm, true),
+                    });
+                }
+            }
+            log.info(`Resynchronized ${items.length} item(s)`);
+            emitOutputs(items);
+        };
 
-                    if (response && response.trim() !== '') {
+        subscription.on('session', () => {
+            log.info('Connected to AppVision');
+            // Première connexion : relecture seulement depuis un checkpoint persisté
+            const shouldResync = resyncOnReconnect && (hasConnected || checkpoint !== undefined);
+            isConnected = true;
+            hasConnected = true;
+            emitOutputs([{ output: CONNECTION_OUTPUT, json: { message: "Connection successful" } }]);
+            if (shouldResync) {
+                resync().catch((error) => log.error('Resynchronization failed', error));
+            }
+        });
 
-                        try {
-                            const parsedData = parser.parse(response);
-                            let notifications = parsedData?.ArrayOfNotification?.Notification;
-                            const notificationArray = Array.isArray(notifications) ? notifications : (notifications ? [notifications] : []);
+        subscription.on('error', (error) => {
+            if (error instanceof AppVisionLoginError) {
+                isActive = false;
+                void subscription.close();
+                this.emitError(toNodeError(this.getNode(), error));
+                return;
+            }
+            if (isConnected) {
+                isConnected = false;
+                emitOutputs([{ output: CONNECTION_OUTPUT, json: { message: "Deconnection detected" } }]);
+                log.warn('Connection to AppVision lost, reconnecting', error);
+            }
+            // Session refusée par AppVision : le pool l'oublie et la prochaine requête en ouvre une
+            // nouvelle. Une simple coupure réseau laisse la session partagée intacte.
+            pool.invalidate(appVisionCredentials, error);
+        });
 
-                            if (notificationArray.length > 0) {
-                                const filteredNotifications = notificationArray.filter((notification: any) => {
-                                    const type = notification.Data?.["@_i:type"] || notification.Data?.type || "Unknown";
-                                    return [
-                                        "EventRow",
-                                        "VariableState",
-                                        "AlarmInfo",
-                                        "GroupState",
-                                        "AreaState",
-                                        "ProtocolState",
-                                        "ServerState",
-                                    ].includes(type);
-                                });
-                            
-                                if (filteredNotifications.length > 0) {
-                                    if (isFirstTime) {
-                                        // Si c'est la première exécution on garde la branche Connexion/Deconnexion
-                                        // et vide le reste
-                                        for (let i = 0; i < outputArray.length; i++) {
-                                            if (i !== 6) outputArray[i] = [];
-                                        }
-                                        isFirstTime = false;
-                                    } else {
-                                        outputArray = [[], [], [], [], [], [], [], []];
-                                    }
-                            
-                                    filteredNotifications.forEach((notification: any) => {
-                                        const type = notification.Data?.["@_i:type"] || notification.Data?.type || "Unknown";
-                                        let formattedNotification: any = { type };
-                                        let outputIndex = -1;
-                            
-                                        if (type === "EventRow") {
-                                            formattedNotification = {
-                                                notification: {
-                                                    type,
-                                                    data: notification.Data || "N/A",
-                                                },
-                                            };
-                                            outputIndex = 0;
-                                        } else if (type === "VariableState") {
-                                            formattedNotification = {
-                                                notification: {
-                                                    type,
-                                                    data: notification.Data || "N/A",
-                                                },
-                                            };
-                                            outputIndex = 1;
-                                        } else if (type === "AlarmInfo") {
-                                            formattedNotification = {
-                                                notification: {
-                                                    type,
-                                                    Alarm: notification.Data?.Alarm || "N/A",
-                                                    Description: notification.Data?.Description || "N/A",
-                                                },
-                                            };
-                                            outputIndex = 2;
-                                        } else if (type === "GroupState") {
-                                            formattedNotification = {
-                                                notification: {
-                                                    type,
-                                                    data: notification.Data || "N/A",
-                                                },
-                                            };
-                                            outputIndex = 3;
-                                        } else if (type === "AreaState") {
-                                            formattedNotification = {
-                                                notification: {
-                                                    type,
-                                                    data: notification.Data || "N/A",
-                                                },
-                                            };
-                                            outputIndex = 4;
-                                        } else if (type === "ProtocolState") {
-                                            formattedNotification = {
-                                                notification: {
-                                                    type,
-                                                    data: notification.Data || "N/A",
-                                                },
-                                            };
-                                            outputIndex = 5;
-                                        } else if (type === "ServerState") {
-                                            formattedNotification = {
-                                                notification: {
-                                                    type,
-                                                    data: notification.Data || "N/A",
-                                                },
-                                            };
-                                            outputIndex = 7;
-                                        }
-                            
-                                        if (outputIndex !== -1) {
-                                            outputArray[outputIndex].push(formattedNotification);
-                                        }
-                                    });
-                            
-                                    this.emit(outputArray.map(output => output.length > 0 ? this.helpers.returnJsonArray(output) : []));
-                                }
-                            }
-                            
-                        } catch (parseError) {
-                            console.error("Erreur de XML :", parseError.message);
-                        }
-                    }
-                    await new Promise(resolve => setTimeout(resolve, pollingInterval));
+        const start = async () => {
+            while (isActive) {
+                try {
+                    log.debug('Checking the AppVision server');
+                    await subscription.start();
+                    return;
                 } catch (error) {
-                    outputArray = [[], [], [], [], [], [], [], []];
-                    outputArray[6].push({
-                        message: "Deconnection detected",
-
-                    });
-                    this.emit(outputArray.map(output => output.length > 0 ? this.helpers.returnJsonArray(output) : []));
-                    console.error("Perte de connexion avec AppVision. reconnexion...");
-                    await connectToServer();
-                    await enableNotifications();
+                    if (error instanceof AppVisionLoginError) {
+                        throw error;
+                    }
+                    log.warn('AppVision server offline, retrying in 2 s', error);
                 }
+                await new Promise<void>(resolve => setTimeout(() => resolve(), 2000));
             }
         };
 
         // fonction pour nettoyer qd désactivation
         const cleanup = async () => {
-            if (sessionId) {
-                await this.helpers.request({
-                    method: 'GET',
-                    url: `http://${ip}/AppVisionService.svc/Close`,
-                    headers: { SessionID: sessionId },
-                });
-                console.log("Connexion fermer");
-                outputArray = [[], [], [], [], [], [], [], []];
-                outputArray[6].push({
-                    message: "Deconnection detected, caused by desacitvation",
-                    sessionId: sessionId
-                });
-                this.emit(outputArray.map(output => output.length > 0 ? this.helpers.returnJsonArray(output) : []));
-            }
             isActive = false;
+            await subscription.close();
+            removeShutdownHook?.();
+            if (hasConnected) {
+                log.debug('Trigger deactivated, connection closed');
+                emitOutputs([{
+                    output: CONNECTION_OUTPUT,
+                    json: { message: "Deconnection detected, caused by desacitvation" },
+                }]);
+            }
         };
 
         // start worklfow
-        (async () => {
-            await connectToServer();
-            await enableNotifications();
-            await monitorNotifications();
-        })();
+        start().catch((error) => this.emitError(toNodeError(this.getNode(), error)));
 
         return {
             closeFunction: cleanup, // Nettoi Tout
@@ -0,0 +1,117 @@
+import type { IDataObject, IExecuteFunctions, INodeParameterResourceLocator } from 'n8n-workflow';
+import { auditLog, getBaseUrl } from '../../src';
+import type { AppVisionClient, AppVisionCredentials, AuditedWrite } from '../../src';
+import { ENTITY_RESOURCES } from './EntityDescription';
+import type { CurrentAlarms } from './GenericFunctions';
+import { ROW_FIELD_COLLECTIONS } from './RowDescription';
+import { getLocator } from './SearchFunctions';
+
+/*
+ * Journal d'audit des écritures du node Service (voir AppVisionAuditLog, activé par
+ * APPVISION_AUDIT_LOG).
+ */
+
+/** Paramètres enregistrés pour chaque opération d'écriture ; les lectures ne sont pas auditées. */
+const AUDITED_PARAMETERS: Record<string, string[]> = {
+    acknowledgeAlarmById: ['alarmId'],
+    addModification: ['table', 'type', 'sourceId', 'sourceId2', 'sourceId3', 'userId', 'description', 'info'],
+    cancelAlarm: ['alarmId', 'comment'],
+    create: ['entityName', 'entityDescription', 'entityFields'],
+    createAlarmRow: ['rowDescription', ROW_FIELD_COLLECTIONS.createAlarmRow],
+    createEventRow: ['rowDescription', ROW_FIELD_COLLECTIONS.createEventRow],
+    createUserMessageRow: ['rowDescription', ROW_FIELD_COLLECTIONS.createUserMessageRow],
+    delete: ['entityId', 'entityName'],
+    lockVariable: ['name', 'isLocked', 'val', 'tempo'],
+    maskAlarm: ['opName', 'isMasked', 'tempo'],
+    removeAllAlarms: [],
+    resumeAlarmById: ['alarmId', 'transferUserId'],
+    sendCommandToClient: ['clientName', 'command', 'parameters'],
+    sendDownloadToProtocol: ['varNames', 'parameter'],
+    setVariable: ['name', 'newValue', 'info', 'operationType', 'severity', 'quality'],
+    setVariableWithPulse: ['name', 'tempo', 'valStart', 'valEnd'],
+    setVariableWithTempo: ['name', 'newValue', 'tempo'],
+    start: [],
+    stop: ['restart'],
+    update: ['entityId', 'entityName', 'entityDescription', 'entityFields'],
+    updateAlarm: ['alarmId', 'alarmData', 'alarmFields'],
+};
+
+const VARIABLE_WRITES = ['lockVariable', 'setVariable', 'setVariableWithPulse', 'setVariableWithTempo'];
+const ALARM_WRITES = ['acknowledgeAlarmById', 'cancelAlarm', 'resumeAlarmById', 'updateAlarm'];
+
+/** Valeur avant l'écriture : état de la variable, ligne de l'entité ou alarme en cours. */
+async function getPreviousValue(
+    context: IExecuteFunctions,
+    client: AppVisionClient,
+    currentAlarms: CurrentAlarms,
+    resource: string,
+    operation: string,
+    itemIndex: number,
+    args: IDataObject,
+): Promise<unknown> {
+    if (VARIABLE_WRITES.includes(operation)) {
+        const { mode, value } = getLocator(context.getNodeParameter('name', itemIndex) as INodeParameterResourceLocator);
+        if (mode === 'guid') {
+            const row = await client.getRowByGuid('Variable', value);
+            return row ? (await client.getStateById('Variable', row.Id as number))?.Value : undefined;
+        }
+        const state = mode === 'id'
+            ? await client.getStateById('Variable', value)
+            : await client.getStateByName('Variable', value);
+        return state?.Value;
+    }
+    if (ALARM_WRITES.includes(operation)) {
+        return currentAlarms.find(args.alarmId as string);
+    }
+    if ((operation === 'update' || operation === 'delete') && resource in ENTITY_RESOURCES) {
+        const entity = ENTITY_RESOURCES[resource];
+        return args.entityId
+            ? await client.getRowById(entity, args.entityId as number)
+            : await client.getRowByName(entity, args.entityName as string);
+    }
+    return undefined;
+}
+
+/** Commence l'audit d'un item ; voir `createAudit`. */
+export type StartAudit = (resource: string, operation: string, itemIndex: number) => Promise<AuditedWrite | null>;
+
+/**
+ * Prépare l'audit d'une exécution du node. La fonction renvoyée commence l'audit de l'item
+ * `itemIndex` quand son opération écrit dans AppVision, et renvoie `null` pour une lecture ou
+ * quand le journal d'audit est désactivé. `currentAlarms` sont les alarmes en cours de l'exécution.
+ */
+export function createAudit(
+    context: IExecuteFunctions,
+    client: AppVisionClient,
+    credentials: AppVisionCredentials,
+    currentAlarms: CurrentAlarms,
+): StartAudit {
+    return async (resource, operation, itemIndex) => {
+        const parameters = AUDITED_PARAMETERS[operation];
+        if (!parameters || !auditLog.enabled) {
+            return null;
+        }
+        const args: IDataObject = {};
+        for (const name of parameters) {
+            args[name] = context.getNodeParameter(name, itemIndex, null, { extractValue: true }) as IDataObject[string];
+        }
+        // Une valeur précédente illisible n'empêche pas l'écriture
+        const previousValue = await getPreviousValue(context, client, currentAlarms, resource, operation, itemIndex, args)
+            .catch(() => undefined);
+        const workflow = context.getWorkflow();
+        return auditLog.start({
+            caller: {
+                type: 'n8n',
+                workflowId: workflow.id,
+                workflowName: workflow.name,
+                executionId: context.getExecutionId(),
+                node: context.getNode().name,
+            },
+            user: credentials.username,
+            server: getBaseUrl(credentials),
+            operation: `${resource}.${operation}`,
+            arguments: args,
+            previousValue,
+        }, client);
+    };
+}
@@ -0,0 +1,234 @@
+import type { INodeProperties } from 'n8n-workflow';
+import type { AppVisionEntity } from '../../src';
+
+/** Ressources du node correspondant aux entités de configuration AppVision. */
+export const ENTITY_RESOURCES: Record<string, AppVisionEntity> = {
+    area: 'Area',
+    group: 'Group',
+    protocol: 'Protocol',
+};
+
+const resource = Object.keys(ENTITY_RESOURCES);
+
+export const entityOperations: INodeProperties[] = [
+    {
+        displayName: 'Operation',
+        name: 'operation',
+        type: 'options',
+        noDataExpression: true,
+        displayOptions: {
+            show: {
+                resource,
+            },
+        },
+        options: [
+            {
+                name: 'Create',
+                value: 'create',
+                description: 'Create a new area, group or protocol with a name, a description and optional fields',
+                action: 'Create a row',
+            },
+            {
+                name: 'Delete',
+                value: 'delete',
+                description: 'Delete an area, group or protocol, given its name or ID',
+                action: 'Delete a row',
+            },
+            {
+                name: 'Get',
+                value: 'get',
+                description: 'Read the configuration of one area, group or protocol, given its ID, name or GUID',
+                action: 'Get a row',
+            },
+            {
+                name: 'Get Many',
+                value: 'getAll',
+                description: 'List the areas, groups or protocols, or those whose name matches a pattern such as G1.*',
+                action: 'Get many rows',
+            },
+            {
+                name: 'Get State',
+                value: 'getState',
+                description: 'Read the current state of one area, group or protocol, given its ID or name',
+                action: 'Get a state',
+            },
+            {
+                name: 'Get States',
+                value: 'getStates',
+                description: 'Read the current state of every area, group or protocol, or of those whose name matches a pattern',
+                action: 'Get many states',
+            },
+            {
+                name: 'Update',
+                value: 'update',
+                description: 'Change the description or fields of an existing area, group or protocol, given its ID or name',
+                action: 'Update a row',
+            },
+        ],
+        default: 'get',
+    },
+];
+
+export const entityFields: INodeProperties[] = [
+    {
+        displayName: 'Get By',
+        name: 'lookupBy',
+        type: 'options',
+        options: [
+            {
+                name: 'ID',
+                value: 'id',
+            },
+            {
+                name: 'Name',
+                value: 'name',
+            },
+            {
+                name: 'GUID',
+                value: 'guid',
+            },
+        ],
+        default: 'name',
+        description: 'How to find the row',
+        displayOptions: {
+            show: {
+                resource,
+                operation: ['get'],
+            },
+        },
+    },
+    {
+        displayName: 'Get By',
+        name: 'lookupBy',
+        type: 'options',
+        options: [
+            {
+                name: 'ID',
+                value: 'id',
+            },
+            {
+                name: 'Name',
+                value: 'name',
+            },
+        ],
+        default: 'name',
+        description: 'How to find the state',
+        displayOptions: {
+            show: {
+                resource,
+                operation: ['getState'],
+            },
+        },
+    },
+    {
+        displayName: 'Value',
+        name: 'lookupValue',
+        type: 'string',
+        required: true,
+        default: '',
+        description: 'The ID, name or GUID to look for',
+        displayOptions: {
+            show: {
+                resource,
+                operation: ['get', 'getState'],
+            },
+        },
+    },
+    {
+        displayName: 'Name Pattern',
+        name: 'namePattern',
+        type: 'string',
+        default: '',
+        placeholder: 'G1.*',
+        description: 'Name pattern with wildcards. Leave empty to get every row.',
+        displayOptions: {
+            show: {
+                resource,
+                operation: ['getAll', 'getStates'],
+            },
+        },
+    },
+    {
+        displayName: 'Return All',
+        name: 'returnAll',
+        type: 'boolean',
+        default: false,
+        description: 'Whether to return all results or only up to a given limit',
+        displayOptions: {
+            show: {
+                resource,
+                operation: ['getAll', 'getStates'],
+            },
+        },
+    },
+    {
+        displayName: 'Limit',
+        name: 'limit',
+        type: 'number',
+        typeOptions: {
+            minValue: 1,
+        },
+        default: 50,
+        description: 'Max number of results to return',
+        displayOptions: {
+            show: {
+                resource,
+                operation: ['getAll', 'getStates'],
+                returnAll: [false],
+            },
+        },
+    },
+    {
+        displayName: 'ID',
+        name: 'entityId',
+        type: 'number',
+        default: 0,
+        description: 'The ID of the row. Leave 0 to find the row by its name.',
+        displayOptions: {
+            show: {
+                resource,
+                operation: ['update', 'delete'],
+            },
+        },
+    },
+    {
+        displayName: 'Name',
+        name: 'entityName',
+        type: 'string',
+        required: true,
+        default: '',
+        description: 'The name of the row',
+        displayOptions: {
+            show: {
+                resource,
+                operation: ['create', 'update', 'delete'],
+            },
+        },
+    },
+    {
+        displayName: 'Description',
+        name: 'entityDescription',
+        type: 'string',
+        default: '',
+        description: 'The description of the row. Leave empty to keep the current one.',
+        displayOptions: {
+            show: {
+                resource,
+                operation: ['create', 'update'],
+            },
+        },
+    },
+    {
+        displayName: 'Additional Fields',
+        name: 'entityFields',
+        type: 'json',
+        default: '{}',
+        description: 'Other members of the AppVision row, as JSON (e.g. {"ParentId": 3})',
+        displayOptions: {
+            show: {
+                resource,
+                operation: ['create', 'update'],
+            },
+        },
+    },
+];
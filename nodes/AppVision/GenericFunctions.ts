@@ -0,0 +1,289 @@
+import { randomUUID } from 'crypto';
+import type {
+    ICredentialDataDecryptedObject,
+    ICredentialTestFunctions,
+    ICredentialsDecrypted,
+    IDataObject,
+    INode,
+    INodeCredentialTestResult,
+} from 'n8n-workflow';
+import { NodeOperationError } from 'n8n-workflow';
+import { AppVisionClient } from '../../src';
+import type { AppVisionCredentials, AppVisionRow } from '../../src';
+
+/** Découpe une liste séparée par des virgules ou des retours à la ligne. */
+function splitList(value: string | undefined): string[] {
+    return (value ?? '').split(/[,\n]/).map((entry) => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Convertit les credentials n8n `appVisionCredentials` en options du client AppVision.
+ */
+export function getAppVisionCredentials(credentials: ICredentialDataDecryptedObject): AppVisionCredentials {
+    return {
+        host: credentials.ip as string,
+        username: credentials.username as string,
+        password: credentials.password as string,
+        protocol: (credentials.protocol as 'http' | 'https' | undefined) ?? 'http',
+        port: (credentials.port as number | undefined) || undefined,
+        basePath: (credentials.basePath as string | undefined) || undefined,
+        clientProductName: (credentials.clientProductName as string | undefined) || undefined,
+        timeout: (credentials.timeout as number | undefined) || undefined,
+        ignoreTlsErrors: (credentials.ignoreTlsErrors as boolean | undefined) ?? false,
+        ca: (credentials.ca as string | undefined) || undefined,
+        cert: (credentials.cert as string | undefined) || undefined,
+        key: (credentials.key as string | undefined) || undefined,
+        passphrase: (credentials.passphrase as string | undefined) || undefined,
+        pinnedFingerprints: splitList(credentials.pinnedFingerprints as string | undefined),
+    };
+}
+
+/**
+ * Test des credentials : ouvre une session, s'authentifie puis ferme la session.
+ * Les refus de connexion (401, 402, 406, 500) sont renvoyés avec le message AppVision correspondant.
+ */
+export async function appVisionConnectionTest(
+    this: ICredentialTestFunctions,
+    credential: ICredentialsDecrypted,
+): Promise<INodeCredentialTestResult> {
+    const client = new AppVisionClient(getAppVisionCredentials(credential.data ?? {}));
+
+    try {
+        await client.ensureSession();
+    } catch (error) {
+        return { status: 'Error', message: (error as Error).message };
+    }
+
+    try {
+        await client.logout();
+        await client.close();
+    } catch {
+        // La connexion a réussi : un échec de la déconnexion ne remet pas en cause le test.
+    }
+
+    return { status: 'OK', message: 'Connection successful' };
+}
+
+/** Alarmes en cours d'une exécution du node ; voir `createCurrentAlarms`. */
+export interface CurrentAlarms {
+    /** Alarme en cours d'ID `alarmId`, ou `undefined` si elle n'est plus en cours. */
+    find(alarmId: string | number): Promise<AppVisionRow | undefined>;
+    /** Après une écriture : l'alarme `alarmId`, ou toutes sans ID, seront relues à leur prochaine recherche. */
+    forget(alarmId?: string | number): void;
+}
+
+/**
+ * Alarmes en cours partagées par les items d'une exécution : GetCurrentAlarms n'est lu qu'à la
+ * première recherche, puis de nouveau seulement après un échec ou pour une alarme modifiée depuis.
+ */
+export function createCurrentAlarms(client: AppVisionClient): CurrentAlarms {
+    let alarms: Promise<Map<string, AppVisionRow>> | undefined;
+    const outdated = new Set<string>();
+    return {
+        async find(alarmId) {
+            if (!alarms || outdated.has(String(alarmId))) {
+                outdated.clear();
+                alarms = client.getCurrentAlarms().then((rows) => new Map((rows ?? []).map((row) => [String(row.Id), row])));
+                alarms.catch(() => {
+                    alarms = undefined;
+                });
+            }
+            return (await alarms).get(String(alarmId));
+        },
+        forget(alarmId) {
+            if (alarmId === undefined) {
+                alarms = undefined;
+            } else {
+                outdated.add(String(alarmId));
+            }
+        },
+    };
+}
+
+/** Convertit des paramètres n8n (`sourceId`) en membres de DataContract AppVision (`SourceId`). */
+export function toRowFields(fields: IDataObject): IDataObject {
+    return Object.fromEntries(
+        Object.entries(fields).map(([key, value]) => [key.charAt(0).toUpperCase() + key.slice(1), value]),
+    );
+}
+
+/**
+ * Lit un paramètre de type json, parsé par n8n ou encore en texte, qui doit contenir un objet.
+ * `label` est le nom affiché du paramètre, repris dans l'erreur.
+ */
+export function parseJsonObject(node: INode, value: string | IDataObject, label: string, itemIndex: number): IDataObject {
+    let parsed: unknown = value;
+    if (typeof value === 'string') {
+        try {
+            parsed = JSON.parse(value || '{}');
+        } catch (error) {
+            throw new NodeOperationError(node, `${label} is not valid JSON`, { itemIndex, description: (error as Error).message });
+        }
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new NodeOperationError(node, `${label} must be a JSON object`, { itemIndex });
+    }
+    return parsed as IDataObject;
+}
+
+/**
+ * Construit une ligne AlarmRow, EventRow ou UserMessageRow à partir des champs saisis : les
+ * membres de `dateFields` non saisis prennent la date du jour et le GUID est généré s'il manque.
+ */
+export function buildRow(description: string, fields: IDataObject, dateFields: string[]): IDataObject {
+    const row: IDataObject = { ...toRowFields(fields), Description: description };
+    for (const name of dateFields) {
+        row[name] = row[name] ? new Date(row[name] as string) : new Date();
+    }
+    row.Guid = row.Guid || randomUUID();
+    return row;
+}
+
+/** Opérations permises à un agent IA quand aucune liste n'est configurée : les lectures. */
+export const DEFAULT_TOOL_OPERATIONS = ['*.get*'];
+
+/**
+ * Indique si un agent IA qui utilise le node comme outil peut appeler l'opération.
+ * `allowed` (le paramètre Tool Operations du node), ou à défaut APPVISION_TOOL_OPERATIONS, liste
+ * les opérations permises sous la forme `ressource.opération`, avec le caractère générique `*`
+ * (ex : `variable.*, alarm.acknowledgeAlarmById`).
+ */
+export function isToolOperationAllowed(resource: string, operation: string, allowed = ''): boolean {
+    const configured = splitList(allowed || process.env.APPVISION_TOOL_OPERATIONS);
+    const allowlist = configured.length > 0 ? configured : DEFAULT_TOOL_OPERATIONS;
+    const key = `${resource}.${operation}`;
+    return allowlist.some((entry) => {
+        const source = entry.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`, 'i').test(key);
+    });
+}
+
+/** Types de notifications émis par AppVision, dans l'ordre des sorties du trigger. */
+export const NOTIFICATION_TYPES = [
+    'EventRow',
+    'VariableState',
+    'AlarmInfo',
+    'GroupState',
+    'AreaState',
+    'ProtocolState',
+    'ServerState',
+];
+
+/** Préfixe des filtres de nom de chaque type d'état (`$V.Batiment1.*`, `$A.Zone1`...). */
+const NAME_FILTER_PREFIXES: Record<string, string> = {
+    VariableState: '$V',
+    AreaState: '$A',
+    GroupState: '$G',
+    ProtocolState: '$P',
+};
+
+/**
+ * Calcule les filtres à poster à `AddFilterNotifications`.
+ * Les filtres de nom saisis sont envoyés tels quels. Sans filtre de nom, seuls les types d'état
+ * sélectionnés sont demandés (`$V.*`, `$A.*`...) quand aucun autre type ne l'est, sinon `All`.
+ */
+export function getNotificationFilters(types: string[], nameFilters: string): string[] {
+    const names = splitList(nameFilters);
+    if (names.length > 0) {
+        return names;
+    }
+    if (types.length > 0 && types.every((type) => type in NAME_FILTER_PREFIXES)) {
+        return types.map((type) => `${NAME_FILTER_PREFIXES[type]}.*`);
+    }
+    return ['All'];
+}
+
+/** Sortie du trigger de chaque type de notification. */
+export const NOTIFICATION_OUTPUTS: Record<string, number> = {
+    EventRow: 0,
+    VariableState: 1,
+    AlarmInfo: 2,
+    GroupState: 3,
+    AreaState: 4,
+    ProtocolState: 5,
+    ServerState: 7,
+};
+
+/** Sortie du trigger qui signale les connexions et déconnexions. */
+export const CONNECTION_OUTPUT = 6;
+
+/**
+ * Clé d'une notification pour écarter les doublons : son type et son contenu, qui porte la date
+ * et l'identifiant de l'élément concerné.
+ */
+export function getNotificationKey(notification: AppVisionRow): string {
+    const data = notification.Data as AppVisionRow | undefined;
+    return `${data?.$type ?? 'Unknown'}|${JSON.stringify(data ?? notification)}`;
+}
+
+/** Date d'une notification ou d'une ligne AppVision en millisecondes, si elle en porte une. */
+export function getRowDate(row: AppVisionRow): number | undefined {
+    const data = row.Data as AppVisionRow | undefined;
+    const value = data?.Date ?? data?.DateReceive ?? row.Date ?? row.DateReceive;
+    const time = typeof value === 'string' ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? undefined : time;
+}
+
+/** Date selon laquelle AppVision ordonne une ligne d'historique, en millisecondes. */
+function getHistoryDate(row: AppVisionRow, orderByDateReceive = false): number | undefined {
+    const value = orderByDateReceive ? row.DateReceive ?? row.Date : row.Date ?? row.DateReceive;
+    const time = typeof value === 'string' ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? undefined : time;
+}
+
+/** Nombre de lignes demandées par page d'historique. */
+const HISTORY_PAGE_SIZE = 100;
+
+/**
+ * Date d'un paramètre `dateTime` n8n au format invariant attendu par AppVision
+ * (`yyyy-MM-ddTHH:mm:ss`, heure locale du serveur n8n).
+ */
+export function toInvariantDate(value: string): string {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return value;
+    }
+    const pad = (part: number) => String(part).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+        + `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Lit un historique AppVision page par page, à partir de la page 1, jusqu'à une page incomplète,
+ * jusqu'à `limit` lignes ou jusqu'à la première ligne postérieure à `dateEnd`. AppVision ne filtre
+ * que sur la date de début et renvoie les lignes dans l'ordre chronologique, par date de réception
+ * si `orderByDateReceive` : les pages suivantes ne contiennent plus que des lignes postérieures.
+ */
+export async function getHistoryRows(
+    getPage: (page: number, pageSize: number) => Promise<AppVisionRow[]>,
+    options: { limit?: number; dateEnd?: string; orderByDateReceive?: boolean } = {},
+): Promise<AppVisionRow[]> {
+    const end = options.dateEnd ? new Date(options.dateEnd).getTime() : undefined;
+    const rows: AppVisionRow[] = [];
+    let previousFirst: string | undefined;
+
+    for (let page = 1; ; page++) {
+        const pageRows = (await getPage(page, HISTORY_PAGE_SIZE)) ?? [];
+        const first = JSON.stringify(pageRows[0]);
+        if (pageRows.length === 0 || first === previousFirst) {
+            // Page vide, ou page identique à la précédente : le serveur n'a plus rien à renvoyer.
+            break;
+        }
+        previousFirst = first;
+
+        for (const row of pageRows) {
+            const date = getHistoryDate(row, options.orderByDateReceive);
+            if (end !== undefined && date !== undefined && date > end) {
+                return rows;
+            }
+            rows.push(row);
+            if (options.limit !== undefined && rows.length >= options.limit) {
+                return rows;
+            }
+        }
+        if (pageRows.length < HISTORY_PAGE_SIZE) {
+            break;
+        }
+    }
+    return rows;
+}
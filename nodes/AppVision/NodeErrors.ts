@@ -0,0 +1,127 @@
+import type { IDataObject, INode, JsonObject } from 'n8n-workflow';
+import { NodeApiError, NodeOperationError } from 'n8n-workflow';
+import { AppVisionError, AppVisionHttpError, AppVisionLoginError, getErrorKind } from '../../src';
+import type { AppVisionErrorKind } from '../../src';
+
+/*
+ * Erreurs levées par les nodes AppVision.
+ *
+ * Chaque échec AppVision devient une NodeApiError portant le statut HTTP, un message lisible selon
+ * sa catégorie (`context.kind` : notFound, unauthorized, sessionExpired, serverOffline, badRequest
+ * ou serverError) et, en description, le message de la fault WCF renvoyée par le serveur. Les
+ * messages sont en anglais, ou en français quand l'instance n8n l'est (N8N_DEFAULT_LOCALE=fr).
+ */
+
+export type Locale = 'en' | 'fr';
+
+const MESSAGES: Record<Locale, Record<AppVisionErrorKind, string>> = {
+    en: {
+        notFound: 'The requested AppVision item does not exist',
+        unauthorized: 'AppVision refused the credentials or the right to perform this operation',
+        sessionExpired: 'The AppVision session has expired',
+        serverOffline: 'The AppVision server is offline or unreachable',
+        badRequest: 'AppVision rejected the request',
+        serverError: 'AppVision failed to process the request',
+    },
+    fr: {
+        notFound: 'L\'élément AppVision demandé n\'existe pas',
+        unauthorized: 'AppVision a refusé les identifiants ou le droit d\'effectuer cette opération',
+        sessionExpired: 'La session AppVision a expiré',
+        serverOffline: 'Le serveur AppVision est hors ligne ou injoignable',
+        badRequest: 'AppVision a rejeté la requête',
+        serverError: 'AppVision n\'a pas pu traiter la requête',
+    },
+};
+
+/** Élément que désigne le paramètre principal d'une opération, quand AppVision le refuse (400). */
+export type NotFoundSubject = 'alarm' | 'client' | 'operationName' | 'row' | 'variable';
+
+const NOT_FOUND_MESSAGES: Record<Locale, Record<NotFoundSubject, string>> = {
+    en: {
+        alarm: 'The alarm ID does not exist',
+        client: 'The client name does not exist',
+        operationName: 'The operation name does not exist',
+        row: 'The row does not exist',
+        variable: 'The variable does not exist',
+    },
+    fr: {
+        alarm: 'L\'ID de l\'alarme n\'existe pas',
+        client: 'Le nom du client n\'existe pas',
+        operationName: 'Le nom de l\'opération n\'existe pas',
+        row: 'La ligne n\'existe pas',
+        variable: 'La variable n\'existe pas',
+    },
+};
+
+export function getLocale(): Locale {
+    return (process.env.N8N_DEFAULT_LOCALE ?? '').toLowerCase().startsWith('fr') ? 'fr' : 'en';
+}
+
+export interface AppVisionNodeErrorOptions {
+    itemIndex?: number;
+    /**
+     * AppVision répond 400 quand le nom ou l'ID passé n'existe pas : l'erreur est alors
+     * signalée comme `notFound` avec le message de cet élément.
+     */
+    notFound?: NotFoundSubject;
+}
+
+/**
+ * Convertit une erreur du client AppVision en NodeApiError (ou NodeOperationError pour les
+ * autres erreurs), catégorie dans `context.kind`.
+ */
+export function toNodeError(
+    node: INode,
+    error: unknown,
+    { itemIndex, notFound }: AppVisionNodeErrorOptions = {},
+): NodeApiError | NodeOperationError {
+    if (error instanceof NodeApiError || error instanceof NodeOperationError) {
+        return error;
+    }
+    let kind = getErrorKind(error);
+    if (!kind || !(error instanceof AppVisionError)) {
+        return new NodeOperationError(node, error as Error, { itemIndex });
+    }
+
+    const locale = getLocale();
+    let message = MESSAGES[locale][kind];
+    if (kind === 'badRequest' && notFound) {
+        kind = 'notFound';
+        message = NOT_FOUND_MESSAGES[locale][notFound];
+    }
+
+    let httpCode: string | undefined;
+    let description = error.message;
+    if (error instanceof AppVisionHttpError) {
+        httpCode = String(error.statusCode);
+        description = error.fault ?? error.message;
+    } else if (error instanceof AppVisionLoginError) {
+        httpCode = String(error.code);
+    }
+
+    const nodeError = new NodeApiError(
+        node,
+        { message: error.message, endpoint: error.endpoint ?? null, kind } as JsonObject,
+        { message, description, httpCode, itemIndex },
+    );
+    nodeError.context.kind = kind;
+    return nodeError;
+}
+
+/** Erreur `notFound` d'un élément que le node a lui-même cherché sans le trouver. */
+export function notFoundError(node: INode, subject: NotFoundSubject, itemIndex: number, description: string): NodeOperationError {
+    const error = new NodeOperationError(node, NOT_FOUND_MESSAGES[getLocale()][subject], { description, itemIndex });
+    error.context.kind = 'notFound';
+    return error;
+}
+
+/** Élément renvoyé à la place du résultat quand « Continue On Fail » est activé. */
+export function toErrorJson(error: NodeApiError | NodeOperationError): IDataObject {
+    return {
+        success: false,
+        error: error.message,
+        description: error.description ?? null,
+        httpCode: error instanceof NodeApiError ? error.httpCode : null,
+        kind: (error.context.kind as string | undefined) ?? null,
+    };
+}
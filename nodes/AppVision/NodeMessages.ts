@@ -0,0 +1,31 @@
+import { getLocale } from './NodeErrors';
+import type { Locale } from './NodeErrors';
+
+/*
+ * Messages renvoyés par le node à la place d'une liste ou d'une ligne vide. Comme les erreurs
+ * (voir NodeErrors.ts), ils sont en anglais, ou en français quand l'instance n8n l'est (N8N_DEFAULT_LOCALE=fr).
+ */
+
+export type NodeMessage = 'noAlarm' | 'alarmsRemoved' | 'noUserConnected' | 'noProtocolConnected' | 'noHistoryRow';
+
+const NODE_MESSAGES: Record<Locale, Record<NodeMessage, string>> = {
+    en: {
+        noAlarm: 'There is no alarm',
+        alarmsRemoved: 'There are no more alarms',
+        noUserConnected: 'No user is connected',
+        noProtocolConnected: 'No protocol is connected',
+        noHistoryRow: 'No history row has this ID',
+    },
+    fr: {
+        noAlarm: 'Il n\'y a pas d\'alarme',
+        alarmsRemoved: 'Il n\'y a plus d\'alarme',
+        noUserConnected: 'Aucun utilisateur connecté',
+        noProtocolConnected: 'Aucun protocole connecté',
+        noHistoryRow: 'Aucune ligne d\'historique pour cet ID',
+    },
+};
+
+/** Message dans la langue de l'instance n8n. */
+export function getNodeMessage(message: NodeMessage): string {
+    return NODE_MESSAGES[getLocale()][message];
+}
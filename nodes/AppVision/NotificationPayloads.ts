@@ -0,0 +1,284 @@
+import type { IDataObject } from 'n8n-workflow';
+import type { AppVisionRow, XmlValue } from '../../src';
+
+/*
+ * Schéma JSON des éléments émis par le trigger, un par type de notification.
+ *
+ * Les champs listés sont toujours présents (`null` quand AppVision ne les renseigne pas) ; les
+ * nombres et booléens sont typés et les dates converties en ISO 8601. Les autres champs de la
+ * ligne AppVision sont conservés en camelCase dans `details`. Les éléments relus après une
+ * reconnexion portent `resync: true`, et `raw` contient la notification brute sur option.
+ */
+
+type Scalar = string | number | boolean | null;
+
+interface NotificationPayloadBase extends IDataObject {
+    type: string;
+    /** Champs de la ligne AppVision non repris ci-dessous, en camelCase. */
+    details: IDataObject;
+    resync?: boolean;
+    raw?: IDataObject;
+}
+
+export interface VariableStatePayload extends NotificationPayloadBase {
+    type: 'VariableState';
+    id: number | null;
+    name: string | null;
+    description: string | null;
+    value: Scalar;
+    previousValue: Scalar;
+    quality: number | null;
+    severity: number | null;
+    info: string | null;
+    date: string | null;
+}
+
+export interface AlarmInfoPayload extends NotificationPayloadBase {
+    type: 'AlarmInfo';
+    id: number | null;
+    sourceName: string | null;
+    description: string | null;
+    severity: number | null;
+    status: number | null;
+    stateDesc: string | null;
+    info: string | null;
+    date: string | null;
+    dateReceive: string | null;
+    /** Ligne d'alarme complète, normalisée comme les autres champs. */
+    alarm: IDataObject | null;
+}
+
+export interface EventRowPayload extends NotificationPayloadBase {
+    type: 'EventRow';
+    id: number | null;
+    eventType: number | null;
+    subType: number | null;
+    sourceName: string | null;
+    description: string | null;
+    value: Scalar;
+    valueString: string | null;
+    stateDesc: string | null;
+    quality: number | null;
+    alarmId: number | null;
+    info: string | null;
+    date: string | null;
+    dateReceive: string | null;
+}
+
+/** GroupState, AreaState et ProtocolState. */
+export interface EntityStatePayload extends NotificationPayloadBase {
+    type: 'GroupState' | 'AreaState' | 'ProtocolState';
+    id: number | null;
+    name: string | null;
+    description: string | null;
+    state: Scalar;
+    date: string | null;
+}
+
+export interface ServerStatePayload extends NotificationPayloadBase {
+    type: 'ServerState';
+    state: Scalar;
+    date: string | null;
+}
+
+export type NotificationPayload =
+    | VariableStatePayload
+    | AlarmInfoPayload
+    | EventRowPayload
+    | EntityStatePayload
+    | ServerStatePayload;
+
+function camelCase(key: string): string {
+    return key.charAt(0).toLowerCase() + key.slice(1);
+}
+
+function isDateKey(key: string): boolean {
+    return /^Date|Date$/.test(key);
+}
+
+/** Date AppVision en ISO 8601, ou la valeur telle quelle si elle n'est pas reconnue. */
+function toIsoDate(value: XmlValue | undefined): string | null {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const time = Date.parse(String(value));
+    return Number.isNaN(time) ? String(value) : new Date(time).toISOString();
+}
+
+/** Valeur primitive typée : `true`/`false` deviennent des booléens, les objets sont écartés. */
+function toScalar(value: XmlValue | undefined): Scalar {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (value !== null && typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return value;
+}
+
+function toNumber(value: XmlValue | undefined): number | null {
+    const scalar = toScalar(value);
+    if (scalar === null || scalar === '') {
+        return null;
+    }
+    const number = Number(scalar);
+    return Number.isNaN(number) ? null : number;
+}
+
+function toText(value: XmlValue | undefined): string | null {
+    const scalar = toScalar(value);
+    return scalar === null ? null : String(scalar);
+}
+
+/**
+ * Normalise une ligne AppVision : clés en camelCase, booléens typés, dates en ISO 8601 et
+ * `$type` retiré.
+ */
+export function normalizeRow(row: AppVisionRow): IDataObject {
+    const result: IDataObject = {};
+    for (const [key, value] of Object.entries(row)) {
+        if (key === '$type') {
+            continue;
+        }
+        if (isDateKey(key)) {
+            result[camelCase(key)] = toIsoDate(value);
+        } else if (Array.isArray(value)) {
+            result[camelCase(key)] = value.map((entry) =>
+                entry !== null && typeof entry === 'object' && !Array.isArray(entry) ? normalizeRow(entry) : toScalar(entry),
+            ) as IDataObject[];
+        } else if (value !== null && typeof value === 'object') {
+            result[camelCase(key)] = normalizeRow(value);
+        } else {
+            result[camelCase(key)] = toScalar(value);
+        }
+    }
+    return result;
+}
+
+/** Retire de la ligne normalisée les champs déjà exposés au premier niveau. */
+function remaining(row: AppVisionRow, picked: string[]): IDataObject {
+    const rest: AppVisionRow = {};
+    for (const [key, value] of Object.entries(row)) {
+        if (!picked.includes(key)) {
+            rest[key] = value;
+        }
+    }
+    return normalizeRow(rest);
+}
+
+function firstOf(row: AppVisionRow, keys: string[]): XmlValue | undefined {
+    for (const key of keys) {
+        if (row[key] !== undefined) {
+            return row[key];
+        }
+    }
+    return undefined;
+}
+
+function toVariableState(data: AppVisionRow): VariableStatePayload {
+    return {
+        type: 'VariableState',
+        id: toNumber(data.Id),
+        name: toText(data.Name),
+        description: toText(data.Description),
+        value: toScalar(data.Value),
+        previousValue: toScalar(firstOf(data, ['PreviousValue', 'OldValue'])),
+        quality: toNumber(data.Quality),
+        severity: toNumber(data.Severity),
+        info: toText(data.Info),
+        date: toIsoDate(data.Date),
+        details: remaining(data, [
+            'Id', 'Name', 'Description', 'Value', 'PreviousValue', 'OldValue',
+            'Quality', 'Severity', 'Info', 'Date',
+        ]),
+    };
+}
+
+function toAlarmInfo(data: AppVisionRow): AlarmInfoPayload {
+    const alarm = data.Alarm !== null && typeof data.Alarm === 'object' && !Array.isArray(data.Alarm)
+        ? data.Alarm
+        : {};
+    return {
+        type: 'AlarmInfo',
+        id: toNumber(alarm.Id),
+        sourceName: toText(alarm.SourceName),
+        description: toText(data.Description ?? alarm.Description),
+        severity: toNumber(alarm.Severity),
+        status: toNumber(alarm.Status),
+        stateDesc: toText(alarm.StateDesc),
+        info: toText(alarm.Info),
+        date: toIsoDate(alarm.Date),
+        dateReceive: toIsoDate(alarm.DateReceive),
+        alarm: Object.keys(alarm).length > 0 ? normalizeRow(alarm) : null,
+        details: remaining(data, ['Alarm', 'Description']),
+    };
+}
+
+function toEventRow(data: AppVisionRow): EventRowPayload {
+    return {
+        type: 'EventRow',
+        id: toNumber(data.Id),
+        eventType: toNumber(data.Type),
+        subType: toNumber(data.SubType),
+        sourceName: toText(data.SourceName),
+        description: toText(data.Description),
+        value: toScalar(data.Value),
+        valueString: toText(data.ValueString),
+        stateDesc: toText(data.StateDesc),
+        quality: toNumber(data.Quality),
+        alarmId: toNumber(data.AlarmId),
+        info: toText(data.Info),
+        date: toIsoDate(data.Date),
+        dateReceive: toIsoDate(data.DateReceive),
+        details: remaining(data, [
+            'Id', 'Type', 'SubType', 'SourceName', 'Description', 'Value', 'ValueString',
+            'StateDesc', 'Quality', 'AlarmId', 'Info', 'Date', 'DateReceive',
+        ]),
+    };
+}
+
+function toEntityState(type: EntityStatePayload['type'], data: AppVisionRow): EntityStatePayload {
+    return {
+        type,
+        id: toNumber(data.Id),
+        name: toText(data.Name),
+        description: toText(data.Description),
+        state: toScalar(firstOf(data, ['State', 'Value', 'Status'])),
+        date: toIsoDate(data.Date),
+        details: remaining(data, ['Id', 'Name', 'Description', 'State', 'Value', 'Status', 'Date']),
+    };
+}
+
+function toServerState(data: AppVisionRow): ServerStatePayload {
+    return {
+        type: 'ServerState',
+        state: toScalar(firstOf(data, ['State', 'Value', 'Status'])),
+        date: toIsoDate(data.Date),
+        details: remaining(data, ['State', 'Value', 'Status', 'Date']),
+    };
+}
+
+/**
+ * Construit l'élément émis pour une notification (ou une ligne relue lors d'une
+ * resynchronisation) à partir de son champ `Data`.
+ */
+export function toNotificationPayload(type: string, data: AppVisionRow | undefined): NotificationPayload {
+    const row = data ?? {};
+    switch (type) {
+        case 'VariableState':
+            return toVariableState(row);
+        case 'AlarmInfo':
+            return toAlarmInfo(row);
+        case 'EventRow':
+            return toEventRow(row);
+        case 'GroupState':
+        case 'AreaState':
+        case 'ProtocolState':
+            return toEntityState(type, row);
+        default:
+            return toServerState(row);
+    }
+}
@@ -0,0 +1,132 @@
+import type { INodeProperties } from 'n8n-workflow';
+
+/** Opérations qui ajoutent une ligne AlarmRow, EventRow ou UserMessageRow. */
+export const ROW_OPERATIONS = ['createAlarmRow', 'createEventRow', 'createUserMessageRow'];
+
+/** Collection des champs saisis pour chaque opération. */
+export const ROW_FIELD_COLLECTIONS: Record<string, string> = {
+    createAlarmRow: 'alarmRowFields',
+    createEventRow: 'eventRowFields',
+    createUserMessageRow: 'userMessageRowFields',
+};
+
+/** Membres de type date de chaque ligne, renseignés à la date du jour quand ils ne sont pas saisis. */
+export const ROW_DATE_FIELDS: Record<string, string[]> = {
+    createAlarmRow: ['Date', 'DateReceive'],
+    createEventRow: ['Date', 'DateReceive'],
+    createUserMessageRow: ['DateCreate'],
+};
+
+function stringField(displayName: string, name: string, description: string): INodeProperties {
+    return { displayName, name, type: 'string', default: '', description };
+}
+
+function numberField(displayName: string, name: string, description: string): INodeProperties {
+    return { displayName, name, type: 'number', default: 0, description };
+}
+
+function dateField(displayName: string, name: string, description: string): INodeProperties {
+    return { displayName, name, type: 'dateTime', default: '', description };
+}
+
+const locationFields: INodeProperties[] = [
+    stringField('Area Description', 'areaDesc', 'Description de la zone'),
+    numberField('Area ID', 'areaId', 'ID de la zone'),
+    stringField('Group Description', 'groupDesc', 'Description des groupes'),
+    stringField('Group Names', 'groupNames', 'Noms des groupes, séparés par des virgules'),
+    stringField('GUID', 'guid', 'Identifiant unique de la ligne (généré s\'il est vide)'),
+    stringField('Photo', 'photo', 'Photo associée'),
+    stringField('Server Name', 'serverName', 'Nom du serveur (architectures multi-serveurs)'),
+    stringField('Video', 'video', 'Vidéo associée'),
+];
+
+const customFields: INodeProperties[] = [1, 2, 3, 4, 5].map((index) =>
+    stringField(`Custom Field ${index}`, `customField${index}`, `Champ personnalisé ${index}`),
+);
+
+function sorted(fields: INodeProperties[]): INodeProperties[] {
+    return [...fields].sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
+
+function rowCollection(name: string, operation: string, options: INodeProperties[]): INodeProperties {
+    return {
+        displayName: 'Additional Fields',
+        name,
+        type: 'collection',
+        placeholder: 'Add Field',
+        default: {},
+        displayOptions: {
+            show: {
+                resource: ['alarm'],
+                operation: [operation],
+            },
+        },
+        options: sorted(options),
+    };
+}
+
+export const rowFields: INodeProperties[] = [
+    {
+        displayName: 'Description',
+        name: 'rowDescription',
+        type: 'string',
+        required: true,
+        default: '',
+        description: 'Description of the alarm, event or user message',
+        displayOptions: {
+            show: {
+                resource: ['alarm'],
+                operation: ROW_OPERATIONS,
+            },
+        },
+    },
+    rowCollection(ROW_FIELD_COLLECTIONS.createAlarmRow, 'createAlarmRow', [
+        ...locationFields,
+        ...customFields,
+        dateField('Date', 'date', 'Date de l\'alarme (maintenant par défaut)'),
+        dateField('Date Receive', 'dateReceive', 'Date de réception de l\'alarme (maintenant par défaut)'),
+        stringField('Info', 'info', 'Additional information'),
+        stringField('Instructions', 'instructions', 'Instructions for handling the alarm'),
+        stringField('Parameters', 'parameters', 'Paramètres (métadonnées) de l\'alarme'),
+        stringField('Report', 'report', 'Report attached to the alarm'),
+        numberField('Severity', 'severity', 'Severity of the alarm (1-100)'),
+        numberField('Source ID', 'sourceId', 'ID de la source (variable ou message utilisateur)'),
+        stringField('Source Name', 'sourceName', 'Nom de la source (ex : $V.nom_variable)'),
+        stringField('State Description', 'stateDesc', 'Description of the state'),
+        numberField('Type', 'type', 'Type d\'alarme'),
+    ]),
+    rowCollection(ROW_FIELD_COLLECTIONS.createEventRow, 'createEventRow', [
+        ...locationFields,
+        ...customFields,
+        numberField('Alarm ID', 'alarmId', 'ID de l\'alarme associée'),
+        dateField('Date', 'date', 'Date de l\'événement (maintenant par défaut)'),
+        dateField('Date Receive', 'dateReceive', 'Date de réception de l\'événement (maintenant par défaut)'),
+        stringField('Info', 'info', 'Additional information'),
+        stringField('Parameters', 'parameters', 'Paramètres (métadonnées) de l\'événement'),
+        numberField('Quality', 'quality', 'Qualité (1-255)'),
+        numberField('Source ID', 'sourceId', 'ID de la source (variable)'),
+        stringField('Source Name', 'sourceName', 'Nom de la source (ex : $V.nom_variable)'),
+        stringField('State Description', 'stateDesc', 'Description of the state'),
+        numberField('Sub Type', 'subType', 'Sous-type d\'événement'),
+        numberField('Type', 'type', 'Type d\'événement'),
+        stringField('Value', 'value', 'Valeur de l\'événement'),
+        stringField('Value String', 'valueString', 'Valeur de l\'événement en texte'),
+    ]),
+    rowCollection(ROW_FIELD_COLLECTIONS.createUserMessageRow, 'createUserMessageRow', [
+        ...locationFields,
+        stringField('Category', 'category', 'Catégorie du message'),
+        stringField('Comment', 'comment', 'Contenu du message'),
+        dateField('Date Create', 'dateCreate', 'Date de création du message (maintenant par défaut)'),
+        {
+            displayName: 'Is Incident',
+            name: 'isIncident',
+            type: 'boolean',
+            default: false,
+            description: 'Whether the message reports an incident',
+        },
+        stringField('References', 'references', 'Références du message (variables, groupes...)'),
+        numberField('Severity', 'severity', 'Sévérité associée'),
+        numberField('Status', 'status', 'Statut : 1 en cours, 5 attente d\'acquittement, 10 terminé'),
+        stringField('To', 'to', 'Destinataire : @All, nom de profil, nom d\'utilisateur ou nom de machine'),
+    ]),
+];
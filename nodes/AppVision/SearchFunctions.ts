@@ -0,0 +1,164 @@
+import type {
+    ILoadOptionsFunctions,
+    INodeListSearchItems,
+    INodeListSearchResult,
+    INodeParameterResourceLocator,
+    INodePropertyOptions,
+} from 'n8n-workflow';
+import { installShutdownHooks, sessionPool } from '../../src';
+import type { AppVisionClient, AppVisionRow } from '../../src';
+import { getAppVisionCredentials } from './GenericFunctions';
+
+/*
+ * Listes déroulantes alimentées par le serveur AppVision (loadOptions et listSearch des
+ * resource locators), et lecture de la valeur d'un resource locator à l'exécution.
+ */
+
+/** Nombre d'éléments renvoyés par page de recherche. */
+const PAGE_SIZE = 100;
+
+async function getClient(context: ILoadOptionsFunctions): Promise<AppVisionClient> {
+    installShutdownHooks();
+    const credentials = await context.getCredentials('appVisionCredentials');
+    return sessionPool.get(getAppVisionCredentials(credentials));
+}
+
+/** Premier membre renseigné de la ligne parmi `keys`, en texte. */
+function textOf(row: AppVisionRow, keys: string[]): string | undefined {
+    for (const key of keys) {
+        const value = row[key];
+        if (value !== undefined && value !== null && value !== '' && typeof value !== 'object') {
+            return String(value);
+        }
+    }
+    return undefined;
+}
+
+/** Motif AppVision (`*` générique) contenant le texte recherché. */
+function toNamePattern(filter: string | undefined): string | undefined {
+    const text = filter?.trim();
+    return text ? `*${text}*` : undefined;
+}
+
+/** Filtre (si le serveur ne l'a pas déjà fait), trie puis découpe les résultats en pages. */
+function toPage(
+    items: INodeListSearchItems[],
+    filter: string | undefined,
+    paginationToken: string | undefined,
+): INodeListSearchResult {
+    const text = filter?.trim().toLowerCase();
+    const matching = text
+        ? items.filter((item) => item.name.toLowerCase().includes(text) || String(item.value).toLowerCase().includes(text))
+        : items;
+    matching.sort((a, b) => a.name.localeCompare(b.name));
+    const offset = Number(paginationToken) || 0;
+    const next = offset + PAGE_SIZE;
+    return {
+        results: matching.slice(offset, next),
+        paginationToken: next < matching.length ? String(next) : undefined,
+    };
+}
+
+async function getVariableNames(client: AppVisionClient, filter: string | undefined): Promise<string[]> {
+    const pattern = toNamePattern(filter);
+    const rows = (pattern ? await client.getRowsByName('Variable', pattern) : await client.getRows('Variable')) ?? [];
+    return rows.map((row) => textOf(row, ['Name'])).filter((name): name is string => name !== undefined);
+}
+
+async function getEntityNames(client: AppVisionClient, entity: 'Area' | 'Group' | 'Protocol'): Promise<string[]> {
+    const rows = (await client.getRows(entity)) ?? [];
+    return rows.map((row) => textOf(row, ['Name'])).filter((name): name is string => name !== undefined);
+}
+
+export const listSearch = {
+    /** Variables dont le nom contient le texte recherché (GetVariablesByName). */
+    async searchVariables(
+        this: ILoadOptionsFunctions,
+        filter?: string,
+        paginationToken?: string,
+    ): Promise<INodeListSearchResult> {
+        const client = await getClient(this);
+        const names = await getVariableNames(client, filter);
+        return toPage(names.map((name) => ({ name, value: name })), undefined, paginationToken);
+    },
+
+    /** Alarmes en cours, désignées par leur ID. */
+    async searchAlarms(
+        this: ILoadOptionsFunctions,
+        filter?: string,
+        paginationToken?: string,
+    ): Promise<INodeListSearchResult> {
+        const client = await getClient(this);
+        const rows = (await client.getCurrentAlarms()) ?? [];
+        const items = rows.flatMap((row) => {
+            const id = textOf(row, ['Id']);
+            if (id === undefined) {
+                return [];
+            }
+            const label = textOf(row, ['SourceName', 'Description']);
+            return [{ name: label ? `${id} - ${label}` : id, value: id }];
+        });
+        return toPage(items, filter, paginationToken);
+    },
+
+    /** Clients connectés (GetUsersConnected) et protocoles (`$P.<nom>`), destinataires d'une commande. */
+    async searchClients(
+        this: ILoadOptionsFunctions,
+        filter?: string,
+        paginationToken?: string,
+    ): Promise<INodeListSearchResult> {
+        const client = await getClient(this);
+        const users = (await client.getUsersConnected()) ?? [];
+        const clientNames = users
+            .map((row) => textOf(row, ['ClientName', 'Name', 'MachineName', 'UserName']))
+            .filter((name): name is string => name !== undefined);
+        const protocolNames = (await getEntityNames(client, 'Protocol')).map((name) => `$P.${name}`);
+        const items = [...new Set([...clientNames, ...protocolNames])].map((name) => ({ name, value: name }));
+        return toPage(items, filter, paginationToken);
+    },
+
+    /** Noms d'opération d'alarme : variables (`$V.`), zones (`$A.`) et groupes (`$G.`). */
+    async searchOperationNames(
+        this: ILoadOptionsFunctions,
+        filter?: string,
+        paginationToken?: string,
+    ): Promise<INodeListSearchResult> {
+        const client = await getClient(this);
+        const names = [
+            ...(await getVariableNames(client, filter)).map((name) => `$V.${name}`),
+            ...(await getEntityNames(client, 'Area')).map((name) => `$A.${name}`),
+            ...(await getEntityNames(client, 'Group')).map((name) => `$G.${name}`),
+        ];
+        // Les variables sont déjà filtrées par le serveur, sur leur nom sans préfixe
+        const text = filter?.trim().toLowerCase();
+        const items = names
+            .filter((name) => !text || name.startsWith('$V.') || name.toLowerCase().includes(text))
+            .map((name) => ({ name, value: name }));
+        return toPage(items, undefined, paginationToken);
+    },
+};
+
+export const loadOptions = {
+    /** Protocoles configurés (GetProtocols). */
+    async getProtocols(this: ILoadOptionsFunctions): Promise<INodePropertyOptions[]> {
+        const client = await getClient(this);
+        const rows = (await client.getRows('Protocol')) ?? [];
+        return rows
+            .flatMap((row) => {
+                const name = textOf(row, ['Name']);
+                return name === undefined ? [] : [{ name, value: name, description: textOf(row, ['Description']) }];
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+};
+
+/**
+ * Mode et valeur d'un resource locator. Un paramètre encore enregistré en texte libre (workflows
+ * antérieurs aux listes déroulantes) est lu comme une saisie par nom.
+ */
+export function getLocator(parameter: string | number | INodeParameterResourceLocator): { mode: string; value: string } {
+    if (parameter !== null && typeof parameter === 'object') {
+        return { mode: parameter.mode, value: String(parameter.value ?? '').trim() };
+    }
+    return { mode: 'name', value: String(parameter ?? '').trim() };
+}
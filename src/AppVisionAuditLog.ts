@@ -0,0 +1,205 @@
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import type { AppVisionClient } from './AppVisionClient';
+import { logger } from './AppVisionLogger';
+
+/** Who asked for a write: an n8n node or an MCP client. */
+export interface AuditCaller {
+    type: 'n8n' | 'mcp';
+    workflowId?: string;
+    workflowName?: string;
+    executionId?: string;
+    node?: string;
+    /** Name and version of the MCP client, as sent in its `initialize` request. */
+    client?: string;
+}
+
+/** A write about to be sent to AppVision. */
+export interface AuditRecord {
+    caller: AuditCaller;
+    /** AppVision account the write is sent with. */
+    user: string;
+    /** Base URL of the AppVision service. */
+    server: string;
+    operation: string;
+    arguments: Record<string, unknown>;
+    /** Value or row before the write, when the caller could read it. */
+    previousValue?: unknown;
+}
+
+/**
+ * One line of the audit log. `unconfirmed` writes were asked for but not approved by the user,
+ * so nothing was sent.
+ */
+export interface AuditEntry extends AuditRecord {
+    timestamp: string;
+    result: 'success' | 'failure' | 'unconfirmed';
+    response?: unknown;
+    error?: string;
+}
+
+export interface AppVisionAuditLogOptions {
+    /** JSONL file the entries are appended to. The log is disabled without it. */
+    path?: string;
+    /** Size from which the file is rotated, in bytes. Defaults to 10 MiB. */
+    maxSize?: number;
+    /** Rotated files kept (`audit.jsonl.1` to `audit.jsonl.<maxFiles>`). Defaults to 10. */
+    maxFiles?: number;
+    /**
+     * Also records each write in AppVision: as an event (`AddEventRow`), or as a modification
+     * (`AddModification`) of `modificationTable`.
+     */
+    writeBack?: 'event' | 'modification';
+    modificationTable?: string;
+}
+
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 10;
+
+const log = logger.child('audit');
+
+/**
+ * Reads the audit log settings from the environment: APPVISION_AUDIT_LOG (file path),
+ * APPVISION_AUDIT_MAX_SIZE, APPVISION_AUDIT_MAX_FILES, APPVISION_AUDIT_WRITE_BACK (`event` or
+ * `modification`) and APPVISION_AUDIT_TABLE (table of the modifications).
+ */
+export function getAuditLogOptions(env: NodeJS.ProcessEnv = process.env): AppVisionAuditLogOptions {
+    const writeBack = env.APPVISION_AUDIT_WRITE_BACK;
+    return {
+        path: env.APPVISION_AUDIT_LOG || undefined,
+        maxSize: Number(env.APPVISION_AUDIT_MAX_SIZE) || undefined,
+        maxFiles: Number(env.APPVISION_AUDIT_MAX_FILES) || undefined,
+        writeBack: writeBack === 'event' || writeBack === 'modification' ? writeBack : undefined,
+        modificationTable: env.APPVISION_AUDIT_TABLE || undefined,
+    };
+}
+
+/**
+ * A write being audited, returned by `AppVisionAuditLog.start()`. Exactly one of `succeed()`,
+ * `fail()` and `unconfirmed()` is recorded; later calls are ignored.
+ */
+export class AuditedWrite {
+    private done = false;
+
+    constructor(
+        private readonly log: AppVisionAuditLog,
+        private readonly record: AuditRecord,
+        private readonly client?: AppVisionClient,
+    ) {}
+
+    async succeed(response?: unknown): Promise<void> {
+        await this.finish({ result: 'success', response });
+    }
+
+    async fail(error: unknown): Promise<void> {
+        await this.finish({ result: 'failure', error: error instanceof Error ? error.message : String(error) });
+    }
+
+    async unconfirmed(): Promise<void> {
+        await this.finish({ result: 'unconfirmed' });
+    }
+
+    private async finish(outcome: Pick<AuditEntry, 'result' | 'response' | 'error'>): Promise<void> {
+        if (this.done) {
+            return;
+        }
+        this.done = true;
+        await this.log.write({ timestamp: new Date().toISOString(), ...this.record, ...outcome }, this.client);
+    }
+}
+
+/**
+ * Append-only JSONL log of the writes sent to AppVision.
+ *
+ * Entries are appended one at a time, in order. Once the file reaches `maxSize` it is renamed
+ * `<path>.1`, the previous ones shifted to `<path>.2`..., and the oldest beyond `maxFiles`
+ * deleted. A failure to write the log is reported through `logger` but never fails the write
+ * itself, which AppVision has already applied.
+ */
+export class AppVisionAuditLog {
+    private readonly options: AppVisionAuditLogOptions;
+    private queue: Promise<void> = Promise.resolve();
+
+    constructor(options: AppVisionAuditLogOptions = {}) {
+        this.options = options;
+    }
+
+    get enabled(): boolean {
+        return Boolean(this.options.path);
+    }
+
+    /** Starts auditing a write; returns `null` when the log is disabled. */
+    start(record: AuditRecord, client?: AppVisionClient): AuditedWrite | null {
+        return this.enabled ? new AuditedWrite(this, record, client) : null;
+    }
+
+    /** Appends `entry`, then records it in AppVision through `client` if `writeBack` is set. */
+    async write(entry: AuditEntry, client?: AppVisionClient): Promise<void> {
+        if (!this.options.path) {
+            return;
+        }
+        const line = `${JSON.stringify(entry)}\n`;
+        const append = this.queue.then(() => this.append(line));
+        this.queue = append.catch(() => undefined);
+        try {
+            await append;
+        } catch (error) {
+            log.error(`Cannot write ${this.options.path}`, error);
+        }
+
+        if (client && this.options.writeBack && entry.result !== 'unconfirmed') {
+            await this.writeBack(entry, client).catch((error) => {
+                log.error('Cannot record the write in AppVision', error);
+            });
+        }
+    }
+
+    private async append(line: string): Promise<void> {
+        const path = this.options.path as string;
+        await fs.mkdir(dirname(path), { recursive: true });
+        const size = await fs.stat(path).then((stat) => stat.size, () => 0);
+        if (size > 0 && size + Buffer.byteLength(line) > (this.options.maxSize ?? DEFAULT_MAX_SIZE)) {
+            await this.rotate(path);
+        }
+        await fs.appendFile(path, line, { encoding: 'utf8', mode: 0o600 });
+    }
+
+    private async rotate(path: string): Promise<void> {
+        const maxFiles = this.options.maxFiles ?? DEFAULT_MAX_FILES;
+        await fs.rm(`${path}.${maxFiles}`, { force: true });
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            await fs.rename(`${path}.${index}`, `${path}.${index + 1}`).catch(() => undefined);
+        }
+        await fs.rename(path, `${path}.1`);
+    }
+
+    private async writeBack(entry: AuditEntry, client: AppVisionClient): Promise<void> {
+        const description = `Audit: ${entry.operation} by ${entry.user} (${entry.result})`;
+        const info = JSON.stringify({
+            caller: entry.caller,
+            arguments: entry.arguments,
+            previousValue: entry.previousValue,
+            error: entry.error,
+        });
+        if (this.options.writeBack === 'modification') {
+            if (!this.options.modificationTable) {
+                throw new Error('APPVISION_AUDIT_TABLE is required to record the writes as modifications.');
+            }
+            await client.addModification({
+                table: this.options.modificationTable,
+                type: 0,
+                sourceId: 0,
+                userId: 0,
+                description,
+                info,
+            });
+            return;
+        }
+        const now = new Date();
+        await client.addEventRow({ Description: description, Info: info, Date: now, DateReceive: now, Guid: randomUUID() });
+    }
+}
+
+/** Audit log shared by the nodes and the MCP server of the process, configured by the environment. */
+export const auditLog = new AppVisionAuditLog(getAuditLogOptions());
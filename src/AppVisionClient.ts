@@ -0,0 +1,643 @@
+import {
+    AppVisionConnectionError,
+    AppVisionHttpError,
+    AppVisionLoginError,
+    AppVisionSessionError,
+} from './errors';
+import { sendHttpRequest } from './transport';
+import type { AppVisionTlsOptions } from './transport';
+import type {
+    AppVisionEntity,
+    AppVisionRow,
+    HistoAlarmsPageParams,
+    HistoEventsPageParams,
+    HistoUserMessagesPageParams,
+    LockVariableParams,
+    ModificationParams,
+    Query,
+    SetVariableParams,
+} from './types';
+import {
+    parseResponse,
+    toDataContractArrayXml,
+    toDataContractXml,
+    toNameValuesXml,
+    toStringXml,
+    XmlValue,
+} from './xml';
+
+/** Connection settings; the TLS settings only apply when `protocol` is `https`. */
+export interface AppVisionClientOptions extends AppVisionTlsOptions {
+    /** Host name or IP address of the AppVision server, optionally followed by `:port`. */
+    host: string;
+    /** Defaults to `http`. */
+    protocol?: 'http' | 'https';
+    /** Port of the service; the protocol default port when omitted or 0. */
+    port?: number;
+    /** Path of the service on the server, `/AppVisionService.svc` by default. */
+    basePath?: string;
+    /** Product name announced to the server by `Open`. */
+    clientProductName?: string;
+    /** Request timeout in milliseconds. */
+    timeout?: number;
+    /**
+     * When both `username` and `password` are set, the client opens and authenticates a session
+     * on first use and logs in again when the server answers 401.
+     */
+    username?: string;
+    password?: string;
+}
+
+const DEFAULT_BASE_PATH = '/AppVisionService.svc';
+const DEFAULT_CLIENT_PRODUCT_NAME = 'TestClient';
+const DEFAULT_TIMEOUT = 30000;
+
+interface RequestOptions {
+    query?: Query;
+    body?: string;
+    /** Send the request even when no session is open (used by `Open`). */
+    anonymous?: boolean;
+}
+
+/** Operations that must not trigger a new login when they are refused with 401. */
+const NO_RELOGIN_ENDPOINTS = new Set(['Login', 'Logout', 'Close']);
+
+/** Base URL of the service described by `options`, e.g. `http://10.0.0.5/AppVisionService.svc`. */
+export function getBaseUrl(options: AppVisionClientOptions): string {
+    const protocol = options.protocol ?? 'http';
+    const port = options.port ? `:${options.port}` : '';
+    const path = (options.basePath || DEFAULT_BASE_PATH).replace(/^\/*/, '/').replace(/\/+$/, '');
+    return `${protocol}://${options.host}${port}${path}`;
+}
+
+/**
+ * Typed client for the AppVision REST service (`AppVisionService.svc`).
+ *
+ * Every method resolves with the response parsed into plain JSON (see `parseResponse`) and
+ * rejects with an `AppVisionError` subclass.
+ */
+export class AppVisionClient {
+    sessionId: string | null;
+    /** Time of the last request other than `KeepAlive`, in milliseconds since the epoch. */
+    lastUsed = Date.now();
+
+    private readonly options: AppVisionClientOptions;
+    private connecting: Promise<string> | null = null;
+
+    constructor(options: AppVisionClientOptions, sessionId: string | null = null) {
+        this.options = options;
+        this.sessionId = sessionId;
+    }
+
+    /** Base URL of the service, e.g. `http://10.0.0.5/AppVisionService.svc`. */
+    get baseUrl(): string {
+        return getBaseUrl(this.options);
+    }
+
+    /**
+     * Builds the URL of a service operation, dropping `undefined` and `null` query values.
+     * Each segment of `endpoint` (e.g. `ScenarioManager/GetScenarios`) and each query key and
+     * value are percent-encoded as UTF-8, spaces included (`%20`, never `+`).
+     */
+    url(endpoint: string, query: Query = {}): URL {
+        const path = endpoint.split('/').map((segment) => encodeURIComponent(segment)).join('/');
+        const search = Object.entries(query)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`)
+            .join('&');
+        return new URL(`${this.baseUrl}/${path}${search ? `?${search}` : ''}`);
+    }
+
+    /** Whether the client holds credentials and can log in by itself. */
+    get canLogin(): boolean {
+        return Boolean(this.options.username && this.options.password);
+    }
+
+    /**
+     * Sends a request and returns the raw response body. A client holding credentials logs in
+     * before its first request and once more when a request is refused with 401.
+     */
+    async requestRaw(method: 'GET' | 'POST', endpoint: string, options: RequestOptions = {}): Promise<string> {
+        if (endpoint !== 'KeepAlive') {
+            this.lastUsed = Date.now();
+        }
+        if (!options.anonymous && !this.sessionId && this.canLogin) {
+            await this.ensureSession();
+        }
+
+        try {
+            return await this.send(method, endpoint, options);
+        } catch (error) {
+            const expired = error instanceof AppVisionHttpError
+                && error.statusCode === 401
+                && !options.anonymous
+                && !NO_RELOGIN_ENDPOINTS.has(endpoint)
+                && this.canLogin;
+            if (!expired) {
+                throw error;
+            }
+            this.sessionId = null;
+            await this.ensureSession();
+            return this.send(method, endpoint, options);
+        }
+    }
+
+    private async send(method: 'GET' | 'POST', endpoint: string, options: RequestOptions): Promise<string> {
+        const headers: Record<string, string> = {};
+        if (this.sessionId) {
+            headers.SessionID = this.sessionId;
+        } else if (!options.anonymous) {
+            throw new AppVisionSessionError();
+        }
+        if (options.body !== undefined) {
+            headers['Content-Type'] = 'application/xml';
+        }
+
+        let response;
+        try {
+            response = await sendHttpRequest({
+                method,
+                url: this.url(endpoint, options.query),
+                headers,
+                body: options.body,
+                timeout: this.options.timeout || DEFAULT_TIMEOUT,
+                tls: this.options,
+            });
+        } catch (error) {
+            throw new AppVisionConnectionError(endpoint, error);
+        }
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            throw new AppVisionHttpError(endpoint, response.statusCode, response.body);
+        }
+        return response.body;
+    }
+
+    async get<T = XmlValue>(endpoint: string, query?: Query): Promise<T> {
+        return parseResponse(await this.requestRaw('GET', endpoint, { query })) as unknown as T;
+    }
+
+    async post<T = XmlValue>(endpoint: string, body?: string, query?: Query): Promise<T> {
+        return parseResponse(await this.requestRaw('POST', endpoint, { query, body })) as unknown as T;
+    }
+
+    // Session
+
+    /** Opens a new session and keeps its id for the following requests. */
+    async open(): Promise<string> {
+        const body = await this.requestRaw('GET', 'Open', {
+            query: {
+                clientProductName: this.options.clientProductName || DEFAULT_CLIENT_PRODUCT_NAME,
+            },
+            anonymous: true,
+        });
+        const sessionId = String(parseResponse(body) ?? '').trim();
+        if (!sessionId) {
+            throw new AppVisionSessionError('Session ID not found in the Open response.');
+        }
+        this.sessionId = sessionId;
+        return sessionId;
+    }
+
+    /** Authenticates the current session. Rejects with `AppVisionLoginError` when refused. */
+    async login(username: string, password: string): Promise<void> {
+        let result: XmlValue;
+        try {
+            result = await this.post('Login', toNameValuesXml({ username, password }));
+        } catch (error) {
+            if (error instanceof AppVisionHttpError && AppVisionLoginError.isFailureCode(error.statusCode)) {
+                throw new AppVisionLoginError(error.statusCode);
+            }
+            throw error;
+        }
+
+        const code = Number(result);
+        if (AppVisionLoginError.isFailureCode(code)) {
+            throw new AppVisionLoginError(code);
+        }
+    }
+
+    /** Opens a session and logs in. */
+    async connect(username: string, password: string): Promise<string> {
+        const sessionId = await this.open();
+        await this.login(username, password);
+        return sessionId;
+    }
+
+    /**
+     * Returns the current session id, opening and authenticating a session with the client
+     * credentials when there is none. Concurrent callers share the same login.
+     */
+    async ensureSession(): Promise<string> {
+        if (this.sessionId) {
+            return this.sessionId;
+        }
+        if (!this.canLogin) {
+            throw new AppVisionSessionError();
+        }
+        if (!this.connecting) {
+            this.connecting = this.connect(this.options.username as string, this.options.password as string)
+                .catch((error) => {
+                    this.sessionId = null;
+                    throw error;
+                })
+                .finally(() => {
+                    this.connecting = null;
+                });
+        }
+        return this.connecting;
+    }
+
+    async keepAlive(): Promise<void> {
+        await this.get('KeepAlive');
+    }
+
+    async logout(): Promise<void> {
+        await this.get('Logout');
+    }
+
+    /** Closes the session on the server and forgets its id. */
+    async close(): Promise<void> {
+        await this.get('Close');
+        this.sessionId = null;
+    }
+
+    // Notifications
+
+    async startNotifications(send = true): Promise<void> {
+        await this.get('StartNotifications', { send });
+    }
+
+    async addFilterNotifications(filter: string): Promise<void> {
+        await this.post('AddFilterNotifications', toStringXml(filter));
+    }
+
+    async removeFilterNotifications(filter: string): Promise<void> {
+        await this.post('RemoveFilterNotifications', toStringXml(filter));
+    }
+
+    async getNotifications(count = 10): Promise<AppVisionRow[]> {
+        return this.get('GetNotifications', { count });
+    }
+
+    // Variables
+
+    async setVariable(params: SetVariableParams): Promise<XmlValue> {
+        return this.get('SetVariable', {
+            name: params.name,
+            newValue: params.value,
+            info: params.info || undefined,
+            operation: params.operation ?? '',
+            date: (params.date ?? new Date()).toISOString(),
+            severity: params.severity ?? 0,
+            quality: params.quality ?? 0,
+        });
+    }
+
+    async setVariableWithTempo(name: string, value: string, tempo: number): Promise<XmlValue> {
+        return this.get('SetVariableWithTempo', { name, tempo, newValue: value });
+    }
+
+    async setVariableWithPulse(name: string, tempo: number, valStart: string, valEnd: string): Promise<XmlValue> {
+        return this.get('SetVariableWithPulse', { name, tempo, valStart, valEnd });
+    }
+
+    async lockVariable(params: LockVariableParams): Promise<XmlValue> {
+        return this.get('LockVariable', {
+            name: params.name,
+            isLocked: params.isLocked,
+            val: params.value ?? '',
+            tempo: params.tempo ?? 0,
+        });
+    }
+
+    async getVariablesByFilter(filters: string): Promise<AppVisionRow[]> {
+        return this.get('GetVariablesByFilter', { filters });
+    }
+
+    async getVariablesByProtocol(protocolName: string): Promise<AppVisionRow[]> {
+        return this.get('GetVariablesByProtocol', { protocolName });
+    }
+
+    async getVariablesByTypes(types: string): Promise<AppVisionRow[]> {
+        return this.get('GetVariablesByTypes', { types });
+    }
+
+    async getVariablesExcluded(): Promise<AppVisionRow[]> {
+        return this.get('GetVariablesExcluded');
+    }
+
+    async addVariables(rows: Record<string, unknown>[], update: boolean): Promise<XmlValue> {
+        return this.post('AddVariables', toDataContractArrayXml('VariableRow', rows), { update });
+    }
+
+    // Areas, groups, protocols and variables
+
+    async getStates(entity: AppVisionEntity): Promise<AppVisionRow[]> {
+        return this.get(`Get${entity}States`);
+    }
+
+    async getStateCount(entity: AppVisionEntity): Promise<number> {
+        return this.get(`Get${entity}StateCount`);
+    }
+
+    async getRowCount(entity: AppVisionEntity): Promise<number> {
+        return this.get(`Get${entity}RowCount`);
+    }
+
+    async getStateByName(entity: AppVisionEntity, name: string): Promise<AppVisionRow | null> {
+        return this.get(`Get${entity}StateByName`, { name });
+    }
+
+    async getStateById(entity: AppVisionEntity, id: string | number): Promise<AppVisionRow | null> {
+        return this.get(`Get${entity}StateById`, { id });
+    }
+
+    async getStatesByName(entity: AppVisionEntity, patternName: string): Promise<AppVisionRow[]> {
+        return this.get(`Get${entity}StatesByName`, { patternName });
+    }
+
+    async getRows(entity: AppVisionEntity): Promise<AppVisionRow[]> {
+        return this.get(`Get${entity}s`);
+    }
+
+    async getRowByName(entity: AppVisionEntity, name: string): Promise<AppVisionRow | null> {
+        return this.get(`Get${entity}ByName`, { name });
+    }
+
+    async getRowById(entity: AppVisionEntity, id: string | number): Promise<AppVisionRow | null> {
+        return this.get(`Get${entity}ById`, { id });
+    }
+
+    async getRowByGuid(entity: AppVisionEntity, guid: string): Promise<AppVisionRow | null> {
+        return this.get(`Get${entity}ByGuid`, { guid });
+    }
+
+    async getRowsByName(entity: AppVisionEntity, patternName: string): Promise<AppVisionRow[]> {
+        return this.get(`Get${entity}sByName`, { patternName });
+    }
+
+    async addRow(entity: AppVisionEntity, row: Record<string, unknown>): Promise<XmlValue> {
+        return this.post(`Add${entity}`, toDataContractXml(`${entity}Row`, row));
+    }
+
+    async updateRow(entity: AppVisionEntity, row: Record<string, unknown>): Promise<boolean> {
+        return this.post(`Update${entity}`, toDataContractXml(`${entity}Row`, row));
+    }
+
+    async deleteRow(entity: AppVisionEntity, row: Record<string, unknown>): Promise<boolean> {
+        return this.post(`Delete${entity}`, toDataContractXml(`${entity}Row`, row));
+    }
+
+    // Alarms
+
+    async getCurrentAlarms(filters?: string): Promise<AppVisionRow[]> {
+        return this.get('GetCurrentAlarms', { filters });
+    }
+
+    async getAlarmEvents(alarmId: string | number): Promise<AppVisionRow[]> {
+        return this.get('GetAlarmEvents', { alarmId });
+    }
+
+    async removeAllAlarms(): Promise<XmlValue> {
+        return this.get('RemoveAllAlarms');
+    }
+
+    async acknowledgeAlarmById(id: string | number): Promise<XmlValue> {
+        return this.get('AcknowledgeAlarmById', { id });
+    }
+
+    async acknowledgeAlarmByName(opName: string): Promise<XmlValue> {
+        return this.post('AcknowledgeAlarmByName', undefined, { opName });
+    }
+
+    async cancelAlarm(id: string | number, comment: string): Promise<XmlValue> {
+        return this.post('CancelAlarm', toStringXml(comment), { id });
+    }
+
+    async resumeAlarmById(id: string | number, transferUserId: string | number = 0): Promise<XmlValue> {
+        return this.get('ResumeAlarmById', { id, transferUserId });
+    }
+
+    async transferAlarmById(id: string | number, transferUserId: string | number): Promise<XmlValue> {
+        return this.get('TransferAlarmById', { id, transferUserId });
+    }
+
+    async transferAlarmByName(opName: string, transferUserId: string | number): Promise<XmlValue> {
+        return this.get('TransferAlarmByName', { opName, transferUserId });
+    }
+
+    async maskAlarm(opName: string, isMasked: boolean, tempo = 0): Promise<XmlValue> {
+        return this.get('MaskAlarm', { opName, isMasked, tempo });
+    }
+
+    async updateAlarm(row: Record<string, unknown>): Promise<boolean> {
+        return this.post('UpdateAlarm', toDataContractXml('AlarmRow', row));
+    }
+
+    async addAlarmRow(row: Record<string, unknown>): Promise<XmlValue> {
+        return this.post('AddAlarmRow', toDataContractXml('AlarmRow', row));
+    }
+
+    async addEventRow(row: Record<string, unknown>): Promise<XmlValue> {
+        return this.post('AddEventRow', toDataContractXml('EventRow', row));
+    }
+
+    async addUserMessageRow(row: Record<string, unknown>): Promise<XmlValue> {
+        return this.post('AddUserMessageRow', toDataContractXml('UserMessageRow', row));
+    }
+
+    // History
+
+    async getHistoAlarmsByPage(params: HistoAlarmsPageParams): Promise<AppVisionRow[]> {
+        return this.get('GetHistoAlarmsByPage', {
+            ...params,
+            filterInstruction: params.filterInstruction ?? '',
+            filterReport: params.filterReport ?? '',
+        });
+    }
+
+    async getHistoEventsByPage(params: HistoEventsPageParams): Promise<AppVisionRow[]> {
+        return this.get('GetHistoEventsByPage', { ...params });
+    }
+
+    async getHistoUserMessagesByPage(params: HistoUserMessagesPageParams): Promise<AppVisionRow[]> {
+        return this.get('GetHistoUserMessageByPage', { ...params });
+    }
+
+    async getHistoAlarmById(alarmId: string | number): Promise<AppVisionRow | null> {
+        return this.get('GetHistoAlarmById', { alarmId });
+    }
+
+    async getHistoEventById(eventId: string | number): Promise<AppVisionRow | null> {
+        return this.get('GetHistoEventById', { eventId });
+    }
+
+    async getUserMessageById(umId: string | number): Promise<AppVisionRow | null> {
+        return this.get('GetUserMessageById', { umId });
+    }
+
+    // Server, clients and protocols
+
+    async startSupervision(): Promise<XmlValue> {
+        return this.get('StartSupervision');
+    }
+
+    async stopSupervision(restart = false): Promise<XmlValue> {
+        return this.get('StopSupervision', { restart });
+    }
+
+    async getServerState(): Promise<XmlValue> {
+        return this.get('GetServerState');
+    }
+
+    async sendCommandToClient(clientName: string, command: string, parameter: string): Promise<XmlValue> {
+        return this.get('SendCommandToClient', { clientName, command, parameter });
+    }
+
+    async sendDownloadToProtocol(varNames: string, parameter: string): Promise<XmlValue> {
+        return this.get('SendDownloadToProtocol', { varNames, parameter });
+    }
+
+    async addModification(params: ModificationParams): Promise<XmlValue> {
+        return this.get('AddModification', {
+            table: params.table,
+            type: params.type,
+            sourceId: params.sourceId,
+            sourceId2: params.sourceId2 ?? 0,
+            sourceId3: params.sourceId3 ?? 0,
+            userId: params.userId,
+            description: params.description,
+            info: params.info ?? '',
+        });
+    }
+
+    async getUsersConnected(): Promise<AppVisionRow[]> {
+        return this.get('GetUsersConnected');
+    }
+
+    async getCurrentUser(): Promise<AppVisionRow | null> {
+        return this.get('GetCurrentUser');
+    }
+
+    async getProtocolsConnected(): Promise<AppVisionRow[]> {
+        return this.get('GetProtocolsConnected');
+    }
+
+    async getCurrentProtocol(): Promise<AppVisionRow | null> {
+        return this.get('GetCurrentProtocol');
+    }
+
+    async getLicenseInfos(): Promise<AppVisionRow[]> {
+        return this.get('GetLicenseInfos');
+    }
+
+    async getLicenseInfo(name: string): Promise<XmlValue> {
+        return this.get('GetLicenseInfo', { name });
+    }
+
+    async getOptions(startName: string): Promise<AppVisionRow[]> {
+        return this.get('GetOptions', { startName });
+    }
+
+    async getOption(name: string): Promise<XmlValue> {
+        return this.get('GetOption', { name });
+    }
+
+    async setOption(name: string, value: string): Promise<XmlValue> {
+        return this.post('SetOption', toStringXml(value), { name });
+    }
+
+    // Profiles
+
+    async getProfiles(): Promise<AppVisionRow[]> {
+        return this.get('GetProfiles');
+    }
+
+    async getProfileByName(name: string): Promise<AppVisionRow | null> {
+        return this.get('GetProfileByName', { name });
+    }
+
+    async getProfileById(id: string | number): Promise<AppVisionRow | null> {
+        return this.get('GetProfileById', { id });
+    }
+
+    // Holidays
+
+    async getHolidays(): Promise<AppVisionRow[]> {
+        return this.get('GetHolidays');
+    }
+
+    async getHolidayById(id: string | number): Promise<AppVisionRow | null> {
+        return this.get('GetHolidayById', { id });
+    }
+
+    /** @param date Date formatted as `YYYYMMDD`. */
+    async getHolidayByDate(date: string): Promise<AppVisionRow | null> {
+        return this.get('GetHolidayByDate', { date });
+    }
+
+    async addHoliday(row: Record<string, unknown>): Promise<XmlValue> {
+        return this.post('AddHoliday', toDataContractXml('HolidayRow', row));
+    }
+
+    async getHolidayRowCount(): Promise<number> {
+        return this.get('GetHolidayRowCount');
+    }
+
+    // Instructions
+
+    async getInstructions(): Promise<AppVisionRow[]> {
+        return this.get('GetInstructions');
+    }
+
+    async getInstructionById(id: string | number): Promise<AppVisionRow | null> {
+        return this.get('GetInstruction', { id });
+    }
+
+    async getInstructionByName(name: string): Promise<AppVisionRow | null> {
+        return this.get('GetInstructionByName', { name });
+    }
+
+    async addInstruction(row: Record<string, unknown>): Promise<XmlValue> {
+        return this.post('AddInstruction', toDataContractXml('InstructionRow', row));
+    }
+
+    async deleteInstruction(id: string | number): Promise<boolean> {
+        return this.post('DeleteInstruction', toDataContractXml('InstructionRow', { Id: id }));
+    }
+
+    async getInstructionRowCount(): Promise<number> {
+        return this.get('GetInstructionRowCount');
+    }
+
+    // Reports and scenarios
+
+    async getReports(): Promise<AppVisionRow[]> {
+        return this.get('GetReports');
+    }
+
+    async getReportByName(name: string): Promise<AppVisionRow | null> {
+        return this.get('GetReportByName', { name });
+    }
+
+    async getTextReportRowCount(): Promise<number> {
+        return this.get('GetTextReportRowCount');
+    }
+
+    async getScenarios(): Promise<AppVisionRow[]> {
+        return this.get('ScenarioManager/GetScenarios');
+    }
+
+    async getScenarioById(id: string | number): Promise<AppVisionRow | null> {
+        return this.get('GetScenario', { id });
+    }
+
+    async getScenarioByName(name: string): Promise<AppVisionRow | null> {
+        return this.get('GetScenarioByName', { name });
+    }
+
+    async getScenarioRowCount(): Promise<number> {
+        return this.get('GetScenarioRowCount');
+    }
+}
@@ -0,0 +1,191 @@
+import { appendFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { format } from 'util';
+
+/** Severities of RFC 5424, from the lowest, as used by the MCP `logging` capability. */
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'] as const;
+
+export type LogLevel = (typeof LOG_LEVELS)[number];
+
+export interface LogEntry {
+    timestamp: string;
+    level: LogLevel;
+    /** Part of the package that logged the entry, e.g. `trigger` or `mcp`. */
+    logger: string;
+    message: string;
+    /** Details given with the message, already redacted. */
+    data?: unknown;
+}
+
+/** Receives the entries logged at or above the level of the logger. */
+export type LogSink = (entry: LogEntry) => void;
+
+export interface AppVisionLoggerOptions {
+    /** Lowest level logged. Defaults to `info`. */
+    level?: LogLevel;
+    /** `text` (default) writes one readable line per entry, `json` one JSON object. */
+    format?: 'text' | 'json';
+    /** File the entries are appended to instead of stderr. */
+    file?: string;
+}
+
+const REDACTED = '[REDACTED]';
+
+/** Keys whose value is never logged. */
+const SECRET_KEY = /pass(word|phrase)?|pwd|secret|token|authorization|session_?id|cookie|^key$/i;
+
+/** Secrets inside text: `key=value` or `"key": "value"` pairs, and XML elements. */
+const SECRET_PAIR = /\b(pass(?:word|phrase)?|pwd|secret|token|session_?id)(["']?\s*[:=]\s*["']?)([^&"'\s<>,;]+)/gi;
+const SECRET_ELEMENT = /<((?:\w+:)?\w*(?:Password|SessionID|Passphrase)\w*)>[^<]*<\/\1>/gi;
+
+/** Removes the passwords and session IDs from `text`: URL parameters, JSON members and XML elements. */
+export function redactText(text: string): string {
+    return text
+        .replace(SECRET_ELEMENT, (_element, name: string) => `<${name}>${REDACTED}</${name}>`)
+        .replace(SECRET_PAIR, (_pair, key: string, separator: string) => `${key}${separator}${REDACTED}`);
+}
+
+/**
+ * Copy of `value` safe to log: secret members are masked, strings go through `redactText()` and
+ * errors are reduced to their name and message.
+ */
+export function redact(value: unknown, seen = new WeakSet<object>()): unknown {
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (value instanceof Error) {
+        return { name: value.name, message: redactText(value.message) };
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, seen));
+    }
+    return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, SECRET_KEY.test(key) ? REDACTED : redact(item, seen)]),
+    );
+}
+
+/**
+ * Reads the logger settings from the environment: APPVISION_LOG_LEVEL (one of `LOG_LEVELS`,
+ * `warn` accepted), APPVISION_LOG_FORMAT (`text` or `json`) and APPVISION_LOG_FILE.
+ */
+export function getLoggerOptions(env: NodeJS.ProcessEnv = process.env): AppVisionLoggerOptions {
+    const level = env.APPVISION_LOG_LEVEL?.trim().toLowerCase();
+    return {
+        level: level === 'warn' ? 'warning' : LOG_LEVELS.find((name) => name === level),
+        format: env.APPVISION_LOG_FORMAT === 'json' ? 'json' : 'text',
+        file: env.APPVISION_LOG_FILE || undefined,
+    };
+}
+
+/**
+ * Logger of the package. It never writes to stdout, which carries the JSON-RPC stream of the MCP
+ * server over stdio: entries go to stderr, or to `file`, and to the sinks added by
+ * `addSink()`. Passwords and session IDs are redacted from the messages and their data.
+ */
+export class AppVisionLogger {
+    private readonly options: AppVisionLoggerOptions;
+    private readonly sinks: Set<LogSink>;
+    private fileReady = false;
+    private fileFailed = false;
+
+    constructor(options: AppVisionLoggerOptions = {}, readonly name = 'appvision', sinks = new Set<LogSink>()) {
+        this.options = options;
+        this.sinks = sinks;
+    }
+
+    get level(): LogLevel {
+        return this.options.level ?? 'info';
+    }
+
+    /** Logger writing to the same outputs, its entries named `name`. */
+    child(name: string): AppVisionLogger {
+        return new AppVisionLogger(this.options, name, this.sinks);
+    }
+
+    /** Also sends the entries to `sink`; returns the function removing it. */
+    addSink(sink: LogSink): () => void {
+        this.sinks.add(sink);
+        return () => this.sinks.delete(sink);
+    }
+
+    isEnabled(level: LogLevel): boolean {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+    }
+
+    debug(message: string, data?: unknown): void {
+        this.log('debug', message, data);
+    }
+
+    info(message: string, data?: unknown): void {
+        this.log('info', message, data);
+    }
+
+    warn(message: string, data?: unknown): void {
+        this.log('warning', message, data);
+    }
+
+    error(message: string, data?: unknown): void {
+        this.log('error', message, data);
+    }
+
+    log(level: LogLevel, message: string, data?: unknown): void {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const entry: LogEntry = {
+            timestamp: new Date().toISOString(),
+            level,
+            logger: this.name,
+            message: redactText(message),
+            data: data === undefined ? undefined : redact(data),
+        };
+        this.output(entry);
+        for (const sink of this.sinks) {
+            try {
+                sink(entry);
+            } catch {
+                // A failing sink must not fail the code that logs.
+            }
+        }
+    }
+
+    private output(entry: LogEntry): void {
+        const line = this.options.format === 'json' ? `${JSON.stringify(entry)}\n` : `${this.toText(entry)}\n`;
+        if (this.options.file && !this.fileFailed) {
+            try {
+                if (!this.fileReady) {
+                    mkdirSync(dirname(this.options.file), { recursive: true });
+                    this.fileReady = true;
+                }
+                appendFileSync(this.options.file, line, { encoding: 'utf8', mode: 0o600 });
+                return;
+            } catch (error) {
+                // Not retried: the following entries go to stderr.
+                this.fileFailed = true;
+                process.stderr.write(`AppVision logger: cannot write ${this.options.file}: ${format(error)}\n`);
+            }
+        }
+        process.stderr.write(line);
+    }
+
+    private toText(entry: LogEntry): string {
+        const text = `${entry.timestamp} ${entry.level.toUpperCase()} [${entry.logger}] ${entry.message}`;
+        if (entry.data === undefined) {
+            return text;
+        }
+        return `${text} ${typeof entry.data === 'string' ? entry.data : JSON.stringify(entry.data)}`;
+    }
+}
+
+/** Logger shared by the nodes and the MCP server of the process, configured by the environment. */
+export const logger = new AppVisionLogger(getLoggerOptions());
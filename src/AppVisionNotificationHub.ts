@@ -0,0 +1,267 @@
+import { EventEmitter } from 'events';
+import type { AppVisionClient } from './AppVisionClient';
+import { AppVisionNotificationPump } from './AppVisionNotificationPump';
+import { AppVisionSessionPool, sessionPool } from './AppVisionSessionPool';
+import type { AppVisionCredentials } from './AppVisionSessionPool';
+import type { AppVisionRow } from './types';
+
+export interface AppVisionSubscriptionOptions {
+    /** Filters as posted to `AddFilterNotifications` (`All`, `$V.Building1.*`...). Defaults to `All`. */
+    filters?: string[];
+    /** Longest pause wanted between two polls, in milliseconds. Defaults to 1 s. */
+    interval?: number;
+}
+
+interface SharedPump {
+    pump: AppVisionNotificationPump;
+    credentials: AppVisionCredentials;
+    subscriptions: Set<AppVisionSubscription>;
+    /** Pending `start()` of the pump, shared by the subscribers joining meanwhile. */
+    starting: Promise<void> | null;
+}
+
+const DEFAULT_INTERVAL = 1000;
+/** Pause before starting again a pump that could not enable notifications, in milliseconds. */
+const RESTART_DELAY = 2000;
+
+/** Prefix of the name filters matching each state notification (`$V.Building1.*`...). */
+const STATE_PREFIXES: Record<string, string> = {
+    VariableState: '$V',
+    AreaState: '$A',
+    GroupState: '$G',
+    ProtocolState: '$P',
+};
+
+/** Entity prefix of a name filter (`$V.`, `$A.`...). */
+const ENTITY_PREFIX = /^\$[A-Za-z]\./;
+
+function toPattern(filter: string): RegExp {
+    const source = filter.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Whether `notification` passes one of `filters`, with the `*` wildcard of AppVision filters.
+ * `All` matches every notification.
+ *
+ * A state is matched as `$V.<name>` (`$A`, `$G` and `$P` for the other states). Events and
+ * alarms carry the bare name of their source, which is matched against the filters without
+ * their `$V.`-like prefix, as the server does. Notifications without a name, such as
+ * ServerState, pass any filter.
+ */
+export function matchesNotificationFilters(notification: AppVisionRow, filters: string[]): boolean {
+    if (filters.includes('All')) {
+        return true;
+    }
+    const data = notification.Data as AppVisionRow | undefined;
+    const type = String(data?.$type ?? '');
+    if (type in STATE_PREFIXES) {
+        const name = data?.Name;
+        return name !== undefined && name !== null
+            && filters.some((filter) => toPattern(filter).test(`${STATE_PREFIXES[type]}.${String(name)}`));
+    }
+    const alarm = data?.Alarm as AppVisionRow | undefined;
+    const source = data?.SourceName ?? alarm?.SourceName ?? alarm?.Name;
+    if (source === undefined || source === null) {
+        return true;
+    }
+    return filters.some((filter) => toPattern(filter.replace(ENTITY_PREFIX, '')).test(String(source)));
+}
+
+export interface AppVisionSubscription {
+    /** Notifications of a poll that pass the filters of the subscription. */
+    on(event: 'notifications', listener: (notifications: AppVisionRow[]) => void): this;
+    /** Emitted on start, then each time notifications are enabled on a new session. */
+    on(event: 'session', listener: (sessionId: string) => void): this;
+    /** Emitted when a poll of the shared pump fails; polling goes on. */
+    on(event: 'error', listener: (error: Error) => void): this;
+}
+
+/**
+ * A subscriber of the notification hub. Created by `AppVisionNotificationHub.subscribe()`.
+ */
+export class AppVisionSubscription extends EventEmitter {
+    readonly filters: string[];
+    readonly interval: number;
+    /** Client of the pooled session; replaced when the pool replaces the client of the credential. */
+    client: AppVisionClient;
+
+    constructor(
+        private readonly hub: AppVisionNotificationHub,
+        client: AppVisionClient,
+        private readonly key: string,
+        options: AppVisionSubscriptionOptions,
+    ) {
+        super();
+        this.client = client;
+        this.filters = options.filters?.length ? options.filters : ['All'];
+        this.interval = options.interval ?? DEFAULT_INTERVAL;
+    }
+
+    /**
+     * Joins the shared pump, starting it for the first subscriber. Rejects, without joining,
+     * when the pump cannot enable notifications on the session.
+     */
+    async start(): Promise<void> {
+        await this.hub.join(this.key, this);
+    }
+
+    /** Leaves the shared pump. The last subscriber stops it and releases the session. */
+    async close(): Promise<void> {
+        await this.hub.leave(this.key, this);
+    }
+}
+
+/**
+ * Shares one notification pump per credential between every subscriber of the process.
+ *
+ * AppVision delivers each notification once per session, so subscribers of the same session
+ * cannot poll it on their own. The hub polls it once, with the union of the subscriber filters,
+ * and hands every subscriber the notifications matching its own filters.
+ */
+export class AppVisionNotificationHub {
+    private readonly pumps = new Map<string, SharedPump>();
+
+    constructor(private readonly pool: AppVisionSessionPool = sessionPool) {}
+
+    /** Creates a subscription on the pooled session of `credentials`. Call `start()` to receive notifications. */
+    subscribe(credentials: AppVisionCredentials, options: AppVisionSubscriptionOptions = {}): AppVisionSubscription {
+        const key = AppVisionSessionPool.key(credentials);
+        const client = this.pool.get(credentials);
+        const previous = this.pumps.get(key);
+        if (!previous || previous.pump.client !== client) {
+            // The pool replaced the client of outdated credentials: its pump polls a dead session.
+            // Its subscribers move to the pump of the new client.
+            const shared = this.createPump(client, credentials);
+            this.pumps.set(key, shared);
+            if (previous) {
+                void previous.pump.stop();
+                for (const subscription of previous.subscriptions) {
+                    subscription.client = client;
+                    shared.subscriptions.add(subscription);
+                }
+                previous.subscriptions.clear();
+                void this.restart(key, shared);
+            }
+        }
+        return new AppVisionSubscription(this, client, key, options);
+    }
+
+    /** Number of credentials currently polled. */
+    get size(): number {
+        return this.pumps.size;
+    }
+
+    /** @internal Use `AppVisionSubscription.start()`. */
+    async join(key: string, subscription: AppVisionSubscription): Promise<void> {
+        const shared = this.pumps.get(key);
+        if (!shared) {
+            throw new Error('The notification pump of this subscription has been released.');
+        }
+        shared.subscriptions.add(subscription);
+        try {
+            await this.configure(shared);
+            if (!shared.pump.running) {
+                shared.starting ??= shared.pump.start().finally(() => {
+                    shared.starting = null;
+                });
+                await shared.starting;
+                // The 'session' event of the start reached every subscriber already joined.
+                return;
+            }
+        } catch (error) {
+            shared.subscriptions.delete(subscription);
+            throw error;
+        }
+        if (subscription.client.sessionId) {
+            subscription.emit('session', subscription.client.sessionId);
+        }
+    }
+
+    /** @internal Use `AppVisionSubscription.close()`. */
+    async leave(key: string, subscription: AppVisionSubscription): Promise<void> {
+        const shared = this.pumps.get(key);
+        if (!shared || !shared.subscriptions.delete(subscription)) {
+            if (shared && shared.subscriptions.size === 0 && !shared.pump.running && !shared.starting) {
+                // The subscription never joined: forget the pump it would have started.
+                this.pumps.delete(key);
+            }
+            return;
+        }
+        if (shared.subscriptions.size > 0) {
+            await this.configure(shared).catch(() => undefined);
+            return;
+        }
+        this.pumps.delete(key);
+        await shared.pump.stop();
+        await this.pool.release(shared.credentials);
+    }
+
+    private createPump(client: AppVisionClient, credentials: AppVisionCredentials): SharedPump {
+        const shared: SharedPump = {
+            pump: new AppVisionNotificationPump(client),
+            credentials,
+            subscriptions: new Set(),
+            starting: null,
+        };
+        shared.pump.on('notifications', (notifications) => {
+            for (const subscription of shared.subscriptions) {
+                const matching = notifications.filter((notification) =>
+                    matchesNotificationFilters(notification, subscription.filters),
+                );
+                if (matching.length > 0) {
+                    subscription.emit('notifications', matching);
+                }
+            }
+        });
+        shared.pump.on('session', (sessionId) => {
+            for (const subscription of shared.subscriptions) {
+                subscription.emit('session', sessionId);
+            }
+        });
+        shared.pump.on('error', (error) => this.emitError(shared, error));
+        return shared;
+    }
+
+    private emitError(shared: SharedPump, error: Error): void {
+        for (const subscription of shared.subscriptions) {
+            if (subscription.listenerCount('error') > 0) {
+                subscription.emit('error', error);
+            }
+        }
+    }
+
+    /**
+     * Starts the pump of the subscribers moved from a replaced pump. Their triggers are already
+     * running, so a failure is reported to them and the start tried again, until the pump runs or
+     * is itself released or replaced.
+     */
+    private async restart(key: string, shared: SharedPump): Promise<void> {
+        while (this.pumps.get(key) === shared && shared.subscriptions.size > 0 && !shared.pump.running) {
+            try {
+                await this.configure(shared);
+                shared.starting ??= shared.pump.start().finally(() => {
+                    shared.starting = null;
+                });
+                await shared.starting;
+            } catch (error) {
+                this.emitError(shared, error as Error);
+                await new Promise<void>((resolve) => {
+                    const timer = setTimeout(() => resolve(), RESTART_DELAY);
+                    timer.unref();
+                });
+            }
+        }
+    }
+
+    /** Polls as often as the most demanding subscriber asks, with the union of their filters. */
+    private async configure(shared: SharedPump): Promise<void> {
+        const subscriptions = [...shared.subscriptions];
+        shared.pump.interval = Math.min(...subscriptions.map((subscription) => subscription.interval));
+        const filters = subscriptions.flatMap((subscription) => subscription.filters);
+        await shared.pump.setFilters(filters.includes('All') ? ['All'] : filters);
+    }
+}
+
+/** Hub shared by every trigger of the package. */
+export const notificationHub = new AppVisionNotificationHub();
@@ -0,0 +1,168 @@
+import { EventEmitter } from 'events';
+import type { AppVisionClient } from './AppVisionClient';
+import type { AppVisionRow } from './types';
+
+export interface AppVisionNotificationPumpOptions {
+    /** Pause between two polls once the queue is empty, in milliseconds. Defaults to 1 s. */
+    interval?: number;
+    /** Number of notifications requested by each `GetNotifications` call. Defaults to 100. */
+    batchSize?: number;
+    /** Filters posted to `AddFilterNotifications` for every new session. Defaults to `All`. */
+    filters?: string[];
+}
+
+const DEFAULT_INTERVAL = 1000;
+const DEFAULT_BATCH_SIZE = 100;
+
+export interface AppVisionNotificationPump {
+    /** Emitted for every non-empty `GetNotifications` response, in the order of the queue. */
+    on(event: 'notifications', listener: (notifications: AppVisionRow[]) => void): this;
+    /** Emitted each time notifications are enabled on a new session, the first one included. */
+    on(event: 'session', listener: (sessionId: string) => void): this;
+    /** Emitted when a poll fails; the pump keeps polling. */
+    on(event: 'error', listener: (error: Error) => void): this;
+    off(event: 'notifications', listener: (notifications: AppVisionRow[]) => void): this;
+    off(event: 'session', listener: (sessionId: string) => void): this;
+    off(event: 'error', listener: (error: Error) => void): this;
+}
+
+/**
+ * Polls the notification queue of an AppVision session in the background.
+ *
+ * The pump enables notifications (`StartNotifications` then `AddFilterNotifications`) on the
+ * session of `client`, and again whenever the client has to open a new session. Each poll drains
+ * the queue before waiting `interval` milliseconds.
+ */
+export class AppVisionNotificationPump extends EventEmitter {
+    readonly client: AppVisionClient;
+    /** Pause between two polls, in milliseconds. Takes effect from the next pause. */
+    interval: number;
+
+    private readonly batchSize: number;
+    private filters: string[];
+    private sessionId: string | null = null;
+    private active = false;
+    private timer: NodeJS.Timeout | null = null;
+    private wake: (() => void) | null = null;
+    private loop: Promise<void> | null = null;
+
+    constructor(client: AppVisionClient, options: AppVisionNotificationPumpOptions = {}) {
+        super();
+        this.client = client;
+        this.interval = options.interval ?? DEFAULT_INTERVAL;
+        this.batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+        this.filters = options.filters?.length ? [...new Set(options.filters)] : ['All'];
+    }
+
+    get running(): boolean {
+        return this.active;
+    }
+
+    /**
+     * Enables notifications on the current session, then keeps polling in the background until
+     * `stop()`. Rejects when the first session cannot be opened or configured.
+     */
+    async start(): Promise<void> {
+        if (this.active) {
+            return;
+        }
+        await this.enable(await this.client.ensureSession());
+        this.active = true;
+        this.loop = this.run();
+    }
+
+    /** Stops polling. The session itself is left to its owner. */
+    async stop(): Promise<void> {
+        this.active = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.wake?.();
+        await this.loop;
+        this.loop = null;
+    }
+
+    /**
+     * Replaces the filters. When notifications are enabled on the current session, the filters
+     * dropped are removed from it and the new ones added.
+     */
+    async setFilters(filters: string[]): Promise<void> {
+        const next = filters.length ? [...new Set(filters)] : ['All'];
+        const removed = this.filters.filter((filter) => !next.includes(filter));
+        const added = next.filter((filter) => !this.filters.includes(filter));
+        this.filters = next;
+        if (!this.sessionId || this.client.sessionId !== this.sessionId) {
+            return;
+        }
+        for (const filter of removed) {
+            await this.client.removeFilterNotifications(filter).catch(() => undefined);
+        }
+        for (const filter of added) {
+            await this.client.addFilterNotifications(filter);
+        }
+    }
+
+    /** Drains the queue, emitting the notifications received. */
+    async poll(): Promise<void> {
+        let count: number;
+        do {
+            const sessionId = await this.client.ensureSession();
+            if (sessionId !== this.sessionId) {
+                await this.enable(sessionId);
+            }
+
+            const notifications = await this.client.getNotifications(this.batchSize);
+            if (this.client.sessionId !== this.sessionId) {
+                // The client logged in again during the call: the new session has no notifications yet.
+                count = this.batchSize;
+                continue;
+            }
+            if (notifications.length > 0) {
+                this.emit('notifications', notifications);
+            }
+            count = notifications.length;
+        } while (count === this.batchSize && this.active);
+    }
+
+    private async enable(sessionId: string): Promise<void> {
+        await this.client.startNotifications();
+        if (!this.filters.includes('All')) {
+            // The session may be shared: drop the catch-all filter another subscriber has set.
+            await this.client.removeFilterNotifications('All').catch(() => undefined);
+        }
+        for (const filter of this.filters) {
+            await this.client.addFilterNotifications(filter);
+        }
+        this.sessionId = sessionId;
+        this.emit('session', sessionId);
+    }
+
+    private async run(): Promise<void> {
+        while (this.active) {
+            try {
+                await this.poll();
+            } catch (error) {
+                if (this.listenerCount('error') > 0) {
+                    this.emit('error', error);
+                }
+                if (this.client.sessionId !== this.sessionId) {
+                    // The session was dropped: enable notifications again on the next one, even
+                    // if the server hands out the same id.
+                    this.sessionId = null;
+                }
+            }
+            if (!this.active) {
+                break;
+            }
+            await new Promise<void>((resolve) => {
+                this.wake = resolve;
+                this.timer = setTimeout(() => resolve(), this.interval);
+                // Polling alone must not keep the process alive.
+                this.timer.unref();
+            });
+            this.wake = null;
+            this.timer = null;
+        }
+    }
+}
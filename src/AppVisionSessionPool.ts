@@ -0,0 +1,180 @@
+import { AppVisionClient, getBaseUrl } from './AppVisionClient';
+import { AppVisionHttpError, AppVisionSessionError } from './errors';
+import type { AppVisionClientOptions } from './AppVisionClient';
+
+/** Connection settings identifying one AppVision account on one server. */
+export interface AppVisionCredentials extends AppVisionClientOptions {
+    username: string;
+    password: string;
+}
+
+export interface AppVisionSessionPoolOptions {
+    /** Delay between two `KeepAlive` calls on an open session, in milliseconds. */
+    keepAliveInterval?: number;
+    /** Sessions unused for this long are logged out, in milliseconds. */
+    idleTimeout?: number;
+}
+
+interface PooledSession {
+    client: AppVisionClient;
+    /** Serialized credentials the client was created with. */
+    settings: string;
+    timer: NodeJS.Timeout;
+}
+
+const DEFAULT_KEEP_ALIVE_INTERVAL = 60 * 1000;
+const DEFAULT_IDLE_TIMEOUT = 15 * 60 * 1000;
+
+/**
+ * Keeps one AppVision session per credential (server + username) for the whole process.
+ *
+ * Sessions are opened lazily by the first request of their client, refreshed with `KeepAlive`
+ * while they are in use, logged out after `idleTimeout` without use and closed on shutdown.
+ */
+export class AppVisionSessionPool {
+    private readonly sessions = new Map<string, PooledSession>();
+    private readonly keepAliveInterval: number;
+    private readonly idleTimeout: number;
+
+    constructor(options: AppVisionSessionPoolOptions = {}) {
+        this.keepAliveInterval = options.keepAliveInterval ?? DEFAULT_KEEP_ALIVE_INTERVAL;
+        this.idleTimeout = options.idleTimeout ?? DEFAULT_IDLE_TIMEOUT;
+    }
+
+    static key(credentials: AppVisionCredentials): string {
+        return `${getBaseUrl(credentials).toLowerCase()}|${credentials.username}`;
+    }
+
+    /**
+     * Returns the client bound to `credentials`, creating it when needed. The session itself is
+     * opened by the first request sent with the client.
+     */
+    get(credentials: AppVisionCredentials): AppVisionClient {
+        const key = AppVisionSessionPool.key(credentials);
+        const settings = JSON.stringify(credentials);
+        const existing = this.sessions.get(key);
+        if (existing && existing.settings === settings) {
+            return existing.client;
+        }
+        if (existing) {
+            // The password or a connection option changed: the old session uses stale settings.
+            void this.release(credentials);
+        }
+
+        const session: PooledSession = {
+            client: new AppVisionClient(credentials),
+            settings,
+            timer: setInterval(() => void this.refresh(key), this.keepAliveInterval),
+        };
+        session.timer.unref();
+        this.sessions.set(key, session);
+        return session.client;
+    }
+
+    /** Logs out and closes the session of `credentials`, if any. */
+    async release(credentials: AppVisionCredentials): Promise<void> {
+        await this.remove(AppVisionSessionPool.key(credentials));
+    }
+
+    /**
+     * Forgets the session of `credentials` when `error` shows that AppVision refused it (401, or
+     * no session): the next request logs in again. Other failures, e.g. a network error, leave
+     * the session to the other users of the pool. Returns whether the session was dropped.
+     */
+    invalidate(credentials: AppVisionCredentials, error: unknown): boolean {
+        const session = this.sessions.get(AppVisionSessionPool.key(credentials));
+        const refused = error instanceof AppVisionSessionError
+            || (error instanceof AppVisionHttpError && error.statusCode === 401);
+        if (!session || !refused || !session.client.sessionId) {
+            return false;
+        }
+        // The server no longer knows the session: there is nothing to log out.
+        session.client.sessionId = null;
+        return true;
+    }
+
+    /** Logs out and closes every session. */
+    async closeAll(): Promise<void> {
+        await Promise.all([...this.sessions.keys()].map((key) => this.remove(key)));
+    }
+
+    get size(): number {
+        return this.sessions.size;
+    }
+
+    private async refresh(key: string): Promise<void> {
+        const session = this.sessions.get(key);
+        if (!session) {
+            return;
+        }
+        if (Date.now() - session.client.lastUsed > this.idleTimeout) {
+            await this.remove(key);
+            return;
+        }
+        if (!session.client.sessionId) {
+            return;
+        }
+        try {
+            await session.client.keepAlive();
+        } catch {
+            // The next request opens a new session.
+            session.client.sessionId = null;
+        }
+    }
+
+    private async remove(key: string): Promise<void> {
+        const session = this.sessions.get(key);
+        if (!session) {
+            return;
+        }
+        clearInterval(session.timer);
+        this.sessions.delete(key);
+
+        const { client } = session;
+        if (!client.sessionId) {
+            return;
+        }
+        try {
+            await client.logout();
+            await client.close();
+        } catch {
+            // The server drops the session by itself once it stops receiving KeepAlive.
+            client.sessionId = null;
+        }
+    }
+}
+
+/** Pool shared by every node of the package and the MCP server. */
+export const sessionPool = new AppVisionSessionPool();
+
+/** Pools logged out by the shutdown hooks, see `installShutdownHooks()`. */
+const shutdownPools = new Set<AppVisionSessionPool>();
+let shutdownHooksInstalled = false;
+
+/**
+ * Logs out every session of `pool` when the process receives SIGINT or SIGTERM. When no other
+ * listener handles the signal, it is raised again once the sessions are closed so the process
+ * still terminates.
+ *
+ * Returns a function taking `pool` out of the hooks, for a pool closed before the process ends.
+ */
+export function installShutdownHooks(pool: AppVisionSessionPool = sessionPool): () => void {
+    shutdownPools.add(pool);
+    if (!shutdownHooksInstalled) {
+        shutdownHooksInstalled = true;
+
+        for (const signal of ['SIGINT', 'SIGTERM'] as const) {
+            process.once(signal, () => {
+                const handledElsewhere = process.listenerCount(signal) > 0;
+                void Promise.all([...shutdownPools].map((shutdownPool) => shutdownPool.closeAll())).finally(() => {
+                    if (!handledElsewhere) {
+                        process.kill(process.pid, signal);
+                    }
+                });
+            });
+        }
+    }
+    return () => {
+        shutdownPools.delete(pool);
+    };
+}
@@ -0,0 +1,170 @@
+/**
+ * Base class for every error raised by the AppVision client.
+ */
+export class AppVisionError extends Error {
+    /** AppVision service operation that failed, e.g. `SetVariable`. */
+    readonly endpoint?: string;
+
+    constructor(message: string, endpoint?: string) {
+        super(message);
+        this.name = 'AppVisionError';
+        this.endpoint = endpoint;
+    }
+}
+
+const XML_ENTITIES: Record<string, string> = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXmlText(text: string): string {
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name: string) => {
+        if (name.startsWith('#x') || name.startsWith('#X')) {
+            return String.fromCodePoint(parseInt(name.slice(2), 16));
+        }
+        if (name.startsWith('#')) {
+            return String.fromCodePoint(Number(name.slice(1)));
+        }
+        return XML_ENTITIES[name] ?? entity;
+    });
+}
+
+const FAULT_PATTERNS = [
+    // SOAP 1.2 fault
+    /<(?:\w+:)?Reason>\s*<(?:\w+:)?Text[^>]*>([\s\S]*?)<\/(?:\w+:)?Text>/i,
+    // SOAP 1.1 fault
+    /<faultstring[^>]*>([\s\S]*?)<\/faultstring>/i,
+    // HTML error page of a WCF REST endpoint
+    /The exception message is '([\s\S]*?)'\./i,
+    // Serialized exception detail, or a plain `<string>` body
+    /<(?:\w+:)?(?:Message|ExceptionMessage)>([\s\S]*?)<\/(?:\w+:)?(?:Message|ExceptionMessage)>/i,
+    /<string[^>]*>([\s\S]*?)<\/string>/i,
+];
+
+/**
+ * Extracts the message of an AppVision error body: a WCF fault, the HTML error page of a REST
+ * endpoint, a serialized exception or a plain text body. Returns `undefined` when there is none.
+ */
+export function parseFaultMessage(body: string): string | undefined {
+    const text = body.trim();
+    if (!text) {
+        return undefined;
+    }
+    for (const pattern of FAULT_PATTERNS) {
+        const match = pattern.exec(text);
+        const message = match?.[1].replace(/<[^>]+>/g, '').trim();
+        if (message) {
+            return decodeXmlText(message);
+        }
+    }
+    return text.startsWith('<') ? undefined : text.slice(0, 500);
+}
+
+/**
+ * The AppVision server answered with a non-2xx HTTP status.
+ */
+export class AppVisionHttpError extends AppVisionError {
+    readonly statusCode: number;
+    readonly responseBody: string;
+    /** Message of the fault returned by AppVision, if the body carries one. */
+    readonly fault?: string;
+
+    constructor(endpoint: string, statusCode: number, responseBody: string) {
+        const fault = parseFaultMessage(responseBody);
+        super(`AppVision ${endpoint} failed with HTTP status ${statusCode}${fault ? `: ${fault}` : ''}`, endpoint);
+        this.name = 'AppVisionHttpError';
+        this.statusCode = statusCode;
+        this.responseBody = responseBody;
+        this.fault = fault;
+    }
+}
+
+/**
+ * The AppVision server could not be reached (connection refused, DNS failure, timeout...).
+ */
+export class AppVisionConnectionError extends AppVisionError {
+    /** Node.js system error code, e.g. `ECONNREFUSED` or `ETIMEDOUT`. */
+    readonly code?: string;
+
+    constructor(endpoint: string, cause: Error & { code?: string }) {
+        super(`Unable to reach AppVision server for ${endpoint}: ${cause.message}`, endpoint);
+        this.name = 'AppVisionConnectionError';
+        this.code = cause.code;
+    }
+}
+
+/**
+ * An operation needs an AppVision session but none has been opened.
+ */
+export class AppVisionSessionError extends AppVisionError {
+    constructor(message = 'No active AppVision session. Please log in first.') {
+        super(message);
+        this.name = 'AppVisionSessionError';
+    }
+}
+
+const LOGIN_FAILURES: Record<number, string> = {
+    401: 'Unauthorized: Incorrect username or password.',
+    402: 'Too many clients or users connected. Please try again later.',
+    406: 'New user detected. Please change the password.',
+    500: 'Internal server error. Please contact support.',
+};
+
+/**
+ * `Login` was refused by the AppVision server.
+ */
+export class AppVisionLoginError extends AppVisionError {
+    /** AppVision login status: 401, 402, 406 or 500. */
+    readonly code: number;
+
+    constructor(code: number) {
+        super(LOGIN_FAILURES[code] ?? `Login failed with status ${code}`, 'Login');
+        this.name = 'AppVisionLoginError';
+        this.code = code;
+    }
+
+    /** Whether `code` is one of the statuses AppVision uses to refuse a login. */
+    static isFailureCode(code: number): boolean {
+        return code in LOGIN_FAILURES;
+    }
+}
+
+/**
+ * Category of an AppVision failure, for callers that react differently to each of them.
+ */
+export type AppVisionErrorKind =
+    | 'notFound'
+    | 'unauthorized'
+    | 'sessionExpired'
+    | 'serverOffline'
+    | 'badRequest'
+    | 'serverError';
+
+/**
+ * Classifies an error raised by the AppVision client. Returns `undefined` for other errors.
+ *
+ * A 401 that survives the automatic re-login means the user lacks the right, not that the
+ * session expired; a request sent without any session is reported as expired.
+ */
+export function getErrorKind(error: unknown): AppVisionErrorKind | undefined {
+    if (error instanceof AppVisionConnectionError) {
+        return 'serverOffline';
+    }
+    if (error instanceof AppVisionSessionError) {
+        return 'sessionExpired';
+    }
+    if (error instanceof AppVisionLoginError) {
+        // 402 (too many connections) and 500 are refusals of the server, not of the credentials.
+        return error.code === 402 || error.code === 500 ? 'serverError' : 'unauthorized';
+    }
+    if (error instanceof AppVisionHttpError) {
+        if (error.statusCode === 401 || error.statusCode === 403) {
+            return 'unauthorized';
+        }
+        if (error.statusCode === 404) {
+            return 'notFound';
+        }
+        if (error.statusCode === 503) {
+            return 'serverOffline';
+        }
+        return error.statusCode < 500 ? 'badRequest' : 'serverError';
+    }
+    return undefined;
+}
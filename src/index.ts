@@ -0,0 +1,49 @@
+export { AppVisionAuditLog, AuditedWrite, auditLog, getAuditLogOptions } from './AppVisionAuditLog';
+export type { AppVisionAuditLogOptions, AuditCaller, AuditEntry, AuditRecord } from './AppVisionAuditLog';
+export { AppVisionClient, getBaseUrl } from './AppVisionClient';
+export { AppVisionLogger, getLoggerOptions, LOG_LEVELS, logger, redact, redactText } from './AppVisionLogger';
+export type { AppVisionLoggerOptions, LogEntry, LogLevel, LogSink } from './AppVisionLogger';
+export type { AppVisionClientOptions } from './AppVisionClient';
+export {
+    AppVisionNotificationHub,
+    AppVisionSubscription,
+    matchesNotificationFilters,
+    notificationHub,
+} from './AppVisionNotificationHub';
+export type { AppVisionSubscriptionOptions } from './AppVisionNotificationHub';
+export { AppVisionNotificationPump } from './AppVisionNotificationPump';
+export type { AppVisionNotificationPumpOptions } from './AppVisionNotificationPump';
+export { AppVisionSessionPool, installShutdownHooks, sessionPool } from './AppVisionSessionPool';
+export type { AppVisionCredentials, AppVisionSessionPoolOptions } from './AppVisionSessionPool';
+export type { AppVisionTlsOptions } from './transport';
+export {
+    AppVisionConnectionError,
+    AppVisionError,
+    AppVisionHttpError,
+    AppVisionLoginError,
+    AppVisionSessionError,
+    getErrorKind,
+    parseFaultMessage,
+} from './errors';
+export type { AppVisionErrorKind } from './errors';
+export {
+    escapeXml,
+    parseResponse,
+    toArray,
+    toDataContractArrayXml,
+    toDataContractXml,
+    toNameValuesXml,
+    toStringXml,
+} from './xml';
+export type { XmlObject, XmlValue } from './xml';
+export type {
+    AppVisionEntity,
+    AppVisionRow,
+    HistoAlarmsPageParams,
+    HistoEventsPageParams,
+    HistoUserMessagesPageParams,
+    LockVariableParams,
+    ModificationParams,
+    Query,
+    SetVariableParams,
+} from './types';
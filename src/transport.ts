@@ -0,0 +1,153 @@
+import { createHash } from 'crypto';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+
+/** TLS settings applied to `https` requests. */
+export interface AppVisionTlsOptions {
+    /** Accept HTTPS servers whose certificate cannot be verified. */
+    ignoreTlsErrors?: boolean;
+    /** PEM bundle of the certificate authorities trusted in addition to the system ones. */
+    ca?: string;
+    /** PEM client certificate presented for mutual TLS. */
+    cert?: string;
+    /** PEM private key of the client certificate. */
+    key?: string;
+    /** Passphrase of `key`. */
+    passphrase?: string;
+    /**
+     * SHA-256 fingerprints (hex, colons optional) of which at least one must appear in the
+     * certificate chain of the server.
+     */
+    pinnedFingerprints?: string[];
+}
+
+export interface AppVisionHttpRequest {
+    method: 'GET' | 'POST';
+    url: URL;
+    headers: Record<string, string>;
+    body?: string;
+    /** Socket inactivity timeout in milliseconds. */
+    timeout: number;
+    tls?: AppVisionTlsOptions;
+}
+
+export interface AppVisionHttpResponse {
+    statusCode: number;
+    body: string;
+}
+
+/** Normalizes a SHA-256 fingerprint to upper-case hex without separators. */
+export function normalizeFingerprint(fingerprint: string): string {
+    return fingerprint.replace(/[^0-9a-f]/gi, '').toUpperCase();
+}
+
+/**
+ * Checks that one of the pinned fingerprints matches a certificate of the chain presented by
+ * the server, starting from the leaf certificate.
+ */
+function checkPinnedCertificate(cert: tls.PeerCertificate, pins: string[]): Error | undefined {
+    const seen = new Set<tls.PeerCertificate>();
+    let current: tls.DetailedPeerCertificate | undefined = cert as tls.DetailedPeerCertificate;
+    while (current && current.raw && !seen.has(current)) {
+        seen.add(current);
+        const fingerprint = createHash('sha256').update(current.raw).digest('hex').toUpperCase();
+        if (pins.includes(fingerprint)) {
+            return undefined;
+        }
+        current = current.issuerCertificate;
+    }
+
+    const error: Error & { code?: string } = new Error(
+        'The certificate of the AppVision server does not match any pinned fingerprint',
+    );
+    error.code = 'ERR_CERT_PINNING';
+    return error;
+}
+
+/**
+ * Agents of the requests using certificate pinning, by pinned fingerprints. Keep-alive sockets
+ * are only shared by requests expecting the same pins, since a reused socket is not verified again.
+ */
+const pinnedAgents = new Map<string, https.Agent>();
+
+/** Builds the `https.request` options corresponding to `settings`. */
+function getTlsRequestOptions(settings: AppVisionTlsOptions = {}): https.RequestOptions {
+    const options: https.RequestOptions = { rejectUnauthorized: !settings.ignoreTlsErrors };
+    if (settings.ca) {
+        options.ca = [...tls.rootCertificates, settings.ca];
+    }
+    if (settings.cert && settings.key) {
+        options.cert = settings.cert;
+        options.key = settings.key;
+        options.passphrase = settings.passphrase || undefined;
+    }
+
+    const pins = (settings.pinnedFingerprints ?? []).map(normalizeFingerprint).filter(Boolean);
+    if (pins.length > 0) {
+        if (settings.ignoreTlsErrors) {
+            throw new Error('Certificate pinning cannot be combined with ignoring TLS errors');
+        }
+        const key = pins.join(',');
+        let agent = pinnedAgents.get(key);
+        if (!agent) {
+            agent = new https.Agent({ keepAlive: true });
+            pinnedAgents.set(key, agent);
+        }
+        options.agent = agent;
+        options.checkServerIdentity = (host, cert) =>
+            tls.checkServerIdentity(host, cert) ?? checkPinnedCertificate(cert, pins);
+    }
+    return options;
+}
+
+/**
+ * Sends a single HTTP request with the Node.js core modules and buffers the whole response body.
+ * Network failures reject with the underlying system error; HTTP error statuses resolve normally
+ * so the caller can decide how to report them.
+ */
+export function sendHttpRequest(request: AppVisionHttpRequest): Promise<AppVisionHttpResponse> {
+    const secure = request.url.protocol === 'https:';
+    const transport = secure ? https : http;
+    const headers = { ...request.headers };
+    if (request.body !== undefined) {
+        headers['Content-Length'] = Buffer.byteLength(request.body, 'utf8').toString();
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request(
+            request.url,
+            {
+                method: request.method,
+                headers,
+                timeout: request.timeout,
+                ...(secure ? getTlsRequestOptions(request.tls) : {}),
+            },
+            (res) => {
+                const chunks: Buffer[] = [];
+                res.on('data', (chunk: Buffer) => chunks.push(chunk));
+                res.on('error', reject);
+                res.on('end', () => {
+                    resolve({
+                        statusCode: res.statusCode ?? 0,
+                        body: Buffer.concat(chunks).toString('utf8'),
+                    });
+                });
+            },
+        );
+
+        req.on('timeout', () => {
+            const error: Error & { code?: string } = new Error(
+                `Request timed out after ${request.timeout} ms`,
+            );
+            error.code = 'ETIMEDOUT';
+            req.destroy(error);
+        });
+        req.on('error', reject);
+
+        if (request.body !== undefined) {
+            req.write(request.body, 'utf8');
+        }
+        req.end();
+    });
+}
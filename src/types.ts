@@ -0,0 +1,72 @@
+import type { XmlObject } from './xml';
+
+/** A DataContract row (AlarmRow, VariableRow, AreaRow...) as returned by the server. */
+export type AppVisionRow = XmlObject;
+
+/** Configuration entities sharing the same set of CRUD and state operations. */
+export type AppVisionEntity = 'Area' | 'Group' | 'Protocol' | 'Variable';
+
+export type QueryValue = string | number | boolean | undefined | null;
+export type Query = Record<string, QueryValue>;
+
+export interface SetVariableParams {
+    name: string;
+    value: string | number | boolean;
+    info?: string;
+    /** Empty for a normal update, `@INIT` or `@CHANGEONLY`. */
+    operation?: string;
+    /** Defaults to the current date. */
+    date?: Date;
+    /** 0: default, -1: no alarm, 1-100: specific severity. */
+    severity?: number;
+    /** 0: default, 1-255: specific quality. */
+    quality?: number;
+}
+
+export interface LockVariableParams {
+    name: string;
+    isLocked: boolean;
+    /** Value applied while the variable is locked. */
+    value?: string;
+    tempo?: number;
+}
+
+export interface ModificationParams {
+    table: string;
+    type: number;
+    sourceId: number;
+    sourceId2?: number;
+    sourceId3?: number;
+    userId: number;
+    description: string;
+    info?: string;
+}
+
+export interface HistoAlarmsPageParams {
+    page: number;
+    pageSize: number;
+    orderByDateReceive: boolean;
+    dateStart: string;
+    filters: string;
+    types: string;
+    userIds: string;
+    filterInstruction?: string;
+    filterReport?: string;
+}
+
+export interface HistoEventsPageParams {
+    page: number;
+    pageSize: number;
+    orderByDateReceive: boolean;
+    dateStart: string;
+    filters: string;
+    types: string;
+    subtypes: string;
+}
+
+export interface HistoUserMessagesPageParams {
+    page: number;
+    pageSize: number;
+    dateStart: string;
+    filters: string;
+}
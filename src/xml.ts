@@ -0,0 +1,201 @@
+import { XMLParser } from 'fast-xml-parser';
+
+export type XmlValue = string | number | boolean | null | XmlValue[] | XmlObject;
+export interface XmlObject {
+    [key: string]: XmlValue;
+}
+
+/** Namespace of the AppVision data rows (AlarmRow, VariableRow, AreaRow...). */
+export const DATA_NAMESPACE = 'http://schemas.datacontract.org/2004/07/Prysm.AppVision.Data';
+/** Namespace of the AppVision common types (NameValue...). */
+export const COMMON_NAMESPACE = 'http://schemas.datacontract.org/2004/07/Prysm.AppVision.Common';
+/** Namespace used by WCF for primitive bodies such as `<string>`. */
+export const SERIALIZATION_NAMESPACE = 'http://schemas.microsoft.com/2003/10/Serialization/';
+const INSTANCE_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    removeNSPrefix: true,
+    numberParseOptions: { hex: false, leadingZeros: false, eNotation: false },
+});
+
+/**
+ * Wraps a value into an array, treating `undefined`, `null` and empty elements as "no items".
+ * fast-xml-parser returns a single object instead of an array when a list has one entry.
+ */
+export function toArray<T>(value: T | T[] | undefined | null | ''): T[] {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Removes XML artefacts from a parsed node: `i:nil` elements become `null`, the `i:type`
+ * attribute is exposed as `$type` and every other attribute is dropped.
+ */
+function cleanNode(node: unknown): XmlValue {
+    if (Array.isArray(node)) {
+        return node.map(cleanNode);
+    }
+    if (node === null || typeof node !== 'object') {
+        return node as XmlValue;
+    }
+
+    const source = node as Record<string, unknown>;
+    if (source['@_nil'] === 'true') {
+        return null;
+    }
+
+    const result: XmlObject = {};
+    for (const [key, value] of Object.entries(source)) {
+        if (key === '@_type') {
+            result.$type = String(value);
+        } else if (!key.startsWith('@_') && key !== '#text') {
+            result[key] = cleanNode(value);
+        }
+    }
+
+    // A typed primitive (`<Value i:type="a:int">5</Value>`) keeps its text, not its type.
+    if ('#text' in source && Object.keys(result).every((key) => key === '$type')) {
+        return cleanNode(source['#text']);
+    }
+    return Object.keys(result).length === 0 ? '' : result;
+}
+
+/**
+ * Parses an AppVision WCF response into plain JSON.
+ *
+ * - `ArrayOfX` documents become an array of `X` items (empty array when there is none);
+ * - primitive documents (`<boolean>`, `<int>`, `<string>`...) become the primitive value;
+ * - any other document becomes the root element content.
+ *
+ * Empty bodies resolve to `null` and non-XML bodies are returned untouched.
+ */
+export function parseResponse(body: string): XmlValue {
+    const text = body.trim();
+    if (text === '') {
+        return null;
+    }
+    if (!text.startsWith('<')) {
+        return text;
+    }
+
+    const document = parser.parse(text) as Record<string, unknown>;
+    const rootName = Object.keys(document).find((key) => !key.startsWith('?'));
+    if (!rootName) {
+        return null;
+    }
+
+    const root = cleanNode(document[rootName]);
+    if (rootName.startsWith('ArrayOf')) {
+        if (root === null || typeof root !== 'object' || Array.isArray(root)) {
+            return [];
+        }
+        return Object.values(root).flatMap((items) => toArray(items));
+    }
+    return root;
+}
+
+/** Characters that XML 1.0 cannot carry, even escaped. */
+const INVALID_XML_CHARS = /[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+const XML_NAME = /^[A-Za-z_][\w.-]*$/;
+
+/**
+ * Escapes a text for an XML element or attribute value. Characters that XML 1.0 does not
+ * allow at all (most control characters) are dropped.
+ */
+export function escapeXml(value: string): string {
+    return value
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function assertXmlName(name: string): void {
+    if (!XML_NAME.test(name)) {
+        throw new Error(`Invalid XML element name: ${name}`);
+    }
+}
+
+/**
+ * Serializes the members of a DataContract, as `DataContractSerializer` expects them:
+ * `null` becomes `i:nil`, dates are written in ISO 8601, nested objects become nested
+ * elements and the `$type` key (see `parseResponse`) becomes the `i:type` attribute.
+ *
+ * WCF ignores members that are not in the expected order, so they are written in ordinal
+ * order, the default order of a DataContract.
+ */
+function toMembersXml(fields: Record<string, unknown>): string {
+    const names = Object.keys(fields)
+        .filter((name) => name !== '$type' && fields[name] !== undefined)
+        .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    return names.map((name) => toElementXml(name, fields[name])).join('');
+}
+
+function toElementXml(name: string, value: unknown): string {
+    assertXmlName(name);
+    if (value === null) {
+        return `<${name} i:nil="true"/>`;
+    }
+    if (value instanceof Date) {
+        return `<${name}>${value.toISOString()}</${name}>`;
+    }
+    if (typeof value === 'object') {
+        if (Array.isArray(value)) {
+            throw new Error(`Lists are not supported in DataContract member ${name}`);
+        }
+        const members = value as Record<string, unknown>;
+        const type = members.$type ? ` i:type="${escapeXml(String(members.$type))}"` : '';
+        return `<${name}${type}>${toMembersXml(members)}</${name}>`;
+    }
+    return `<${name}>${escapeXml(String(value))}</${name}>`;
+}
+
+/**
+ * Serializes an object into an AppVision DataContract element, e.g.
+ * `toDataContractXml('AreaRow', { Name: 'Hall' })`. Undefined fields are omitted and text
+ * values are escaped. See `toMembersXml` for the order of the members.
+ */
+export function toDataContractXml(
+    typeName: string,
+    fields: Record<string, unknown>,
+    namespace = DATA_NAMESPACE,
+): string {
+    assertXmlName(typeName);
+    return `<${typeName} xmlns="${namespace}" xmlns:i="${INSTANCE_NAMESPACE}">${toMembersXml(fields)}</${typeName}>`;
+}
+
+/**
+ * Serializes a list of DataContract objects as an `ArrayOf<typeName>` document.
+ */
+export function toDataContractArrayXml(
+    typeName: string,
+    rows: Record<string, unknown>[],
+    namespace = DATA_NAMESPACE,
+): string {
+    assertXmlName(typeName);
+    const items = rows.map((row) => `<${typeName}>${toMembersXml(row)}</${typeName}>`).join('');
+    return `<ArrayOf${typeName} xmlns="${namespace}" xmlns:i="${INSTANCE_NAMESPACE}">${items}</ArrayOf${typeName}>`;
+}
+
+/**
+ * Serializes a string body as expected by operations taking a single `string` parameter.
+ */
+export function toStringXml(value: string): string {
+    return `<string xmlns="${SERIALIZATION_NAMESPACE}">${escapeXml(value)}</string>`;
+}
+
+/**
+ * Serializes name/value pairs as an `ArrayOfNameValue`, the body expected by `Login`.
+ */
+export function toNameValuesXml(values: Record<string, string>): string {
+    const items = Object.entries(values)
+        .map(([name, value]) => `<NameValue><Name>${escapeXml(name)}</Name><Value>${escapeXml(value)}</Value></NameValue>`)
+        .join('');
+    return `<ArrayOfNameValue xmlns="${COMMON_NAMESPACE}" xmlns:i="${INSTANCE_NAMESPACE}">${items}</ArrayOfNameValue>`;
+}
@@ -0,0 +1,266 @@
+const assert = require('assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const {
+    AppVisionClient,
+    AppVisionConnectionError,
+    AppVisionHttpError,
+    AppVisionLoginError,
+    AppVisionSessionError,
+    getErrorKind,
+} = require('../dist/src');
+const { sessionRoutes, startStubServer, xmlInt, xmlString } = require('./stub-server');
+
+const ALARMS = '<ArrayOfAlarmRow xmlns="http://schemas.datacontract.org/2004/07/Prysm.AppVision.Data">'
+    + '<AlarmRow><Id>1</Id><Description>Porte ouverte</Description></AlarmRow>'
+    + '<AlarmRow><Id>2</Id><Description>Défaut secteur &amp; batterie</Description></AlarmRow>'
+    + '</ArrayOfAlarmRow>';
+
+describe('AppVisionClient', () => {
+    let stub;
+
+    before(async () => {
+        stub = await startStubServer();
+    });
+
+    after(async () => {
+        await stub.close();
+    });
+
+    beforeEach(() => {
+        stub.requests.length = 0;
+        for (const key of Object.keys(stub.routes)) {
+            delete stub.routes[key];
+        }
+        Object.assign(stub.routes, sessionRoutes(), {
+            GetCurrentAlarms: ALARMS,
+            GetServerState: '<ServerState xmlns="x"><State>Running</State></ServerState>',
+        });
+    });
+
+    describe('session', () => {
+        it('opens and logs in before the first request', async () => {
+            const client = new AppVisionClient(stub.options);
+
+            await client.getServerState();
+
+            assert.deepEqual(stub.requests.map((request) => request.endpoint), ['Open', 'Login', 'GetServerState']);
+            const [open, login, state] = stub.requests;
+            assert.equal(open.headers.sessionid, undefined);
+            assert.equal(login.method, 'POST');
+            assert.equal(login.headers.sessionid, 'sess-1');
+            assert.match(login.body, /operator/);
+            assert.match(login.body, /s3cret/);
+            assert.equal(state.headers.sessionid, 'sess-1');
+            assert.equal(client.sessionId, 'sess-1');
+        });
+
+        it('shares a single login between concurrent requests', async () => {
+            const client = new AppVisionClient(stub.options);
+
+            await Promise.all([client.getServerState(), client.getCurrentAlarms(), client.getServerState()]);
+
+            assert.equal(stub.requests.filter((request) => request.endpoint === 'Open').length, 1);
+            assert.equal(stub.requests.filter((request) => request.endpoint === 'Login').length, 1);
+        });
+
+        it('sends KeepAlive with the session without marking the client as used', async () => {
+            const client = new AppVisionClient(stub.options, 'sess-1');
+            client.lastUsed = 0;
+
+            await client.keepAlive();
+
+            assert.equal(stub.requests.length, 1);
+            assert.equal(stub.requests[0].endpoint, 'KeepAlive');
+            assert.equal(stub.requests[0].headers.sessionid, 'sess-1');
+            assert.equal(client.lastUsed, 0);
+        });
+
+        it('logs in again and retries once when the session has expired', async () => {
+            let refused = false;
+            stub.routes.GetServerState = (request) => {
+                if (request.headers.sessionid === 'old-session' && !refused) {
+                    refused = true;
+                    return { status: 401, body: '' };
+                }
+                return '<ServerState xmlns="x"><State>Running</State></ServerState>';
+            };
+            const client = new AppVisionClient(stub.options, 'old-session');
+
+            const state = await client.getServerState();
+
+            assert.deepEqual(state, { State: 'Running' });
+            assert.deepEqual(
+                stub.requests.map((request) => request.endpoint),
+                ['GetServerState', 'Open', 'Login', 'GetServerState'],
+            );
+            assert.equal(stub.requests[3].headers.sessionid, 'sess-1');
+        });
+
+        it('does not log in again when a 401 survives the new login', async () => {
+            stub.routes.GetServerState = { status: 401, body: '' };
+            const client = new AppVisionClient(stub.options, 'old-session');
+
+            await assert.rejects(client.getServerState(), (error) => {
+                assert.ok(error instanceof AppVisionHttpError);
+                assert.equal(error.statusCode, 401);
+                assert.equal(getErrorKind(error), 'unauthorized');
+                return true;
+            });
+            assert.equal(stub.requests.filter((request) => request.endpoint === 'Login').length, 1);
+        });
+
+        it('does not log in again for Logout', async () => {
+            stub.routes.Logout = { status: 401, body: '' };
+            const client = new AppVisionClient(stub.options, 'old-session');
+
+            await assert.rejects(client.logout(), AppVisionHttpError);
+            assert.deepEqual(stub.requests.map((request) => request.endpoint), ['Logout']);
+        });
+
+        it('rejects a refused login with its AppVision code', async () => {
+            stub.routes.Login = xmlInt(402);
+            const client = new AppVisionClient(stub.options);
+
+            await assert.rejects(client.getServerState(), (error) => {
+                assert.ok(error instanceof AppVisionLoginError);
+                assert.equal(error.code, 402);
+                assert.equal(getErrorKind(error), 'serverError');
+                return true;
+            });
+            assert.equal(client.sessionId, null);
+        });
+
+        it('refuses to send a request without session nor credentials', async () => {
+            const client = new AppVisionClient({ host: stub.options.host, port: stub.port });
+
+            await assert.rejects(client.getServerState(), AppVisionSessionError);
+            assert.equal(stub.requests.length, 0);
+        });
+
+        it('forgets the session once closed', async () => {
+            const client = new AppVisionClient(stub.options, 'sess-1');
+
+            await client.close();
+
+            assert.equal(client.sessionId, null);
+        });
+    });
+
+    describe('URLs', () => {
+        it('requests the operations of a sub-service under their path', async () => {
+            stub.routes['ScenarioManager/GetScenarios'] = '<ArrayOfScenario xmlns="x"><Scenario><Name>Nuit</Name></Scenario></ArrayOfScenario>';
+            const client = new AppVisionClient(stub.options, 'sess-1');
+
+            const scenarios = await client.getScenarios();
+
+            assert.deepEqual(scenarios, [{ Name: 'Nuit' }]);
+            assert.equal(stub.requests[0].rawPath, '/AppVisionService.svc/ScenarioManager/GetScenarios');
+        });
+
+        it('sends names with special characters unchanged', async () => {
+            const name = 'Salle #1 & 2 / A+B?=50% ;x';
+            stub.routes.GetVariableStateByName = '<VariableState xmlns="x"><Value>5</Value></VariableState>';
+            const client = new AppVisionClient(stub.options, 'sess-1');
+
+            await client.getStateByName('Variable', name);
+
+            assert.equal(stub.requests[0].query.name, name);
+            assert.equal(stub.requests[0].rawQuery, '?name=Salle%20%231%20%26%202%20%2F%20A%2BB%3F%3D50%25%20%3Bx');
+        });
+
+        it('sends accented names as UTF-8', async () => {
+            stub.routes.SetVariable = '';
+            const client = new AppVisionClient(stub.options, 'sess-1');
+
+            await client.setVariable({ name: 'Température Été', value: 'Fermé', date: new Date(0) });
+
+            const [request] = stub.requests;
+            assert.equal(request.query.name, 'Température Été');
+            assert.equal(request.query.newValue, 'Fermé');
+            assert.match(request.rawQuery, /name=Temp%C3%A9rature%20%C3%89t%C3%A9&/);
+        });
+
+        it('leaves out the query values that are not set', () => {
+            const client = new AppVisionClient(stub.options, 'sess-1');
+
+            const url = client.url('GetCurrentAlarms', { filters: undefined, page: null, count: 0 });
+
+            assert.equal(url.href, `http://127.0.0.1:${stub.port}/AppVisionService.svc/GetCurrentAlarms?count=0`);
+        });
+    });
+
+    describe('responses', () => {
+        it('parses a list of DataContract rows', async () => {
+            const client = new AppVisionClient(stub.options, 'sess-1');
+
+            const alarms = await client.getCurrentAlarms();
+
+            assert.deepEqual(alarms, [
+                { Id: 1, Description: 'Porte ouverte' },
+                { Id: 2, Description: 'Défaut secteur & batterie' },
+            ]);
+        });
+
+        it('parses an empty list and an empty body', async () => {
+            stub.routes.GetCurrentAlarms = '<ArrayOfAlarmRow xmlns="x"/>';
+            stub.routes.GetServerState = '';
+            const client = new AppVisionClient(stub.options, 'sess-1');
+
+            assert.deepEqual(await client.getCurrentAlarms(), []);
+            assert.equal(await client.getServerState(), null);
+        });
+
+        it('parses a serialized string', async () => {
+            stub.routes.GetServerState = xmlString('Running');
+            const client = new AppVisionClient(stub.options, 'sess-1');
+
+            assert.equal(await client.getServerState(), 'Running');
+        });
+    });
+
+    describe('errors', () => {
+        it('reports the message of a SOAP fault', async () => {
+            stub.routes.GetCurrentAlarms = {
+                status: 500,
+                body: '<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"><s:Body><s:Fault>'
+                    + '<s:Reason><s:Text xml:lang="fr-FR">Filtre &quot;x&quot; invalide</s:Text></s:Reason>'
+                    + '</s:Fault></s:Body></s:Envelope>',
+            };
+            const client = new AppVisionClient(stub.options, 'sess-1');
+
+            await assert.rejects(client.getCurrentAlarms('x'), (error) => {
+                assert.ok(error instanceof AppVisionHttpError);
+                assert.equal(error.statusCode, 500);
+                assert.equal(error.fault, 'Filtre "x" invalide');
+                assert.match(error.message, /GetCurrentAlarms failed with HTTP status 500: Filtre "x" invalide/);
+                assert.equal(getErrorKind(error), 'serverError');
+                return true;
+            });
+        });
+
+        it('reports the exception of a WCF error page', async () => {
+            stub.routes.GetCurrentAlarms = {
+                status: 400,
+                body: '<html><body><p>The exception message is \'Alarm 42 not found\'. See server logs.</p></body></html>',
+            };
+            const client = new AppVisionClient(stub.options, 'sess-1');
+
+            await assert.rejects(client.getCurrentAlarms(), (error) => {
+                assert.equal(error.fault, 'Alarm 42 not found');
+                assert.equal(getErrorKind(error), 'badRequest');
+                return true;
+            });
+        });
+
+        it('reports an unreachable server as a connection error', async () => {
+            const client = new AppVisionClient({ ...stub.options, port: 1 }, 'sess-1');
+
+            await assert.rejects(client.getServerState(), (error) => {
+                assert.ok(error instanceof AppVisionConnectionError);
+                assert.equal(error.code, 'ECONNREFUSED');
+                assert.equal(getErrorKind(error), 'serverOffline');
+                return true;
+            });
+        });
+    });
+});
@@ -0,0 +1,95 @@
+const assert = require('assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { AppVisionNotificationHub, AppVisionSessionPool, matchesNotificationFilters } = require('../dist/src');
+const { sessionRoutes, startStubServer, xmlString } = require('./stub-server');
+
+const NOTIFICATION = '<ArrayOfNotification xmlns="x" xmlns:i="http://www.w3.org/2001/XMLSchema-instance">'
+    + '<Notification><Data i:type="VariableState"><Name>Porte</Name><Value>1</Value></Data></Notification>'
+    + '</ArrayOfNotification>';
+
+/** Resolves with the first notifications `subscription` receives. */
+function nextNotifications(subscription) {
+    return new Promise((resolve) => subscription.once('notifications', resolve));
+}
+
+describe('AppVisionNotificationHub', () => {
+    let stub;
+    let sessions = 0;
+
+    before(async () => {
+        stub = await startStubServer({
+            ...sessionRoutes(),
+            Open: () => xmlString(`sess-${++sessions}`),
+            StartNotifications: '',
+            AddFilterNotifications: '',
+            RemoveFilterNotifications: '',
+            // Each session has one notification waiting
+            GetNotifications: (request) => {
+                const sessionId = request.headers.sessionid;
+                const polls = stub.requests.filter((r) => r.endpoint === 'GetNotifications' && r.headers.sessionid === sessionId);
+                return polls.length === 1 ? NOTIFICATION : '<ArrayOfNotification xmlns="x"/>';
+            },
+        });
+    });
+
+    after(async () => {
+        await stub.close();
+    });
+
+    it('moves the subscribers to the new pump when the pool replaces the client', { timeout: 5000 }, async () => {
+        const hub = new AppVisionNotificationHub(new AppVisionSessionPool());
+        const first = hub.subscribe(stub.options, { interval: 20 });
+        const received = nextNotifications(first);
+        await first.start();
+        await received;
+        const oldClient = first.client;
+
+        // Changed password: the pool replaces the client of the credential
+        const credentials = { ...stub.options, password: 'n3w-s3cret' };
+        const second = hub.subscribe(credentials, { interval: 20 });
+        const movedReceived = nextNotifications(first);
+        await second.start();
+
+        const [notification] = await movedReceived;
+        assert.equal(notification.Data.Name, 'Porte');
+        assert.notEqual(first.client, oldClient);
+        assert.equal(first.client, second.client);
+        assert.equal(hub.size, 1);
+
+        await first.close();
+        await second.close();
+        assert.equal(hub.size, 0);
+    });
+});
+
+describe('matchesNotificationFilters', () => {
+    const filters = ['$V.Building1.*'];
+
+    it('matches a state with the prefix of its type', () => {
+        const state = (type, name) => ({ Data: { $type: type, Name: name } });
+
+        assert.equal(matchesNotificationFilters(state('VariableState', 'Building1.Door1'), filters), true);
+        assert.equal(matchesNotificationFilters(state('VariableState', 'Building2.Door1'), filters), false);
+        assert.equal(matchesNotificationFilters(state('AreaState', 'Building1.Hall'), filters), false);
+    });
+
+    it('matches the source of an alarm without the prefix of the filter', () => {
+        const alarm = (sourceName) => ({ Data: { $type: 'AlarmInfo', Alarm: { Id: 1, SourceName: sourceName } } });
+
+        assert.equal(matchesNotificationFilters(alarm('Building1.Door1'), filters), true);
+        assert.equal(matchesNotificationFilters(alarm('Building2.Door1'), filters), false);
+    });
+
+    it('matches the source of an event without the prefix of the filter', () => {
+        const event = (sourceName) => ({ Data: { $type: 'EventRow', Id: 1, SourceName: sourceName } });
+
+        assert.equal(matchesNotificationFilters(event('Building1.Door1'), filters), true);
+        assert.equal(matchesNotificationFilters(event('Building2.Door1'), filters), false);
+    });
+
+    it('lets the notifications without a name through', () => {
+        const serverState = { Data: { $type: 'ServerState', State: 'Running' } };
+
+        assert.equal(matchesNotificationFilters(serverState, filters), true);
+    });
+});
@@ -0,0 +1,87 @@
+const assert = require('assert/strict');
+const { after, before, describe, it } = require('node:test');
+const {
+    AppVisionConnectionError,
+    AppVisionHttpError,
+    AppVisionSessionError,
+    AppVisionSessionPool,
+    installShutdownHooks,
+} = require('../dist/src');
+const { sessionRoutes, startStubServer } = require('./stub-server');
+
+describe('AppVisionSessionPool', () => {
+    let stub;
+
+    before(async () => {
+        stub = await startStubServer(sessionRoutes());
+    });
+
+    after(async () => {
+        await stub.close();
+    });
+
+    it('hands out one client per credential', () => {
+        const pool = new AppVisionSessionPool();
+
+        assert.equal(pool.get(stub.options), pool.get({ ...stub.options }));
+        assert.notEqual(pool.get(stub.options), pool.get({ ...stub.options, username: 'other' }));
+    });
+
+    it('keeps the shared session on a network error', async () => {
+        const pool = new AppVisionSessionPool();
+        const client = pool.get(stub.options);
+        await client.ensureSession();
+
+        const dropped = pool.invalidate(stub.options, new AppVisionConnectionError('GetNotifications', new Error('reset')));
+
+        assert.equal(dropped, false);
+        assert.equal(client.sessionId, 'sess-1');
+        await pool.closeAll();
+    });
+
+    it('forgets a session refused by AppVision', async () => {
+        const pool = new AppVisionSessionPool();
+        const client = pool.get(stub.options);
+        await client.ensureSession();
+
+        assert.equal(pool.invalidate(stub.options, new AppVisionHttpError('GetNotifications', 500, '')), false);
+        assert.equal(pool.invalidate(stub.options, new AppVisionHttpError('GetNotifications', 401, '')), true);
+        assert.equal(client.sessionId, null);
+        assert.equal(pool.invalidate(stub.options, new AppVisionSessionError()), false);
+        await pool.closeAll();
+    });
+
+    it('logs out the sessions it releases', async () => {
+        const pool = new AppVisionSessionPool();
+        const client = pool.get(stub.options);
+        await client.ensureSession();
+        stub.requests.length = 0;
+
+        await pool.release(stub.options);
+
+        assert.deepEqual(stub.requests.map((request) => request.endpoint), ['Logout', 'Close']);
+        assert.equal(client.sessionId, null);
+        assert.equal(pool.size, 0);
+    });
+
+    it('logs out the sessions of every hooked pool on SIGTERM', async () => {
+        // Handled here, so the hooks do not raise the signal again
+        const onSignal = () => undefined;
+        process.on('SIGTERM', onSignal);
+        const dedicated = new AppVisionSessionPool();
+        const removed = new AppVisionSessionPool();
+        await dedicated.get(stub.options).ensureSession();
+        await removed.get(stub.options).ensureSession();
+        installShutdownHooks(dedicated);
+        installShutdownHooks(removed)();
+
+        process.emit('SIGTERM', 'SIGTERM');
+        while (dedicated.size > 0) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+
+        process.off('SIGTERM', onSignal);
+        assert.equal(removed.size, 1);
+        await removed.closeAll();
+    });
+});
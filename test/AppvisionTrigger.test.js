@@ -0,0 +1,98 @@
+const assert = require('assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { AppvisionTrigger } = require('../dist/nodes/AppVision/AppvisionTrigger.node');
+const { sessionRoutes, startStubServer } = require('./stub-server');
+
+const VARIABLE_STATES = '<ArrayOfVariableState xmlns="http://schemas.datacontract.org/2004/07/Prysm.AppVision.Data">'
+    + '<VariableState><Id>1</Id><Name>Building1.Door1</Name><Value>1</Value></VariableState>'
+    + '<VariableState><Id>2</Id><Name>Building2.Door1</Name><Value>0</Value></VariableState>'
+    + '</ArrayOfVariableState>';
+
+const ALARMS = '<ArrayOfAlarmRow xmlns="http://schemas.datacontract.org/2004/07/Prysm.AppVision.Data">'
+    + '<AlarmRow><Id>10</Id><SourceName>Building1.Door1</SourceName></AlarmRow>'
+    + '<AlarmRow><Id>11</Id><SourceName>Building2.Door1</SourceName></AlarmRow>'
+    + '</ArrayOfAlarmRow>';
+
+/**
+ * Trigger context over the stub, with the node parameters `parameters`. `emitted` receives the
+ * items of every output emitted by the trigger.
+ */
+function triggerContext(stub, parameters) {
+    const emitted = [];
+    const context = {
+        getCredentials: async () => ({ ip: stub.options.host, port: stub.port, username: 'operator', password: 's3cret' }),
+        getNodeParameter: (name, fallback) => (name in parameters ? parameters[name] : fallback),
+        getWorkflowStaticData: () => parameters.staticData ?? {},
+        getNode: () => ({ name: 'AppVision Trigger', type: 'appvisionTrigger' }),
+        emit: (outputs) => emitted.push(outputs.map((items) => items.map((item) => item.json))),
+        emitError: (error) => emitted.push(error),
+        helpers: { returnJsonArray: (items) => items.map((json) => ({ json })) },
+    };
+    return { context, emitted };
+}
+
+/** Resolves once `check` returns true, polling every 10 ms. */
+async function waitFor(check) {
+    while (!check()) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+}
+
+describe('AppvisionTrigger', () => {
+    let stub;
+
+    before(async () => {
+        stub = await startStubServer({
+            ...sessionRoutes(),
+            StartNotifications: '',
+            AddFilterNotifications: '',
+            RemoveFilterNotifications: '',
+            GetNotifications: '<ArrayOfNotification xmlns="x"/>',
+            GetVariableStates: VARIABLE_STATES,
+            GetCurrentAlarms: ALARMS,
+        });
+    });
+
+    after(async () => {
+        await stub.close();
+    });
+
+    it('only resynchronizes the variables and alarms passing the name filters', { timeout: 5000 }, async () => {
+        const { context, emitted } = triggerContext(stub, {
+            pollingInterval: 0.05,
+            notificationTypes: ['VariableState', 'AlarmInfo'],
+            nameFilters: '$V.Building1.*',
+            resyncOnReconnect: true,
+            persistCheckpoint: true,
+            deliveryMode: 'dedicated',
+            staticData: { lastNotificationDate: 0 },
+        });
+
+        const response = await new AppvisionTrigger().trigger.call(context);
+        await waitFor(() => emitted.some((outputs) => outputs[1]?.length > 0 || outputs[2]?.length > 0));
+        await response.closeFunction();
+
+        const resynced = emitted.find((outputs) => outputs[1]?.length > 0 || outputs[2]?.length > 0);
+        assert.deepEqual(resynced[1].map((item) => [item.name, item.resync]), [['Building1.Door1', true]]);
+        assert.deepEqual(resynced[2].map((item) => [item.id, item.sourceName]), [[10, 'Building1.Door1']]);
+    });
+
+    it('does not resynchronize from a checkpoint when Resync on Reconnect is off', { timeout: 5000 }, async () => {
+        const { context, emitted } = triggerContext(stub, {
+            pollingInterval: 0.05,
+            notificationTypes: ['VariableState', 'AlarmInfo'],
+            resyncOnReconnect: false,
+            persistCheckpoint: true,
+            deliveryMode: 'dedicated',
+            staticData: { lastNotificationDate: 0 },
+        });
+        stub.requests.length = 0;
+
+        const response = await new AppvisionTrigger().trigger.call(context);
+        await waitFor(() => stub.requests.some((request) => request.endpoint === 'GetNotifications'));
+        await response.closeFunction();
+
+        assert.equal(stub.requests.some((request) => request.endpoint === 'GetVariableStates'), false);
+        assert.equal(emitted.some((outputs) => outputs[1]?.length > 0 || outputs[2]?.length > 0), false);
+    });
+});
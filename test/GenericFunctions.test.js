@@ -0,0 +1,186 @@
+const assert = require('assert/strict');
+const { afterEach, describe, it } = require('node:test');
+const {
+    createCurrentAlarms,
+    getHistoryRows,
+    isToolOperationAllowed,
+    parseJsonObject,
+} = require('../dist/nodes/AppVision/GenericFunctions');
+
+const NODE = { id: '1', name: 'AppVision', type: 'AppvisionNode', typeVersion: 1, position: [0, 0], parameters: {} };
+
+/** Chronological history of `count` rows, one per minute, received 30 s after their date. */
+function history(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        Id: index,
+        Date: new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString(),
+        DateReceive: new Date(Date.UTC(2024, 0, 1, 0, index, 30)).toISOString(),
+    }));
+}
+
+/** Page reader over `rows`, recording the pages requested. */
+function pager(rows) {
+    const pages = [];
+    const getPage = async (page, pageSize) => {
+        pages.push(page);
+        return rows.slice((page - 1) * pageSize, page * pageSize);
+    };
+    return { getPage, pages };
+}
+
+describe('getHistoryRows', () => {
+    it('reads every page until an incomplete one', async () => {
+        const { getPage, pages } = pager(history(250));
+
+        const rows = await getHistoryRows(getPage);
+
+        assert.equal(rows.length, 250);
+        assert.deepEqual(pages, [1, 2, 3]);
+    });
+
+    it('stops at limit', async () => {
+        const { getPage, pages } = pager(history(250));
+
+        const rows = await getHistoryRows(getPage, { limit: 120 });
+
+        assert.equal(rows.length, 120);
+        assert.deepEqual(pages, [1, 2]);
+    });
+
+    it('stops paging at the first row after dateEnd', async () => {
+        const { getPage, pages } = pager(history(1000));
+
+        const rows = await getHistoryRows(getPage, { dateEnd: '2024-01-01T02:30:00Z' });
+
+        assert.equal(rows.length, 151);
+        assert.equal(rows[rows.length - 1].Id, 150);
+        assert.deepEqual(pages, [1, 2]);
+    });
+
+    it('compares dateEnd with the reception date when the history is ordered by it', async () => {
+        const { getPage } = pager(history(10));
+
+        const rows = await getHistoryRows(getPage, { dateEnd: '2024-01-01T00:05:00Z', orderByDateReceive: true });
+
+        assert.deepEqual(rows.map((row) => row.Id), [0, 1, 2, 3, 4]);
+    });
+});
+
+describe('isToolOperationAllowed', () => {
+    const configured = process.env.APPVISION_TOOL_OPERATIONS;
+
+    afterEach(() => {
+        if (configured === undefined) {
+            delete process.env.APPVISION_TOOL_OPERATIONS;
+        } else {
+            process.env.APPVISION_TOOL_OPERATIONS = configured;
+        }
+    });
+
+    it('only allows the read operations by default', () => {
+        delete process.env.APPVISION_TOOL_OPERATIONS;
+
+        assert.equal(isToolOperationAllowed('variable', 'getVariableState'), true);
+        assert.equal(isToolOperationAllowed('variable', 'setVariable'), false);
+    });
+
+    it('reads the allowlist from the environment', () => {
+        process.env.APPVISION_TOOL_OPERATIONS = 'variable.*, alarm.acknowledgeAlarmById';
+
+        assert.equal(isToolOperationAllowed('variable', 'setVariable'), true);
+        assert.equal(isToolOperationAllowed('alarm', 'acknowledgeAlarmById'), true);
+        assert.equal(isToolOperationAllowed('alarm', 'removeAllAlarms'), false);
+    });
+
+    it('prefers the allowlist of the node to the environment', () => {
+        process.env.APPVISION_TOOL_OPERATIONS = 'variable.*';
+
+        assert.equal(isToolOperationAllowed('variable', 'setVariable', 'alarm.*'), false);
+        assert.equal(isToolOperationAllowed('alarm', 'removeAllAlarms', 'alarm.*'), true);
+    });
+});
+
+describe('parseJsonObject', () => {
+    it('parses a JSON object given as text or already parsed', () => {
+        assert.deepEqual(parseJsonObject(NODE, '{"ParentId": 3}', 'Additional Fields', 0), { ParentId: 3 });
+        assert.deepEqual(parseJsonObject(NODE, '', 'Additional Fields', 0), {});
+        assert.deepEqual(parseJsonObject(NODE, { ParentId: 3 }, 'Additional Fields', 0), { ParentId: 3 });
+    });
+
+    it('names the parameter when the JSON is invalid', () => {
+        assert.throws(() => parseJsonObject(NODE, '{ParentId: 3', 'Additional Fields', 2), (error) => {
+            assert.equal(error.name, 'NodeOperationError');
+            assert.equal(error.message, 'Additional Fields is not valid JSON');
+            assert.equal(error.context.itemIndex, 2);
+            return true;
+        });
+    });
+
+    it('refuses JSON that is not an object', () => {
+        for (const value of ['[1, 2]', '3', 'null']) {
+            assert.throws(() => parseJsonObject(NODE, value, 'Additional Fields', 0), /Additional Fields must be a JSON object/);
+        }
+    });
+});
+
+describe('createCurrentAlarms', () => {
+    /** Client whose GetCurrentAlarms answers `answers` in turn, counting the calls. */
+    function alarmsClient(...answers) {
+        const client = {
+            calls: 0,
+            getCurrentAlarms: async () => {
+                const answer = answers[Math.min(client.calls++, answers.length - 1)];
+                if (answer instanceof Error) {
+                    throw answer;
+                }
+                return answer;
+            },
+        };
+        return client;
+    }
+
+    it('reads the current alarms once for every lookup', async () => {
+        const client = alarmsClient([{ Id: 1, Status: 0 }, { Id: 2, Status: 1 }]);
+        const alarms = createCurrentAlarms(client);
+
+        assert.deepEqual(await alarms.find('1'), { Id: 1, Status: 0 });
+        assert.deepEqual(await alarms.find(2), { Id: 2, Status: 1 });
+        assert.equal(await alarms.find('3'), undefined);
+        assert.equal(client.calls, 1);
+    });
+
+    it('reads them again after a failure', async () => {
+        const client = alarmsClient(new Error('offline'), [{ Id: 1 }]);
+        const alarms = createCurrentAlarms(client);
+
+        await assert.rejects(alarms.find(1), /offline/);
+        assert.deepEqual(await alarms.find(1), { Id: 1 });
+        assert.equal(client.calls, 2);
+    });
+
+    it('reads them again for an alarm written since', async () => {
+        const client = alarmsClient([{ Id: 1, Status: 0 }, { Id: 2, Status: 0 }], [{ Id: 1, Status: 1 }, { Id: 2, Status: 0 }]);
+        const alarms = createCurrentAlarms(client);
+        await alarms.find(1);
+
+        alarms.forget(1);
+
+        assert.deepEqual(await alarms.find(2), { Id: 2, Status: 0 });
+        assert.equal(client.calls, 1);
+        assert.deepEqual(await alarms.find(1), { Id: 1, Status: 1 });
+        assert.equal(client.calls, 2);
+        await alarms.find(1);
+        assert.equal(client.calls, 2);
+    });
+
+    it('reads them all again after a write on every alarm', async () => {
+        const client = alarmsClient([{ Id: 1 }], []);
+        const alarms = createCurrentAlarms(client);
+        await alarms.find(1);
+
+        alarms.forget();
+
+        assert.equal(await alarms.find(1), undefined);
+        assert.equal(client.calls, 2);
+    });
+});
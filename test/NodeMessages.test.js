@@ -0,0 +1,29 @@
+const assert = require('assert/strict');
+const { afterEach, describe, it } = require('node:test');
+const { getNodeMessage } = require('../dist/nodes/AppVision/NodeMessages');
+
+describe('getNodeMessage', () => {
+    const locale = process.env.N8N_DEFAULT_LOCALE;
+
+    afterEach(() => {
+        if (locale === undefined) {
+            delete process.env.N8N_DEFAULT_LOCALE;
+        } else {
+            process.env.N8N_DEFAULT_LOCALE = locale;
+        }
+    });
+
+    it('answers in English by default', () => {
+        delete process.env.N8N_DEFAULT_LOCALE;
+
+        assert.equal(getNodeMessage('noAlarm'), 'There is no alarm');
+        assert.equal(getNodeMessage('noUserConnected'), 'No user is connected');
+    });
+
+    it('answers in French when the n8n instance is', () => {
+        process.env.N8N_DEFAULT_LOCALE = 'fr-FR';
+
+        assert.equal(getNodeMessage('noAlarm'), 'Il n\'y a pas d\'alarme');
+        assert.equal(getNodeMessage('noUserConnected'), 'Aucun utilisateur connecté');
+    });
+});
@@ -0,0 +1,77 @@
+const http = require('http');
+
+/**
+ * Local stand-in for the AppVision REST service, for the tests.
+ *
+ * `routes` maps an operation (`Open`, `ScenarioManager/GetScenarios`...) to its answer: a body,
+ * `{ status, body }`, or a function of the request returning either. Every request is recorded
+ * in `requests` as `{ method, endpoint, query, headers, body }`. Unknown operations answer 404.
+ */
+async function startStubServer(routes = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://localhost');
+            const endpoint = url.pathname.replace(/^\/AppVisionService\.svc\//, '');
+            const request = {
+                method: req.method,
+                endpoint: decodeURIComponent(endpoint),
+                rawPath: url.pathname,
+                rawQuery: url.search,
+                query: Object.fromEntries(url.searchParams),
+                headers: req.headers,
+                body,
+            };
+            requests.push(request);
+
+            let answer = routes[request.endpoint];
+            if (typeof answer === 'function') {
+                answer = await answer(request);
+            }
+            if (answer === undefined) {
+                answer = { status: 404, body: 'Endpoint not found.' };
+            }
+            const { status, body: responseBody } = typeof answer === 'string' ? { status: 200, body: answer } : answer;
+            res.writeHead(status ?? 200, { 'Content-Type': 'application/xml; charset=utf-8' });
+            res.end(responseBody ?? '');
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    return {
+        port,
+        requests,
+        routes,
+        /** Client options pointing at the stub. */
+        options: { host: '127.0.0.1', port, username: 'operator', password: 's3cret', timeout: 2000 },
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+/** Serialized `string` as the WCF service returns it. */
+function xmlString(value) {
+    return `<string xmlns="http://schemas.microsoft.com/2003/10/Serialization/">${value}</string>`;
+}
+
+/** Serialized `int` as the WCF service returns it. */
+function xmlInt(value) {
+    return `<int xmlns="http://schemas.microsoft.com/2003/10/Serialization/">${value}</int>`;
+}
+
+/** Routes of a server accepting the session `sess-1`. */
+function sessionRoutes(sessionId = 'sess-1') {
+    return {
+        Open: xmlString(sessionId),
+        Login: xmlInt(0),
+        KeepAlive: '',
+        Logout: '',
+        Close: '',
+    };
+}
+
+module.exports = { startStubServer, sessionRoutes, xmlInt, xmlString };